@@ -12,13 +12,15 @@ const path = require('path');
 require('./src/engines');
 
 const engineDirectRouter = require('./src/routes/engine-direct');
+const { buildOpenApiDocument } = require('./src/services/openapi');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Batch requests carry many inputs, so allow larger JSON bodies than the default
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '10mb' }));
 
 // Serve static files (test UIs)
 app.use(express.static('public'));
@@ -35,6 +37,18 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// OpenAPI document, built from the registered routes on first request
+let openApiDocument = null;
+app.get('/api/openapi.json', (req, res) => {
+  if (!openApiDocument) {
+    openApiDocument = buildOpenApiDocument({
+      mounts: [{ prefix: '/api/engine', router: engineDirectRouter }],
+      app
+    });
+  }
+  res.json(openApiDocument);
+});
+
 // Root redirect to dashboard
 app.get('/', (req, res) => {
   res.redirect('/calculation-test-dashboard.html');
@@ -54,12 +68,23 @@ app.listen(PORT, () => {
 ╠════════════════════════════════════════════╣
 ║   Dashboard:                               ║
 ║   http://localhost:${PORT}/calculation-test-dashboard.html
+║   API Explorer:                            ║
+║   http://localhost:${PORT}/api-explorer.html
 ╠════════════════════════════════════════════╣
 ║   API Endpoints:                           ║
 ║   POST /api/engine/calculate              ║
+║   POST /api/engine/validate               ║
+║   POST /api/engine/calculate/batch        ║
+║   POST /api/engine/calculate/batch/stream ║
+║   POST /api/engine/use-tax/report         ║
+║   POST /api/engine/solve                  ║
+║   POST /api/engine/scenarios              ║
+║   POST /api/engine/diff                   ║
+║   GET  /api/engine/schema/:version        ║
 ║   GET  /api/engine/info                   ║
 ║   GET  /api/engine/fixtures               ║
 ║   GET  /api/health                        ║
+║   GET  /api/openapi.json                  ║
 ╚════════════════════════════════════════════╝
   `);
 });
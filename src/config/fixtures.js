@@ -0,0 +1,102 @@
+/**
+ * Test Fixtures
+ * 
+ * Standard calculation inputs served by GET /api/engine/fixtures and
+ * used as request examples in the OpenAPI document
+ */
+
+// Fixture index (id, name, description)
+const FIXTURE_LIST = [
+  { id: 'simple', name: 'Simple Calculation', description: 'Basic line items with tax' },
+  { id: 'discount', name: 'With Discount', description: 'Percentage discount modifier' },
+  { id: 'complex', name: 'Complex Scenario', description: 'Multiple modifiers and dependencies' }
+];
+
+// Calculation inputs by fixture id
+const FIXTURES = {
+  simple: {
+    proposalId: "test-simple",
+    lineItems: [
+      {
+        id: "item-1",
+        unitPrice: "100.00",
+        quantity: 2,
+        taxSetting: "TAXABLE"
+      }
+    ],
+    modifiers: [],
+    config: {
+      schemaVersion: "1.0",
+      tax_rate: "0.10",
+      tax_mode: "RETAIL"
+    }
+  },
+  discount: {
+    proposalId: "test-discount",
+    lineItems: [
+      {
+        id: "item-1",
+        unitPrice: "100.00",
+        quantity: 2,
+        taxSetting: "TAXABLE"
+      }
+    ],
+    modifiers: [
+      {
+        id: "discount-1",
+        modifier_type: "percentage",
+        value: "-15",
+        application_type: "pre_tax",
+        chain_priority: 1
+      }
+    ],
+    config: {
+      schemaVersion: "1.0",
+      tax_rate: "0.10",
+      tax_mode: "RETAIL"
+    }
+  },
+  complex: {
+    proposalId: "test-complex",
+    lineItems: [
+      {
+        id: "item-1",
+        unitPrice: "150.00",
+        quantity: 2,
+        taxSetting: "TAXABLE"
+      },
+      {
+        id: "item-2",
+        unitPrice: "75.00",
+        quantity: 3,
+        taxSetting: "EXEMPT"
+      }
+    ],
+    modifiers: [
+      {
+        id: "discount-1",
+        modifier_type: "percentage",
+        value: "-10",
+        application_type: "pre_tax",
+        chain_priority: 1
+      },
+      {
+        id: "fee-1",
+        modifier_type: "fixed",
+        value: "25.00",
+        application_type: "post_tax",
+        chain_priority: 2
+      }
+    ],
+    config: {
+      schemaVersion: "1.0",
+      tax_rate: "0.0875",
+      tax_mode: "RETAIL"
+    }
+  }
+};
+
+module.exports = {
+  FIXTURE_LIST,
+  FIXTURES
+};
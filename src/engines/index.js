@@ -20,6 +20,9 @@ const CalculationEngineFactory = require('./factory/CalculationEngineFactory');
 // Import engines
 const PureCalculationEngine = require('./pure/PureCalculationEngine');
 
+// Import error hierarchy (codes, classes, toCalculationError)
+const CalculationErrors = require('./pure/CalculationErrors');
+
 // Register engines with factory - All point to the new Pure engine
 CalculationEngineFactory.registerEngine('pure', PureCalculationEngine);
 CalculationEngineFactory.registerEngine('compliant', PureCalculationEngine); // Backward compatibility
@@ -41,6 +44,9 @@ module.exports = {
   // Engines
   PureCalculationEngine,
   
+  // Errors
+  ...CalculationErrors,
+  
   // Convenience function to get configured engine
   getEngine: (config) => CalculationEngineFactory.getEngine(config),
   
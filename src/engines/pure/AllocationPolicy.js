@@ -0,0 +1,208 @@
+/**
+ * AllocationPolicy - Distributes a group adjustment across line items
+ *
+ * Companion to PrecisionPolicy: every modifier group produces ONE adjustment,
+ * and this policy decides how much of it lands on each line so invoicing and
+ * ERP line export can carry per-line discounts and fees.
+ *
+ * STRATEGIES:
+ * - pro_rata:          by each line's extended price (net of earlier adjustments)
+ * - by_quantity:       by each line's quantity
+ * - equal:             same share for every line
+ * - largest_remainder: pro-rata in whole cents, leftover cents go to the
+ *                      lines with the largest fractional remainders
+ *
+ * EXACT-SUM GUARANTEE:
+ * - allocation_precise (Q7) values sum exactly to the Q7 group adjustment
+ *   (rounding drift is fixed up on the last weighted line)
+ * - allocation (Q2) values sum exactly to the Q2 group adjustment
+ *   (cents distributed by largest remainder)
+ *
+ * When every weight is zero (e.g. all lines priced at 0) the policy falls
+ * back to an equal split so the adjustment is never lost.
+ *
+ * @version 1.0.0
+ */
+
+const Decimal = require('decimal.js');
+const PrecisionPolicy = require('./PrecisionPolicy');
+const { ValidationError } = require('./CalculationErrors');
+
+const AllocationPolicy = {
+  STRATEGIES: ['pro_rata', 'by_quantity', 'equal', 'largest_remainder'],
+  DEFAULT_STRATEGY: 'pro_rata',
+
+  /**
+   * Normalize a strategy name, rejecting unknown values
+   * @param {string} [strategy] - Requested strategy
+   * @returns {string} - Known strategy name
+   * @throws {ValidationError} - If strategy is not supported
+   */
+  resolveStrategy(strategy) {
+    if (strategy === undefined || strategy === null || strategy === '') {
+      return this.DEFAULT_STRATEGY;
+    }
+    const normalized = String(strategy).toLowerCase();
+    if (!this.STRATEGIES.includes(normalized)) {
+      throw new ValidationError(`Invalid allocation strategy: ${strategy} (expected one of ${this.STRATEGIES.join(', ')})`, {
+        code: 'INVALID_ENUM',
+        details: { value: strategy, allowed: this.STRATEGIES }
+      });
+    }
+    return normalized;
+  },
+
+  /**
+   * Allocate a total across lines
+   *
+   * @param {string|Decimal} total - Group adjustment (Q7)
+   * @param {Array<{id: string, amount: Decimal, quantity: number}>} lines - Current line state
+   * @param {string} [strategy] - Allocation strategy
+   * @returns {Array<{line_item_id, allocation_precise, allocation}>} - One entry per line
+   */
+  allocate(total, lines, strategy) {
+    const resolved = this.resolveStrategy(strategy);
+    const totalQ7 = PrecisionPolicy.intermediate(total);
+    if (lines.length === 0) {
+      return [];
+    }
+
+    const weights = this.weightsFor(resolved, lines);
+    const precise = resolved === 'largest_remainder'
+      ? this.distributeCents(totalQ7, weights)
+      : this.distributeQ7(totalQ7, weights);
+
+    return this.withDisplayAmounts(totalQ7, lines, precise);
+  },
+
+  /**
+   * Allocate explicit per-line amounts (e.g. margin deltas) as-is
+   *
+   * @param {Array<{id: string}>} lines - Current line state
+   * @param {Array<Decimal>} amounts - Q7 amount per line (same order)
+   * @returns {Array<{line_item_id, allocation_precise, allocation}>}
+   */
+  fromLineAmounts(lines, amounts) {
+    const precise = amounts.map(a => PrecisionPolicy.intermediate(a));
+    const total = PrecisionPolicy.sum(precise);
+    return this.withDisplayAmounts(total, lines, precise);
+  },
+
+  /**
+   * Weights per line for a strategy, falling back to equal when all are zero
+   * @private
+   */
+  weightsFor(strategy, lines) {
+    let weights;
+    switch (strategy) {
+      case 'by_quantity':
+        weights = lines.map(line => new Decimal(line.quantity || 0));
+        break;
+      case 'equal':
+        weights = lines.map(() => new Decimal(1));
+        break;
+      default:
+        weights = lines.map(line => new Decimal(line.amount));
+    }
+
+    const totalWeight = weights.reduce((sum, w) => sum.plus(w), new Decimal(0));
+    return totalWeight.isZero() ? lines.map(() => new Decimal(1)) : weights;
+  },
+
+  /**
+   * Q7 shares with remainder fix-up on the last weighted line
+   * @private
+   */
+  distributeQ7(total, weights) {
+    const totalWeight = weights.reduce((sum, w) => sum.plus(w), new Decimal(0));
+    const shares = weights.map(w => PrecisionPolicy.intermediate(total.mul(w).div(totalWeight)));
+
+    const drift = total.minus(PrecisionPolicy.sum(shares));
+    if (!drift.isZero()) {
+      const lastWeighted = this.lastNonZeroIndex(weights);
+      shares[lastWeighted] = PrecisionPolicy.intermediate(shares[lastWeighted].plus(drift));
+    }
+    return shares;
+  },
+
+  /**
+   * Whole-cent shares by largest remainder
+   *
+   * The Q2-rounded total is split into cents; any sub-cent residual of the
+   * Q7 total is added to the largest share so the Q7 sum stays exact.
+   * @private
+   */
+  distributeCents(total, weights) {
+    const totalWeight = weights.reduce((sum, w) => sum.plus(w), new Decimal(0));
+    const raw = weights.map(w => total.mul(w).div(totalWeight));
+    const cents = this.largestRemainderCents(PrecisionPolicy.final(total), raw);
+    const shares = cents.map(c => new Decimal(c).div(100));
+
+    const residual = total.minus(PrecisionPolicy.sum(shares));
+    if (!residual.isZero()) {
+      const largest = this.largestAbsIndex(shares);
+      shares[largest] = PrecisionPolicy.intermediate(shares[largest].plus(residual));
+    }
+    return shares;
+  },
+
+  /**
+   * Integer cents per value that sum exactly to targetTotal
+   *
+   * Floors every value to a cent, then hands the missing cents to the
+   * largest fractional remainders (ties broken by line order).
+   * @private
+   */
+  largestRemainderCents(targetTotal, values) {
+    const targetCents = new Decimal(targetTotal).mul(100).toNumber();
+    const scaled = values.map(v => new Decimal(v).mul(100));
+    const floors = scaled.map(v => v.floor());
+    const remainders = scaled.map((v, index) => ({ index, remainder: v.minus(floors[index]) }));
+
+    let missing = targetCents - floors.reduce((sum, f) => sum + f.toNumber(), 0);
+    remainders.sort((a, b) => b.remainder.comparedTo(a.remainder) || a.index - b.index);
+
+    const cents = floors.map(f => f.toNumber());
+    for (let i = 0; missing > 0 && remainders.length > 0; i = (i + 1) % remainders.length) {
+      cents[remainders[i].index] += 1;
+      missing--;
+    }
+    for (let i = 0; missing < 0 && remainders.length > 0; i = (i + 1) % remainders.length) {
+      cents[remainders[remainders.length - 1 - i].index] -= 1;
+      missing++;
+    }
+    return cents;
+  },
+
+  /**
+   * Attach Q2 display allocations that sum to the Q2 total
+   * @private
+   */
+  withDisplayAmounts(total, lines, precise) {
+    const cents = this.largestRemainderCents(PrecisionPolicy.final(total), precise);
+    return lines.map((line, index) => ({
+      line_item_id: line.id,
+      allocation_precise: PrecisionPolicy.intermediateString(precise[index]),
+      allocation: new Decimal(cents[index]).div(100).toFixed(PrecisionPolicy.FINAL_SCALE)
+    }));
+  },
+
+  /** @private */
+  lastNonZeroIndex(weights) {
+    for (let i = weights.length - 1; i >= 0; i--) {
+      if (!weights[i].isZero()) return i;
+    }
+    return weights.length - 1;
+  },
+
+  /** @private */
+  largestAbsIndex(values) {
+    let best = 0;
+    for (let i = 1; i < values.length; i++) {
+      if (values[i].abs().gt(values[best].abs())) best = i;
+    }
+    return best;
+  }
+};
+
+module.exports = AllocationPolicy;
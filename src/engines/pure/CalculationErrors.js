@@ -0,0 +1,172 @@
+/**
+ * Calculation Errors
+ *
+ * Typed errors thrown by the engine, its helpers and the API routes. Every
+ * error carries a stable machine-readable code (clients match on the code,
+ * never on the message text), a JSON path to the offending input when one
+ * field is at fault, and a details object with the values involved.
+ *
+ * HIERARCHY (HTTP status applied by the routes):
+ * - CalculationError                base class
+ *   - ValidationError        400    malformed or inconsistent input
+ *   - NotFoundError          404    requested schema, fixture ... does not exist
+ *   - LimitExceededError     422    resource limit exceeded
+ *   - DependencyCycleError   409    REQUIRES/EXCLUDES chain loops
+ *   - InvalidMarginError     422    margin target or cost unusable
+ *   - RuleError              422    rule could not be evaluated
+ *   - GoalUnreachableError   422    goal-seek target outside the range
+ *   - (CalculationError)     422    CALCULATIONS_FAILED: some calculations
+ *                                   of a multi-calculation request failed
+ *   - InternalError          500    anything unexpected
+ * SchemaValidationError (services/calculation-schema) and RuleSyntaxError
+ * (tiers/pre-processor/core/SecureRuleCompiler) are ValidationErrors.
+ *
+ * CODES:
+ * ERROR_CODES lists every code with the class that raises it. Codes are
+ * never renamed or reused; new failure modes get new codes.
+ *
+ * PATHS:
+ * JSON paths into the request body ("modifiers[2].value"). Errors raised
+ * where only an id is known carry a locate hint ({ modifier_id |
+ * line_item_id, field }) that PureCalculationEngine.calculate resolves to
+ * a path against the original input.
+ */
+
+const ERROR_CODES = Object.freeze({
+  // ValidationError
+  INVALID_INPUT: 'ValidationError',
+  MISSING_FIELD: 'ValidationError',
+  INVALID_TYPE: 'ValidationError',
+  INVALID_NUMBER: 'ValidationError',
+  INVALID_ENUM: 'ValidationError',
+  INVALID_DATE: 'ValidationError',
+  DUPLICATE_ID: 'ValidationError',
+  CONFLICTING_FIELDS: 'ValidationError',
+  INVALID_MODIFIER: 'ValidationError',
+  INVALID_BOUNDS: 'ValidationError',
+  BASIS_NO_MATCH: 'ValidationError',
+  TAX_RATE_NOT_FOUND: 'ValidationError',
+  TAX_RATE_TABLE_MISMATCH: 'ValidationError',
+  RULE_SYNTAX: 'RuleSyntaxError',
+  RULE_REJECTED: 'ValidationError',
+  SCHEMA_VALIDATION: 'SchemaValidationError',
+  INVALID_GOAL: 'ValidationError',
+  INVALID_REQUEST: 'ValidationError',
+  // NotFoundError
+  NOT_FOUND: 'NotFoundError',
+  // LimitExceededError
+  TOO_MANY_MODIFIERS: 'LimitExceededError',
+  TOO_MANY_LINE_ITEMS: 'LimitExceededError',
+  DEPENDENCY_TOO_DEEP: 'LimitExceededError',
+  TOO_MANY_ITEMS: 'LimitExceededError',
+  // DependencyCycleError
+  DEPENDENCY_CYCLE: 'DependencyCycleError',
+  // InvalidMarginError
+  INVALID_MARGIN: 'InvalidMarginError',
+  MARGIN_COST_MISSING: 'InvalidMarginError',
+  // RuleError
+  RULE_EVALUATION_FAILED: 'RuleError',
+  RULE_LIMIT_EXCEEDED: 'RuleError',
+  // GoalUnreachableError
+  GOAL_UNREACHABLE: 'GoalUnreachableError',
+  // CalculationError (details.failures carries each failure's own code)
+  CALCULATIONS_FAILED: 'CalculationError',
+  // InternalError
+  INTERNAL_ERROR: 'InternalError',
+  TAX_RATE_TABLE_UNAVAILABLE: 'InternalError'
+});
+
+/**
+ * Base class: code, path and details on top of Error
+ */
+class CalculationError extends Error {
+  /**
+   * @param {string} message - Human-readable message (not for matching)
+   * @param {Object} [options]
+   * @param {string} [options.code] - Stable code (defaults per class)
+   * @param {string|null} [options.path] - JSON path into the input
+   * @param {Object} [options.details] - Values involved
+   * @param {Object} [options.locate] - { modifier_id | line_item_id, field } when the path is not known yet
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, { code, path = null, details = {}, locate = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code || this.constructor.defaultCode;
+    this.path = path;
+    this.details = details;
+    // Resolution hint only; not part of the serialized error
+    Object.defineProperty(this, 'locate', { value: locate, writable: true, enumerable: false });
+  }
+
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      path: this.path,
+      details: this.details
+    };
+  }
+}
+CalculationError.defaultCode = 'INTERNAL_ERROR';
+
+class ValidationError extends CalculationError {}
+ValidationError.defaultCode = 'INVALID_INPUT';
+
+class NotFoundError extends CalculationError {}
+NotFoundError.defaultCode = 'NOT_FOUND';
+
+class LimitExceededError extends CalculationError {}
+LimitExceededError.defaultCode = 'TOO_MANY_ITEMS';
+
+class DependencyCycleError extends CalculationError {}
+DependencyCycleError.defaultCode = 'DEPENDENCY_CYCLE';
+
+/**
+ * Margin validation failures
+ *
+ * Thrown when a margin target is outside [0%, 100%) or a margin line has
+ * no usable cost. Lets upstream handlers tell business rule violations
+ * apart from system errors.
+ */
+class InvalidMarginError extends CalculationError {}
+InvalidMarginError.defaultCode = 'INVALID_MARGIN';
+
+class RuleError extends CalculationError {}
+RuleError.defaultCode = 'RULE_EVALUATION_FAILED';
+
+/**
+ * Thrown by GoalSeekSolver when the target lies outside the metric's
+ * range over the search interval [min, max]
+ */
+class GoalUnreachableError extends CalculationError {}
+GoalUnreachableError.defaultCode = 'GOAL_UNREACHABLE';
+
+class InternalError extends CalculationError {}
+InternalError.defaultCode = 'INTERNAL_ERROR';
+
+/**
+ * Wrap anything that is not a CalculationError as an InternalError
+ *
+ * @param {Error} error - Caught error
+ * @returns {CalculationError}
+ */
+function toCalculationError(error) {
+  if (error instanceof CalculationError) return error;
+  const message = error && error.message ? error.message : String(error);
+  return new InternalError(message, { cause: error });
+}
+
+module.exports = {
+  ERROR_CODES,
+  CalculationError,
+  ValidationError,
+  NotFoundError,
+  LimitExceededError,
+  DependencyCycleError,
+  InvalidMarginError,
+  RuleError,
+  GoalUnreachableError,
+  InternalError,
+  toCalculationError
+};
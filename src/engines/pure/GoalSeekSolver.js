@@ -0,0 +1,245 @@
+/**
+ * GoalSeekSolver - Solve for the modifier value that hits a target
+ *
+ * Answers "what discount gets this to $10,000 out the door?": one named
+ * modifier's value is varied and the full calculation is re-run for each
+ * trial, so the solved value reflects the engine's real Q7/Q2 rounding
+ * rather than a closed-form approximation.
+ *
+ * GOAL:
+ * {
+ *   metric: 'customer_grand_total' | 'subtotal' | 'margin',
+ *   value: '10000.00',           // target (margin in %)
+ *   modifier_id: 'discount-1',   // the single variable modifier
+ *   min, max                     // search range (optional for percentage
+ *                                // and margin modifiers)
+ * }
+ *
+ * METRICS:
+ * - customer_grand_total: result.customerGrandTotal
+ * - subtotal: subtotal after pre-tax modifiers
+ *   (result.subtotal + the result's pre_tax adjustments)
+ * - margin: document margin % over lines with a cost
+ *   (Σ margin / Σ revenue from the per-line margin report, Q2)
+ *
+ * BISECTION:
+ * The metric must be monotonic in the modifier value over [min, max].
+ * The range is halved in Decimal arithmetic until the metric hits the
+ * target exactly or the range is narrower than one Q7 unit; the endpoint
+ * with the smaller residual wins. Q2 results move in whole cents, so a
+ * residual of up to half a cent can remain.
+ *
+ * @version 1.0.0
+ */
+
+const Decimal = require('decimal.js');
+const PrecisionPolicy = require('./PrecisionPolicy');
+const PureCalculationEngine = require('./PureCalculationEngine');
+const { ValidationError, GoalUnreachableError } = require('./CalculationErrors');
+
+const METRICS = ['customer_grand_total', 'subtotal', 'margin'];
+
+// Default search ranges by modifier type (values are percentages)
+const DEFAULT_RANGES = {
+  percentage: ['-100', '100'],
+  margin: ['0', '99.9999999']
+};
+
+const DEFAULT_MAX_ITERATIONS = 100;
+const STEP = new Decimal(1).div(new Decimal(10).pow(PrecisionPolicy.INTERMEDIATE_SCALE));
+
+class GoalSeekSolver {
+  /**
+   * @param {PureCalculationEngine} [engine] - Engine used for every trial
+   */
+  constructor(engine = new PureCalculationEngine()) {
+    this.engine = engine;
+  }
+
+  /**
+   * Solve for the variable modifier's value
+   *
+   * @param {Object} input - Normal calculation input
+   * @param {Object} goal - See module header
+   * @param {Object} [options] - Engine options (e.g. taxRateTable),
+   *   plus max_iterations (default 100)
+   * @returns {Object} - { modifier_id, metric, target, value, achieved,
+   *   residual, iterations, converged, result }
+   * @throws {ValidationError} - Invalid goal (INVALID_GOAL)
+   * @throws {GoalUnreachableError} - Target outside the range's results
+   */
+  solve(input, goal, options = {}) {
+    const { max_iterations: maxIterationsOption, ...engineOptions } = options;
+    const maxIterations = maxIterationsOption || DEFAULT_MAX_ITERATIONS;
+    const spec = this.normalizeGoal(input, goal);
+
+    const evaluate = value => {
+      const result = this.engine.calculate(
+        this.withModifierValue(input, spec.modifierId, value),
+        { ...engineOptions, marginReport: spec.metric === 'margin' }
+      );
+      const achieved = this.measure(spec.metric, result);
+      return { value, result, achieved, residual: achieved.minus(spec.target) };
+    };
+
+    let low = evaluate(spec.min);
+    let high = evaluate(spec.max);
+    let iterations = 2;
+
+    if (low.residual.isZero() || high.residual.isZero()) {
+      return this.describe(spec, low.residual.isZero() ? low : high, iterations, true);
+    }
+    if (low.residual.s === high.residual.s) {
+      throw new GoalUnreachableError(
+        `Goal not reachable: ${spec.metric} ranges from ${low.achieved} to ${high.achieved} ` +
+        `for ${spec.modifierId} in [${spec.min}, ${spec.max}], target ${spec.target}`,
+        { path: 'goal.value', details: { min: low.achieved.toString(), max: high.achieved.toString() } }
+      );
+    }
+
+    while (iterations < maxIterations && high.value.minus(low.value).abs().gt(STEP)) {
+      const middle = evaluate(
+        low.value.plus(high.value).div(2).toDecimalPlaces(PrecisionPolicy.INTERMEDIATE_SCALE)
+      );
+      iterations++;
+      if (middle.residual.isZero()) {
+        return this.describe(spec, middle, iterations, true);
+      }
+      if (middle.residual.s === low.residual.s) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+
+    const best = low.residual.abs().lte(high.residual.abs()) ? low : high;
+    return this.describe(spec, best, iterations, high.value.minus(low.value).abs().lte(STEP));
+  }
+
+  /**
+   * Validate the goal against the input
+   * @private
+   */
+  normalizeGoal(input, goal) {
+    const invalid = (message, field, details = {}) => new ValidationError(`Invalid goal: ${message}`, {
+      path: field ? `goal.${field}` : 'goal',
+      code: 'INVALID_GOAL',
+      details
+    });
+    if (!goal || typeof goal !== 'object') {
+      throw invalid('goal must be an object');
+    }
+    const metric = String(goal.metric || '').toLowerCase();
+    if (!METRICS.includes(metric)) {
+      throw invalid(`metric must be one of ${METRICS.join(', ')}`, 'metric', { value: goal.metric, allowed: METRICS });
+    }
+    const modifier = (input.modifiers || []).find(mod => mod && mod.id === goal.modifier_id);
+    if (!modifier) {
+      throw invalid(`modifier ${goal.modifier_id} not found in input.modifiers`, 'modifier_id', { value: goal.modifier_id });
+    }
+
+    const parse = (value, field) => {
+      let parsed = null;
+      try {
+        parsed = new Decimal(String(value));
+      } catch (e) {
+        // Reported below
+      }
+      if (!parsed || !parsed.isFinite()) {
+        throw invalid(`${field} must be a number`, field, { value });
+      }
+      return parsed;
+    };
+
+    const defaults = DEFAULT_RANGES[modifier.modifier_type] || [];
+    if ((goal.min === undefined && defaults[0] === undefined) ||
+        (goal.max === undefined && defaults[1] === undefined)) {
+      throw invalid(`min and max are required for ${modifier.modifier_type} modifiers`, goal.min === undefined ? 'min' : 'max');
+    }
+    const min = parse(goal.min !== undefined ? goal.min : defaults[0], 'min');
+    const max = parse(goal.max !== undefined ? goal.max : defaults[1], 'max');
+    if (min.gte(max)) {
+      throw invalid('min must be less than max', 'min', { min: min.toString(), max: max.toString() });
+    }
+
+    return {
+      metric,
+      target: parse(goal.value, 'value'),
+      modifierId: modifier.id,
+      min,
+      max
+    };
+  }
+
+  /**
+   * Copy of the input with the variable modifier's value replaced
+   *
+   * The engine reads fixed_amount and percent ahead of value, so those
+   * aliases are dropped for the trial value to take effect.
+   * @private
+   */
+  withModifierValue(input, modifierId, value) {
+    return {
+      ...input,
+      modifiers: input.modifiers.map(mod => {
+        if (!mod || mod.id !== modifierId) return mod;
+        const trial = { ...mod, value: value.toString() };
+        delete trial.fixed_amount;
+        delete trial.percent;
+        return trial;
+      })
+    };
+  }
+
+  /**
+   * Read the goal metric from a result
+   * @private
+   */
+  measure(metric, result) {
+    if (metric === 'customer_grand_total') {
+      return new Decimal(result.customerGrandTotal);
+    }
+    if (metric === 'subtotal') {
+      return result.adjustments
+        .filter(adjustment => adjustment.attributes?.application_type !== 'post_tax')
+        .reduce((sum, adjustment) => sum.plus(adjustment.amount), new Decimal(result.subtotal));
+    }
+
+    const costed = (result.marginLines || []).filter(line => line.margin_precise !== null);
+    if (costed.length === 0) {
+      throw new ValidationError('Invalid goal: margin needs at least one line with a cost', {
+        path: 'goal.metric',
+        code: 'INVALID_GOAL'
+      });
+    }
+    const revenue = costed.reduce((sum, line) => sum.plus(line.revenue_precise), new Decimal(0));
+    const margin = costed.reduce((sum, line) => sum.plus(line.margin_precise), new Decimal(0));
+    if (revenue.lte(0)) {
+      // Cost with no revenue is an unbounded loss; keeps the bisection ordered
+      return new Decimal(margin.isNegative() ? -Infinity : 0);
+    }
+    return PrecisionPolicy.final(margin.div(revenue).mul(100));
+  }
+
+  /**
+   * Solver response for a trial
+   * @private
+   */
+  describe(spec, trial, iterations, converged) {
+    return {
+      modifier_id: spec.modifierId,
+      metric: spec.metric,
+      target: spec.target.toString(),
+      value: trial.value.toString(),
+      achieved: trial.achieved.toString(),
+      residual: trial.residual.toString(),
+      iterations,
+      converged,
+      result: trial.result
+    };
+  }
+}
+
+module.exports = GoalSeekSolver;
+// Kept for existing importers; the class lives in CalculationErrors
+module.exports.GoalUnreachableError = GoalUnreachableError;
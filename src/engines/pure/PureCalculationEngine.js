@@ -10,6 +10,10 @@
  * 3. PRECISION CONTROLLED: Q7 intermediate (7 decimals), Q2 final (2 decimals for display)
  * 4. RESOURCE BOUNDED: Hard limits prevent DoS attacks and runaway calculations
  * 5. MATHEMATICALLY SOUND: All operations preserve value conservation (subtotal + modifiers + tax = total ±$0.01)
+ *    In TAX_INCLUSIVE price mode, net + tax = gross exactly at Q2, and the
+ *    conservation identity holds on the basis modifiers are applied to:
+ *    NET basis: subtotal + modifiers + tax = total (±$0.01)
+ *    GROSS basis: subtotal + modifiers = total (±$0.01), tax contained in total
  * 
  * CRITICAL BEHAVIORS:
  * - Input validation with fail-fast guards
@@ -31,6 +35,17 @@
 const Decimal = require('decimal.js');
 const crypto = require('crypto');
 const PrecisionPolicy = require('./PrecisionPolicy');
+const SafeRuleEvaluator = require('./SafeRuleEvaluator');
+const AllocationPolicy = require('./AllocationPolicy');
+const {
+  ValidationError,
+  LimitExceededError,
+  DependencyCycleError,
+  InvalidMarginError,
+  RuleError,
+  InternalError,
+  toCalculationError
+} = require('./CalculationErrors');
 
 // Configure Decimal.js for high-precision arithmetic
 // CRITICAL: This configuration affects ALL calculations
@@ -40,29 +55,14 @@ Decimal.set({
   // This matches Excel, QuickBooks, and most financial systems
 });
 
-/**
- * Custom error class for margin validation failures
- * 
- * Thrown when:
- * - Negative margins detected (selling below cost)
- * - Excessive margins detected (>1000% markup)
- * - Margin calculation produces NaN or Infinity
- * 
- * This error type allows upstream handlers to differentiate
- * between business rule violations and system errors.
- */
-class InvalidMarginError extends Error {
-  constructor(message) {
-    super(message);
-    this.name = 'InvalidMarginError';
-  }
-}
-
 class PureCalculationEngine {
   constructor() {
     this.version = '3.0.0';
     this.name = 'PureCalculationEngine';
     
+    // Bounded, eval-free evaluator for per-modifier rule ASTs
+    this.ruleEvaluator = new SafeRuleEvaluator();
+    
     // Resource limits from Mathematical Correctness Plan
     // These prevent DoS attacks and ensure calculations complete in reasonable time
     this.limits = {
@@ -111,25 +111,38 @@ class PureCalculationEngine {
    * 
    * @param {any} v - Value to convert to Decimal
    * @param {string} field - Field name for error messages
+   * @param {Object} [where] - { path } or a locate hint ({ modifier_id, field })
    * @returns {Decimal} - Valid Decimal instance
-   * @throws {Error} - If value cannot be converted
+   * @throws {ValidationError} - MISSING_FIELD or INVALID_NUMBER
    */
-  toDecimalOrThrow(v, field) {
+  toDecimalOrThrow(v, field, where = {}) {
+    const options = where.path !== undefined
+      ? { path: where.path }
+      : { locate: Object.keys(where).length > 0 ? where : null };
     if (v === null || v === undefined) {
-      throw new Error(`Missing required field: ${field}`);
+      throw new ValidationError(`Missing required field: ${field}`, {
+        ...options,
+        code: 'MISSING_FIELD'
+      });
     }
+    let d;
     try {
-      const d = new Decimal(String(v));
-      if (!d.isFinite()) {
-        throw new Error(`Invalid numeric value for ${field}: ${v}`);
-      }
-      return d;
+      d = new Decimal(String(v));
     } catch (e) {
-      if (e.message.includes('Invalid numeric value')) {
-        throw e;
-      }
-      throw new Error(`Failed to parse ${field}: ${v}`);
+      throw new ValidationError(`Failed to parse ${field}: ${v}`, {
+        ...options,
+        code: 'INVALID_NUMBER',
+        details: { value: v }
+      });
+    }
+    if (!d.isFinite()) {
+      throw new ValidationError(`Invalid numeric value for ${field}: ${v}`, {
+        ...options,
+        code: 'INVALID_NUMBER',
+        details: { value: v }
+      });
     }
+    return d;
   }
 
   /**
@@ -205,12 +218,29 @@ class PureCalculationEngine {
    * CALCULATION FLOW:
    * 1. Validate input (fail fast on invalid data)
    * 2. Normalize to canonical format
-   * 3. Compute base subtotal from line items
-   * 4. Apply pre-tax modifiers in deterministic order
-   * 5. Calculate retail/use tax on adjusted subtotal
-   * 6. Apply post-tax modifiers
-   * 7. Build final result with all components
-   * 8. Generate SHA-256 checksum for verification
+   * 3. Resolve REQUIRES/EXCLUDES dependencies
+   * 4. Compute base subtotal from line items
+   * 5. Evaluate per-modifier rules, apply quantity/cost modifiers to the
+   *    lines, then group the surviving price modifiers
+   * 6. Apply pre-tax modifiers in deterministic order
+   * 7. Calculate retail/use tax on adjusted subtotal
+   * 8. Apply post-tax modifiers
+   * 9. Build final result with all components
+   * 10. Generate SHA-256 checksum for verification
+   * 
+   * PRICE MODE (config.price_mode):
+   * - TAX_EXCLUSIVE (default): unit prices are net of tax
+   * - TAX_INCLUSIVE: unit prices include retail tax (VAT/GST). With
+   *   config.inclusive_modifier_basis NET (default) the tax is backed out
+   *   of every unit price at Q7 before modifiers apply; with GROSS the
+   *   modifiers apply to gross prices and the tax is backed out of the
+   *   final taxable bases. Either way netTotal + retailTax = grossTotal.
+   * 
+   * TAX RATE TABLES:
+   * With config.tax_jurisdiction_codes the jurisdictions and rates come from
+   * options.taxRateTable (see TaxRateTable), using the rates in force on the
+   * tax date (config.tax_date, else proposal.tax_date). The table version is
+   * recorded in result.taxRateTable; config.tax_rate_table_version pins it.
    * 
    * GUARANTEES:
    * - Same input = same output (deterministic)
@@ -218,52 +248,199 @@ class PureCalculationEngine {
    * - No partial results on error (atomic)
    * - Resource bounded (timeouts and limits)
    * 
+   * EXPLAIN MODE (opt-in):
+   * With options.explain, the result carries an `explain.steps` log of every
+   * group's basis, combined rate/amount, Q7 and Q2 adjustment, running
+   * subtotal and taxable-base contribution, plus the tax and total steps.
+   * The trace is attached AFTER the checksum, so checksums are identical
+   * with and without explain.
+   * 
+   * ERRORS:
+   * Everything thrown is a CalculationError (see CalculationErrors) with a
+   * stable code; unexpected failures are wrapped as InternalError. Paths
+   * known only by modifier/line item id are resolved against the input.
+   * 
    * @param {CalculationInput} input - Validated input from Pre-Processor
+   * @param {Object} [options] - Calculation options
+   * @param {boolean} [options.explain=false] - Attach the step-by-step trace
+   * @param {TaxRateTable} [options.taxRateTable] - Rates for config.tax_jurisdiction_codes
+   * @param {boolean} [options.marginReport=false] - Always attach marginLines
    * @returns {CalculationResult} - Immutable calculation result
-   * @throws {Error} - On validation failure or resource limits
+   * @throws {CalculationError} - On validation failure or resource limits
+   */
+  calculate(input, options = {}) {
+    try {
+      return this.runCalculation(input, options);
+    } catch (error) {
+      throw this.locateError(toCalculationError(error), input);
+    }
+  }
+  
+  /**
+   * Resolve an error's locate hint to a JSON path into the input
+   * 
+   * @param {CalculationError} error - Error from the pipeline
+   * @param {Object} input - Original calculation input
+   * @returns {CalculationError} - Same error, path filled when resolvable
+   */
+  locateError(error, input) {
+    const hint = error.locate;
+    if (error.path !== null || !hint || !input) {
+      return error;
+    }
+    
+    let base = null;
+    if (hint.modifier_id !== undefined && Array.isArray(input.modifiers)) {
+      const index = input.modifiers.findIndex(mod => mod && String(mod.id) === String(hint.modifier_id));
+      if (index >= 0) base = `modifiers[${index}]`;
+    } else if (hint.line_item_id !== undefined && Array.isArray(input.lineItems)) {
+      const index = input.lineItems.findIndex(item => item &&
+        String(item.id !== undefined ? item.id : item.line_item_id) === String(hint.line_item_id));
+      if (index >= 0) base = `lineItems[${index}]`;
+    }
+    if (base) {
+      error.path = hint.field ? `${base}.${hint.field}` : base;
+    }
+    return error;
+  }
+  
+  /**
+   * Calculation pipeline behind calculate()
+   * 
+   * @private
    */
-  calculate(input) {
+  runCalculation(input, options) {
     // Step 1: Validate and normalize input
     // CRITICAL: Validation must happen BEFORE any processing
     this.validateInput(input);
-    const normalizedInput = this.normalizeInput(input);
+    const rateTable = this.resolveTaxRateTable(input, options.taxRateTable);
+    const normalizedInput = this.applyPriceMode(
+      this.normalizeInput(rateTable ? rateTable.input : input)
+    );
+    
+    // Step 2: Resolve REQUIRES/EXCLUDES dependencies, then group survivors
+    // CRITICAL: Rejected modifiers must never reach grouping
+    const dependencyResolution = this.resolveDependencies(
+      normalizedInput.modifiers,
+      normalizedInput.dependencies
+    );
+    const baseSubtotal = this.computeBaseSubtotal(normalizedInput.lineItems);
+    
+    // Step 3: Evaluate per-modifier rules; failing modifiers are filtered out
+    const ruleEvaluation = this.evaluateModifierRules(
+      dependencyResolution.approved,
+      normalizedInput.rules,
+      this.buildRuleContext(input, normalizedInput.lineItems, baseSubtotal)
+    );
+
+    // Quantity and cost modifiers reshape the lines before any pricing
+    const lineAdjustment = this.applyLineModifiers(
+      normalizedInput.lineItems,
+      ruleEvaluation.passed.filter(mod => this.isLineModifier(mod))
+    );
+    const lineItems = lineAdjustment.lineItems;
+    const pricedSubtotal = lineAdjustment.report
+      ? this.computeBaseSubtotal(lineItems)
+      : baseSubtotal;
+    
+    const { preTaxGroups, postTaxGroups } = this.buildModifierGroups(
+      { ...normalizedInput, lineItems },
+      ruleEvaluation.passed.filter(mod => !this.isLineModifier(mod))
+    );
     
-    // Step 2: Create immutable initial state
+    // Step 4: Create immutable initial state
     const initialState = {
-      baseSubtotal: this.computeBaseSubtotal(normalizedInput.lineItems),
-      runningSubtotal: this.computeBaseSubtotal(normalizedInput.lineItems),
+      baseSubtotal: pricedSubtotal,
+      runningSubtotal: pricedSubtotal,
+      lineAmounts: this.computeLineAmounts(lineItems),
       adjustments: [],
       retailTaxAmount: new Decimal(0),
-      useTaxAmount: new Decimal(0)
+      useTaxAmount: new Decimal(0),
+      // GROSS-basis inclusive pricing: the running subtotal already contains tax
+      taxIncluded: this.pricesIncludeTax(normalizedInput.config),
+      // Explain trace; null keeps the normal path free of bookkeeping
+      steps: options.explain ? [this.explainBaseStep(lineItems, pricedSubtotal)] : null
     };
     
-    // Step 3: Process pre-tax modifiers
+    // Step 5: Process pre-tax modifiers
     const afterPreTax = this.applyModifierGroups(
       initialState,
-      normalizedInput.preTaxGroups,
-      normalizedInput.lineItems
+      preTaxGroups,
+      lineItems,
+      normalizedInput.config
     );
     
-    // Step 4: Calculate taxes
+    // Step 6: Calculate taxes
     const afterTax = this.calculateTaxes(
       afterPreTax,
       normalizedInput.config,
-      normalizedInput.lineItems
+      lineItems,
+      normalizedInput.exemptions
     );
     
-    // Step 5: Process post-tax modifiers
+    // Step 7: Process post-tax modifiers
     const finalState = this.applyModifierGroups(
       afterTax,
-      normalizedInput.postTaxGroups,
-      normalizedInput.lineItems
+      postTaxGroups,
+      lineItems,
+      normalizedInput.config
     );
     
-    // Step 6: Build result
+    // Step 8: Build result
     const result = this.buildResult(finalState, normalizedInput.config);
+    result.approvedModifiers = ruleEvaluation.passed.map(m => m.id);
+    result.rejectedModifiers = dependencyResolution.rejected;
+    result.filteredModifiers = ruleEvaluation.failed;
+    result.ruleStats = ruleEvaluation.stats;
+    if (lineAdjustment.report) {
+      result.lineAdjustments = lineAdjustment.report;
+    }
+    const clipping = finalState.adjustments
+      .filter(adjustment => adjustment.clipping)
+      .flatMap(adjustment => adjustment.clipping.map(clip => ({ groupId: adjustment.groupId, ...clip })));
+    if (clipping.length > 0) {
+      result.clipping = clipping;
+    }
+    const marginReport = this.buildMarginReport(
+      afterPreTax,
+      lineItems,
+      normalizedInput.config,
+      options.marginReport === true
+    );
+    if (marginReport) {
+      result.marginLines = marginReport.lines;
+    }
+    const warnings = [
+      ...this.exemptionWarnings(
+        normalizedInput.exemptions,
+        normalizedInput.config,
+        normalizedInput.lineItems
+      ),
+      ...(marginReport ? marginReport.warnings : [])
+    ];
+    if (warnings.length > 0) {
+      result.warnings = warnings;
+    }
+    if (rateTable) {
+      result.taxRateTable = rateTable.record;
+    }
+    if (normalizedInput.dependencies.length > 0) {
+      result.dependencyDiagnostics = {
+        resolved_order: dependencyResolution.resolvedOrder,
+        exclusions: dependencyResolution.exclusions
+      };
+    }
     
-    // Step 7: Add checksum for determinism verification
+    // Step 9: Add checksum for determinism verification
     result.checksum = this.generateChecksum(result);
     
+    if (finalState.steps) {
+      result.explain = {
+        steps: [...finalState.steps, this.explainTotalStep(finalState, result)]
+          .map((step, index) => ({ step: index + 1, ...step }))
+      };
+    }
+    
     return result;
   }
 
@@ -278,72 +455,226 @@ class PureCalculationEngine {
    * - Resource limits not exceeded
    * - No duplicate modifier IDs
    * - Numeric values are valid
+   * - No circular REQUIRES chains
    * - Dependency depth within limits
    * 
    * @param {Object} input - Raw input to validate
-   * @throws {Error} - Descriptive error on first validation failure
+   * @throws {ValidationError|LimitExceededError|DependencyCycleError} - First validation failure
    */
   validateInput(input) {
     if (!input) {
-      throw new Error('Invalid input: input is required');
+      throw new ValidationError('Invalid input: input is required', { path: '', code: 'MISSING_FIELD' });
     }
     
     if (!input.lineItems || !Array.isArray(input.lineItems)) {
-      throw new Error('Invalid input: lineItems must be an array');
+      throw new ValidationError('Invalid input: lineItems must be an array', {
+        path: 'lineItems',
+        code: input.lineItems === undefined ? 'MISSING_FIELD' : 'INVALID_TYPE'
+      });
     }
     
     if (!input.modifiers || !Array.isArray(input.modifiers)) {
-      throw new Error('Invalid input: modifiers must be an array');
+      throw new ValidationError('Invalid input: modifiers must be an array', {
+        path: 'modifiers',
+        code: input.modifiers === undefined ? 'MISSING_FIELD' : 'INVALID_TYPE'
+      });
     }
     
     if (!input.config) {
-      throw new Error('Invalid input: config is required');
+      throw new ValidationError('Invalid input: config is required', { path: 'config', code: 'MISSING_FIELD' });
     }
     
     if (!input.config.schemaVersion) {
-      throw new Error('Invalid input: schemaVersion is required');
+      throw new ValidationError('Invalid input: schemaVersion is required', {
+        path: 'config.schemaVersion',
+        code: 'MISSING_FIELD'
+      });
     }
     
     // Resource limit checks
     if (input.modifiers.length > this.limits.maxModifiers) {
-      throw new Error(`Too many modifiers: ${input.modifiers.length} (max: ${this.limits.maxModifiers})`);
+      throw new LimitExceededError(`Too many modifiers: ${input.modifiers.length} (max: ${this.limits.maxModifiers})`, {
+        path: 'modifiers',
+        code: 'TOO_MANY_MODIFIERS',
+        details: { count: input.modifiers.length, max: this.limits.maxModifiers }
+      });
     }
     
     if (input.lineItems.length > this.limits.maxLineItems) {
-      throw new Error(`Too many line items: ${input.lineItems.length} (max: ${this.limits.maxLineItems})`);
+      throw new LimitExceededError(`Too many line items: ${input.lineItems.length} (max: ${this.limits.maxLineItems})`, {
+        path: 'lineItems',
+        code: 'TOO_MANY_LINE_ITEMS',
+        details: { count: input.lineItems.length, max: this.limits.maxLineItems }
+      });
+    }
+    
+    if (input.config.jurisdictions !== undefined) {
+      if (!Array.isArray(input.config.jurisdictions)) {
+        throw new ValidationError('Invalid input: config.jurisdictions must be an array', {
+          path: 'config.jurisdictions',
+          code: 'INVALID_TYPE'
+        });
+      }
+      input.config.jurisdictions.forEach((jurisdiction, index) => {
+        if (!jurisdiction || !jurisdiction.code) {
+          throw new ValidationError(`Invalid input: config.jurisdictions[${index}].code is required`, {
+            path: `config.jurisdictions[${index}].code`,
+            code: 'MISSING_FIELD'
+          });
+        }
+        this.toDecimalOrThrow(jurisdiction.rate, `config.jurisdictions[${index}].rate`, {
+          path: `config.jurisdictions[${index}].rate`
+        });
+      });
+    }
+    
+    if (input.config.price_mode !== undefined &&
+        !['TAX_EXCLUSIVE', 'TAX_INCLUSIVE'].includes(String(input.config.price_mode).toUpperCase())) {
+      throw new ValidationError(`Invalid price_mode: ${input.config.price_mode} (expected TAX_EXCLUSIVE or TAX_INCLUSIVE)`, {
+        path: 'config.price_mode',
+        code: 'INVALID_ENUM',
+        details: { value: input.config.price_mode, allowed: ['TAX_EXCLUSIVE', 'TAX_INCLUSIVE'] }
+      });
+    }
+    
+    if (input.config.inclusive_modifier_basis !== undefined &&
+        !['NET', 'GROSS'].includes(String(input.config.inclusive_modifier_basis).toUpperCase())) {
+      throw new ValidationError(`Invalid inclusive_modifier_basis: ${input.config.inclusive_modifier_basis} (expected NET or GROSS)`, {
+        path: 'config.inclusive_modifier_basis',
+        code: 'INVALID_ENUM',
+        details: { value: input.config.inclusive_modifier_basis, allowed: ['NET', 'GROSS'] }
+      });
+    }
+    
+    if (input.config.subtotal_floor !== undefined && input.config.subtotal_floor !== null &&
+        !['ZERO', 'COST'].includes(String(input.config.subtotal_floor).toUpperCase())) {
+      this.toDecimalOrThrow(input.config.subtotal_floor, 'config.subtotal_floor', { path: 'config.subtotal_floor' });
+    }
+    
+    if (input.config.margin_floor !== undefined && input.config.margin_floor !== null) {
+      this.toDecimalOrThrow(input.config.margin_floor, 'config.margin_floor', { path: 'config.margin_floor' });
+    }
+    
+    if (input.config.tax_rounding !== undefined &&
+        !['DOCUMENT', 'JURISDICTION', 'LINE'].includes(String(input.config.tax_rounding).toUpperCase())) {
+      throw new ValidationError(`Invalid tax_rounding: ${input.config.tax_rounding} (expected DOCUMENT, JURISDICTION or LINE)`, {
+        path: 'config.tax_rounding',
+        code: 'INVALID_ENUM',
+        details: { value: input.config.tax_rounding, allowed: ['DOCUMENT', 'JURISDICTION', 'LINE'] }
+      });
+    }
+    
+    if (input.rules !== undefined && !Array.isArray(input.rules)) {
+      throw new ValidationError('Invalid input: rules must be an array', { path: 'rules', code: 'INVALID_TYPE' });
+    }
+    
+    const taxDate = this.resolveTaxDate(input);
+    if (taxDate !== null && !this.isIsoDate(taxDate)) {
+      throw new ValidationError(`Invalid tax_date: ${taxDate} (expected YYYY-MM-DD)`, {
+        path: input.config.tax_date ? 'config.tax_date' : 'proposal.tax_date',
+        code: 'INVALID_DATE',
+        details: { value: taxDate }
+      });
+    }
+    
+    if (input.config.tax_jurisdiction_codes !== undefined) {
+      if (!Array.isArray(input.config.tax_jurisdiction_codes) || input.config.tax_jurisdiction_codes.length === 0) {
+        throw new ValidationError('Invalid input: config.tax_jurisdiction_codes must be a non-empty array', {
+          path: 'config.tax_jurisdiction_codes',
+          code: 'INVALID_TYPE'
+        });
+      }
+      if (input.config.jurisdictions && input.config.jurisdictions.length > 0) {
+        throw new ValidationError('Invalid input: config.jurisdictions and config.tax_jurisdiction_codes are mutually exclusive', {
+          path: 'config.tax_jurisdiction_codes',
+          code: 'CONFLICTING_FIELDS',
+          details: { fields: ['config.jurisdictions', 'config.tax_jurisdiction_codes'] }
+        });
+      }
+    }
+    
+    if (input.exemptions !== undefined) {
+      if (!Array.isArray(input.exemptions)) {
+        throw new ValidationError('Invalid input: exemptions must be an array', { path: 'exemptions', code: 'INVALID_TYPE' });
+      }
+      input.exemptions.forEach((certificate, index) => {
+        if (!certificate || !certificate.certificate_id) {
+          throw new ValidationError(`Invalid input: exemptions[${index}].certificate_id is required`, {
+            path: `exemptions[${index}].certificate_id`,
+            code: 'MISSING_FIELD'
+          });
+        }
+        if (certificate.expires_on !== undefined && !this.isIsoDate(certificate.expires_on)) {
+          throw new ValidationError(`Invalid input: exemptions[${index}].expires_on must be YYYY-MM-DD`, {
+            path: `exemptions[${index}].expires_on`,
+            code: 'INVALID_DATE',
+            details: { value: certificate.expires_on }
+          });
+        }
+      });
     }
     
-    // Check dependency depth if dependencies provided
+    // Check dependency cycles and depth if dependencies provided
+    // CRITICAL: Cycle check must run first - depth measurement assumes a DAG
     if (input.dependencies && input.dependencies.length > 0) {
+      const cycle = this.detectDependencyCycle(input.dependencies);
+      if (cycle) {
+        throw new DependencyCycleError(`Circular dependency detected: ${cycle.join(' → ')}`, {
+          path: 'dependencies',
+          details: { cycle }
+        });
+      }
+      
       const depth = this.calculateDependencyDepth(input.dependencies);
       if (depth > this.limits.maxDependencyDepth) {
-        throw new Error(`Dependency chain too deep: ${depth} (max: ${this.limits.maxDependencyDepth})`);
+        throw new LimitExceededError(`Dependency chain too deep: ${depth} (max: ${this.limits.maxDependencyDepth})`, {
+          path: 'dependencies',
+          code: 'DEPENDENCY_TOO_DEEP',
+          details: { depth, max: this.limits.maxDependencyDepth }
+        });
       }
     }
     
-    // Check for duplicate modifier IDs
+    // Check for duplicate modifier IDs (string ids only: ordering compares them)
     const modifierIds = new Set();
-    for (const mod of input.modifiers) {
+    input.modifiers.forEach((mod, index) => {
+      if (typeof mod.id !== 'string' || mod.id === '') {
+        throw new ValidationError(`Invalid input: modifiers[${index}].id must be a non-empty string`, {
+          path: `modifiers[${index}].id`,
+          code: mod.id === undefined || mod.id === null ? 'MISSING_FIELD' : 'INVALID_TYPE',
+          details: { value: mod.id ?? null }
+        });
+      }
       if (modifierIds.has(mod.id)) {
-        throw new Error(`Duplicate modifier ID: ${mod.id}`);
+        throw new ValidationError(`Duplicate modifier ID: ${mod.id}`, {
+          path: `modifiers[${index}].id`,
+          code: 'DUPLICATE_ID',
+          details: { id: mod.id }
+        });
       }
       modifierIds.add(mod.id);
-    }
+    });
     
     // Validate numeric values
-    for (const item of input.lineItems) {
-      const price = item.unit_price || item.unitPrice || item.price;
+    input.lineItems.forEach((item, index) => {
+      const key = ['unit_price', 'unitPrice', 'price'].find(name => item[name]);
+      const price = key ? item[key] : undefined;
       if (price !== undefined && price !== null) {
+        let finite;
         try {
-          const decimal = new Decimal(price);
-          if (!decimal.isFinite()) {
-            throw new Error(`Invalid numeric value for line item ${item.id || item.line_item_id}: ${price}`);
-          }
+          finite = new Decimal(price).isFinite();
         } catch (e) {
-          throw new Error(`Invalid numeric value for line item ${item.id || item.line_item_id}: ${price}`);
+          finite = false;
+        }
+        if (!finite) {
+          throw new ValidationError(`Invalid numeric value for line item ${item.id || item.line_item_id}: ${price}`, {
+            path: `lineItems[${index}].${key}`,
+            code: 'INVALID_NUMBER',
+            details: { value: price }
+          });
         }
       }
-    }
+    });
   }
 
   /**
@@ -354,7 +685,7 @@ class PureCalculationEngine {
    * Normalizations:
    * - Line items: Handle both camelCase and snake_case
    * - Modifiers: Ensure all required fields have defaults
-   * - Groups: Create from modifiers if not provided
+   * - Groups: Pass through pre-grouped input (see buildModifierGroups)
    * - Config: Set default tax rates and modes
    * 
    * IMPORTANT: All numeric values converted to strings to avoid
@@ -371,8 +702,11 @@ class PureCalculationEngine {
       unitPrice: String(item.unit_price || item.unitPrice || item.price || '0'),
       quantity: Math.max(0, Number(item.quantity) || 0),
       cost: String(item.cost || item.unitPrice || item.unit_price || '0'),
+      costKnown: item.cost !== undefined && item.cost !== null && item.cost !== '',
       taxSetting: (item.tax_setting || item.taxSetting || 'TAXABLE').toUpperCase(),
-      use_tax_eligible: item.use_tax_eligible || false
+      use_tax_eligible: item.use_tax_eligible || false,
+      productId: item.product_id || item.productId || null,
+      category: item.category || null
     }));
     
     // Normalize modifiers
@@ -383,35 +717,324 @@ class PureCalculationEngine {
       application_type: mod.application_type || 'pre_tax'
     }));
     
-    // Group modifiers if not already grouped
-    let preTaxGroups = input.preTaxGroups || [];
-    let postTaxGroups = input.postTaxGroups || [];
-    
-    // If groups not provided, create them from modifiers
-    if (preTaxGroups.length === 0 && postTaxGroups.length === 0 && normalizedModifiers.length > 0) {
-      // Pass normalizedLineItems for tax inheritance resolution
-      const groups = this.groupModifiers(normalizedModifiers, normalizedLineItems);
-      preTaxGroups = groups.filter(g => g.application_type !== 'post_tax');
-      postTaxGroups = groups.filter(g => g.application_type === 'post_tax');
-    }
-    
     return {
       lineItems: normalizedLineItems,
       modifiers: normalizedModifiers,
       dependencies: input.dependencies || [],
-      preTaxGroups: preTaxGroups,
-      postTaxGroups: postTaxGroups,
+      rules: input.rules || [],
+      exemptions: (input.exemptions || []).map(certificate => ({
+        certificateId: String(certificate.certificate_id),
+        jurisdictions: certificate.jurisdictions || [],
+        categories: certificate.categories || [],
+        expiresOn: certificate.expires_on ? String(certificate.expires_on).slice(0, 10) : null
+      })),
+      // Pre-grouped input is passed through; grouping happens after dependency resolution
+      preTaxGroups: input.preTaxGroups || [],
+      postTaxGroups: input.postTaxGroups || [],
       config: {
         ...input.config,
         // PRODUCTION FIX: Keep tax rates as strings to avoid float precision issues
         // Convert to Decimal at calculation time, not here
         tax_rate: String(input.config.tax_rate || '0'),
         use_tax_rate: String(input.config.use_tax_rate || '0'),
-        tax_mode: input.config.tax_mode || 'RETAIL'
+        tax_mode: input.config.tax_mode || 'RETAIL',
+        tax_rounding: String(input.config.tax_rounding || 'DOCUMENT').toUpperCase(),
+        price_mode: String(input.config.price_mode || 'TAX_EXCLUSIVE').toUpperCase(),
+        inclusive_modifier_basis: String(input.config.inclusive_modifier_basis || 'NET').toUpperCase(),
+        tax_date: this.resolveTaxDate(input) ? String(this.resolveTaxDate(input)).slice(0, 10) : null,
+        subtotal_floor: ['ZERO', 'COST'].includes(String(input.config.subtotal_floor).toUpperCase())
+          ? String(input.config.subtotal_floor).toUpperCase()
+          : (input.config.subtotal_floor === undefined ? null : input.config.subtotal_floor),
+        margin_floor: input.config.margin_floor === undefined || input.config.margin_floor === null
+          ? null
+          : String(input.config.margin_floor)
+      }
+    };
+  }
+  
+  /**
+   * Tax date for rate lookup and certificate expiry
+   * 
+   * @returns {string|null} - config.tax_date, else proposal.tax_date
+   */
+  resolveTaxDate(input) {
+    return input.config.tax_date || input.proposal?.tax_date || null;
+  }
+  
+  /**
+   * Fill config.jurisdictions from the rate table for tax_jurisdiction_codes
+   * 
+   * @param {Object} input - Validated input
+   * @param {TaxRateTable} [table] - Effective-dated rate table
+   * @returns {Object|null} - { input, record } or null when no codes are given
+   * @throws {CalculationError} - Missing table or tax date, version mismatch, no rate in force
+   */
+  resolveTaxRateTable(input, table) {
+    const codes = input.config.tax_jurisdiction_codes;
+    if (!codes) {
+      return null;
+    }
+    if (!table) {
+      throw new InternalError('Tax rate table required for config.tax_jurisdiction_codes', {
+        code: 'TAX_RATE_TABLE_UNAVAILABLE'
+      });
+    }
+    
+    const taxDate = this.resolveTaxDate(input);
+    if (!taxDate) {
+      throw new ValidationError('Invalid input: tax_date is required for tax rate table lookup', {
+        path: 'config.tax_date',
+        code: 'MISSING_FIELD'
+      });
+    }
+    
+    const pinnedVersion = input.config.tax_rate_table_version;
+    if (pinnedVersion !== undefined && String(pinnedVersion) !== table.version) {
+      throw new ValidationError(`Tax rate table version mismatch: requested ${pinnedVersion}, loaded ${table.version}`, {
+        path: 'config.tax_rate_table_version',
+        code: 'TAX_RATE_TABLE_MISMATCH',
+        details: { requested: String(pinnedVersion), loaded: table.version }
+      });
+    }
+    
+    const jurisdictions = table.jurisdictionsFor(codes, String(taxDate).slice(0, 10));
+    return {
+      input: { ...input, config: { ...input.config, jurisdictions } },
+      record: {
+        version: table.version,
+        tax_date: String(taxDate).slice(0, 10),
+        rates: jurisdictions.map(jurisdiction => ({
+          code: jurisdiction.code,
+          rate: jurisdiction.rate,
+          effective_from: jurisdiction.effective_from,
+          effective_to: jurisdiction.effective_to
+        }))
+      }
+    };
+  }
+  
+  /**
+   * Prepare line items for the configured price mode
+   * 
+   * TAX_INCLUSIVE lines carry their combined retail rate (inclusiveRate).
+   * On the NET basis each unit price is replaced by its Q7 net price
+   * (gross / (1 + rate)) and the gross price is kept as grossUnitPrice;
+   * on the GROSS basis prices are left as entered.
+   * 
+   * @param {Object} normalizedInput - Output of normalizeInput
+   * @returns {Object} - Normalized input with price-mode line items
+   */
+  applyPriceMode(normalizedInput) {
+    const config = normalizedInput.config;
+    if (config.price_mode !== 'TAX_INCLUSIVE') {
+      return normalizedInput;
+    }
+    
+    const lineItems = normalizedInput.lineItems.map(item => {
+      const rate = this.lineInclusiveRate(item, config, normalizedInput.exemptions);
+      if (config.inclusive_modifier_basis === 'GROSS') {
+        return { ...item, inclusiveRate: rate.toString(), taxIncludedInPrice: true };
+      }
+      return {
+        ...item,
+        inclusiveRate: rate.toString(),
+        grossUnitPrice: item.unitPrice,
+        unitPrice: PrecisionPolicy.intermediateString(
+          new Decimal(item.unitPrice).div(new Decimal(1).plus(rate))
+        )
+      };
+    });
+    
+    return { ...normalizedInput, lineItems };
+  }
+  
+  /**
+   * Whether the running subtotal is gross of tax (TAX_INCLUSIVE, GROSS basis)
+   */
+  pricesIncludeTax(config) {
+    return config.price_mode === 'TAX_INCLUSIVE' && config.inclusive_modifier_basis === 'GROSS';
+  }
+  
+  /**
+   * Combined retail tax rate contained in a line's price
+   * 
+   * Sum of the rates of every jurisdiction that taxes the line (honouring
+   * category_taxability), or the single tax_rate for taxable lines. A
+   * compounding jurisdiction's rate also applies to the prior rates, so
+   * they are accumulated in byJurisdictionCode order. Zero when the tax
+   * mode charges no retail tax.
+   * 
+   * @param {Object} item - Normalized line item
+   * @param {Object} config - Normalized config
+   * @param {Array} [exemptions] - Normalized exemption certificates
+   * @returns {Decimal} - Combined rate (0.20 = 20%)
+   */
+  lineInclusiveRate(item, config, exemptions = []) {
+    if (config.tax_mode !== 'RETAIL' && config.tax_mode !== 'MIXED') {
+      return new Decimal(0);
+    }
+    
+    if (config.jurisdictions && config.jurisdictions.length > 0) {
+      return [...config.jurisdictions].sort(this.Comparators.byJurisdictionCode).reduce(
+        (sum, jurisdiction) => {
+          if (!this.isLineTaxable(item, jurisdiction.category_taxability)) return sum;
+          if (this.findExemption(item, jurisdiction.code, exemptions, config.tax_date)) return sum;
+          const rate = new Decimal(String(jurisdiction.rate));
+          return sum.plus(jurisdiction.compound ? rate.mul(sum.plus(1)) : rate);
+        },
+        new Decimal(0)
+      );
+    }
+    
+    return this.isLineTaxable(item) && !this.findExemption(item, null, exemptions, config.tax_date)
+      ? new Decimal(config.tax_rate)
+      : new Decimal(0);
+  }
+  
+  /**
+   * Strict YYYY-MM-DD check for tax and expiry dates
+   */
+  isIsoDate(value) {
+    return typeof value === 'string' &&
+      /^\d{4}-\d{2}-\d{2}$/.test(value.slice(0, 10)) &&
+      !Number.isNaN(Date.parse(value.slice(0, 10)));
+  }
+  
+  /**
+   * Whether a certificate is in force on the tax date
+   * 
+   * Certificates are valid through their expires_on date. A certificate
+   * with an expiry can only be honoured when config.tax_date is known;
+   * the engine never reads the clock.
+   */
+  isCertificateInForce(certificate, taxDate) {
+    if (!certificate.expiresOn) return true;
+    return Boolean(taxDate) && taxDate <= certificate.expiresOn;
+  }
+  
+  /**
+   * First in-force certificate exempting a line in a jurisdiction
+   * 
+   * A certificate with no jurisdictions covers every jurisdiction (and the
+   * single tax_rate, whose jurisdiction code is null); with no categories
+   * it covers every line.
+   * 
+   * @param {Object} item - Normalized line item
+   * @param {string|null} jurisdictionCode - Jurisdiction code, null for single rate
+   * @param {Array} exemptions - Normalized exemption certificates
+   * @param {string|null} taxDate - config.tax_date
+   * @returns {Object|null} - Matching certificate
+   */
+  findExemption(item, jurisdictionCode, exemptions, taxDate) {
+    return exemptions.find(certificate =>
+      this.isCertificateInForce(certificate, taxDate) &&
+      (certificate.jurisdictions.length === 0 || certificate.jurisdictions.includes(jurisdictionCode)) &&
+      (certificate.categories.length === 0 || certificate.categories.includes(item.category))
+    ) || null;
+  }
+  
+  /**
+   * Warnings for certificates that exempt nothing
+   * 
+   * Expired, unverifiable (expiry without tax_date) and non-matching
+   * certificates are reported instead of being silently ignored.
+   * 
+   * @returns {Array<{code, certificate_id, message}>}
+   */
+  exemptionWarnings(exemptions, config, lineItems) {
+    const warnings = [];
+    const chargesRetailTax = config.tax_mode === 'RETAIL' || config.tax_mode === 'MIXED';
+    const jurisdictionCodes = config.jurisdictions && config.jurisdictions.length > 0
+      ? config.jurisdictions.map(jurisdiction => jurisdiction.code)
+      : [null];
+    
+    for (const certificate of exemptions) {
+      const id = certificate.certificateId;
+      if (!certificate.expiresOn || this.isCertificateInForce(certificate, config.tax_date)) {
+        const coveredJurisdictions = jurisdictionCodes.filter(code =>
+          certificate.jurisdictions.length === 0 || certificate.jurisdictions.includes(code)
+        );
+        const coveredLines = lineItems.filter(item =>
+          certificate.categories.length === 0 || certificate.categories.includes(item.category)
+        );
+        if (!chargesRetailTax || coveredJurisdictions.length === 0) {
+          warnings.push({
+            code: 'EXEMPTION_NO_MATCHING_JURISDICTION',
+            certificate_id: id,
+            message: `Certificate ${id} covers no jurisdiction taxed by this calculation`
+          });
+        } else if (coveredLines.length === 0) {
+          warnings.push({
+            code: 'EXEMPTION_NO_MATCHING_LINES',
+            certificate_id: id,
+            message: `Certificate ${id} covers no line item category in this calculation`
+          });
+        }
+      } else if (!config.tax_date) {
+        warnings.push({
+          code: 'EXEMPTION_UNVERIFIED',
+          certificate_id: id,
+          message: `Certificate ${id} expires ${certificate.expiresOn} but no tax_date was given; not applied`
+        });
+      } else {
+        warnings.push({
+          code: 'EXEMPTION_EXPIRED',
+          certificate_id: id,
+          message: `Certificate ${id} expired ${certificate.expiresOn} (tax date ${config.tax_date}); not applied`
+        });
       }
+    }
+    
+    return warnings;
+  }
+  
+  /**
+   * Zero the taxable base of lines exempted in one jurisdiction
+   * 
+   * @param {Array<{id, amount: Decimal}>} lineBases - Jurisdiction line bases
+   * @param {Array} lineItems - Normalized line items
+   * @param {string|null} jurisdictionCode - Jurisdiction code, null for single rate
+   * @param {Array} exemptions - Normalized exemption certificates
+   * @param {string|null} taxDate - config.tax_date
+   * @returns {Object} - { lineBases, exemptedBase, exemptedByLine, exemptLines: Map<index, certificateId> }
+   */
+  applyExemptions(lineBases, lineItems, jurisdictionCode, exemptions, taxDate) {
+    const exemptLines = new Map();
+    const exemptedByLine = lineBases.map(() => new Decimal(0));
+    let exemptedBase = new Decimal(0);
+    if (exemptions.length === 0) {
+      return { lineBases, exemptedBase, exemptedByLine, exemptLines };
+    }
+    
+    const exempted = lineBases.map((line, index) => {
+      const certificate = this.findExemption(lineItems[index], jurisdictionCode, exemptions, taxDate);
+      if (!certificate || line.amount.isZero()) return line;
+      exemptLines.set(index, certificate.certificateId);
+      exemptedByLine[index] = line.amount;
+      exemptedBase = exemptedBase.plus(line.amount);
+      return { ...line, amount: new Decimal(0) };
+    });
+    
+    return {
+      lineBases: exemptLines.size > 0 ? exempted : lineBases,
+      exemptedBase: PrecisionPolicy.intermediate(exemptedBase),
+      exemptedByLine,
+      exemptLines
     };
   }
   
+  /**
+   * Line taxability, honouring a jurisdiction's category overrides
+   * 
+   * @param {Object} item - Normalized line item
+   * @param {Object} [categoryTaxability] - Category -> TAXABLE/NON_TAXABLE overrides
+   * @returns {boolean}
+   */
+  isLineTaxable(item, categoryTaxability = {}) {
+    const override = item.category && categoryTaxability ? categoryTaxability[item.category] : undefined;
+    return (override ? String(override).toUpperCase() : item.taxSetting) === 'TAXABLE';
+  }
+  
   /**
    * Resolve tax setting for modifiers with INHERIT
    * 
@@ -449,51 +1072,560 @@ class PureCalculationEngine {
   }
 
   /**
-   * Group modifiers by 8 attributes as per Mathematical Correctness Plan
+   * Resolve the dependency type of a dependency record
    * 
-   * CRITICAL 8-ATTRIBUTE GROUPING KEY:
-   * 1. tax_setting (taxable/non_taxable - resolved from INHERIT)
-   * 2. modifier_type (percentage/fixed)
-   * 3. category (discount/fee/custom)
-   * 4. affects_quantity (true/false)
-   * 5. cost_percentage (0-100)
-   * 6. display_mode (visible/hidden)
-   * 7. application_type (pre_tax/post_tax)
-   * 8. product_id (specific product or null for all)
+   * Accepts both the pure engine field (type) and the database/archived
+   * engine field (dependency_type) so either payload shape works.
    * 
-   * This grouping ensures:
-   * - Similar modifiers are processed together
-   * - Deterministic application order
-   * - Efficient bulk processing
-   * - Consistent results across runs
+   * @param {Object} dep - Dependency record
+   * @returns {string} - Uppercase dependency type (REQUIRES/EXCLUDES)
+   */
+  getDependencyType(dep) {
+    return String(dep.type || dep.dependency_type || '').toUpperCase();
+  }
+
+  /**
+   * Detect a circular REQUIRES chain
    * 
-   * @param {Array} modifiers - Normalized modifiers to group
-   * @param {Array} lineItems - Line items for tax inheritance
-   * @returns {Array} - Grouped modifiers ready for application
+   * Depth-first search over modifier_id -> depends_on edges. Nodes and
+   * edges are visited in sorted order so the reported chain is stable.
+   * 
+   * @param {Array} dependencies - Dependency records
+   * @returns {Array|null} - Offending chain (first id repeated at the end) or null
    */
-  groupModifiers(modifiers, lineItems = []) {
-    // First, sort modifiers deterministically using Comparators
-    // CRITICAL: Must sort BEFORE grouping to ensure consistent groups
-    const sortedModifiers = [...modifiers].sort(this.Comparators.byChainPriorityThenId);
+  detectDependencyCycle(dependencies) {
+    const graph = new Map();
+    for (const dep of dependencies || []) {
+      if (this.getDependencyType(dep) !== 'REQUIRES') continue;
+      if (!graph.has(dep.modifier_id)) {
+        graph.set(dep.modifier_id, []);
+      }
+      graph.get(dep.modifier_id).push(dep.depends_on);
+    }
     
-    // Group by 8-attribute key as specified in plan
-    const groupMap = new Map();
+    const visited = new Set();
+    const onStack = new Set();
+    const path = [];
     
-    for (const modifier of sortedModifiers) {
-      // Resolve tax setting (handles INHERIT)
-      const resolvedTaxSetting = this.resolveModifierTaxSetting(modifier, lineItems);
+    const dfs = (nodeId) => {
+      visited.add(nodeId);
+      onStack.add(nodeId);
+      path.push(nodeId);
       
-      // Build 8-attribute grouping key with resolved tax setting
-      const groupKey = [
-        resolvedTaxSetting,
-        modifier.modifier_type || 'percentage',
-        modifier.category || 'general',
-        modifier.affects_quantity || false,
-        modifier.cost_percentage || 0,
-        modifier.display_mode || 'inline',
-        modifier.application_type || 'pre_tax',
-        modifier.product_id || 'null'
-      ].join('|');
+      const neighbors = [...(graph.get(nodeId) || [])].sort();
+      for (const neighbor of neighbors) {
+        if (onStack.has(neighbor)) {
+          return path.slice(path.indexOf(neighbor)).concat(neighbor);
+        }
+        if (!visited.has(neighbor)) {
+          const chain = dfs(neighbor);
+          if (chain) return chain;
+        }
+      }
+      
+      onStack.delete(nodeId);
+      path.pop();
+      return null;
+    };
+    
+    for (const nodeId of [...graph.keys()].sort()) {
+      if (!visited.has(nodeId)) {
+        const chain = dfs(nodeId);
+        if (chain) return chain;
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Resolve REQUIRES/EXCLUDES dependencies between modifiers
+   * 
+   * RESOLUTION ORDER:
+   * 1. Reject on circular REQUIRES chains (throws with the offending chain)
+   * 2. Topologically sort so requirements come before dependents,
+   *    breaking ties with byChainPriorityThenId for determinism
+   * 3. Walk the sorted order once:
+   *    - A modifier whose REQUIRES target is absent or was itself rejected
+   *      is rejected with reason 'missing_requirement'
+   *    - A modifier that EXCLUDES (or is excluded by) an already approved
+   *      modifier is rejected with reason 'excluded_by:<winnerId>'
+   *    - Everything else is approved
+   * 
+   * EXCLUDES is symmetric: whichever modifier comes first in resolved order
+   * wins, so the outcome never depends on which side declared the exclusion.
+   * 
+   * @param {Array} modifiers - Normalized modifiers
+   * @param {Array} dependencies - Dependency records (modifier_id, depends_on, type)
+   * @returns {Object} - { approved, rejected: [{id, reason}], resolvedOrder, exclusions }
+   * @throws {Error} - If a circular REQUIRES chain exists
+   */
+  resolveDependencies(modifiers, dependencies) {
+    if (!dependencies || dependencies.length === 0) {
+      return {
+        approved: modifiers,
+        rejected: [],
+        resolvedOrder: modifiers.map(m => m.id),
+        exclusions: []
+      };
+    }
+    
+    const cycle = this.detectDependencyCycle(dependencies);
+    if (cycle) {
+      throw new DependencyCycleError(`Circular dependency detected: ${cycle.join(' → ')}`, {
+        path: 'dependencies',
+        details: { cycle }
+      });
+    }
+    
+    const modifierMap = new Map(modifiers.map(m => [m.id, m]));
+    const requires = new Map(modifiers.map(m => [m.id, []]));
+    const excludes = new Map(modifiers.map(m => [m.id, new Set()]));
+    
+    for (const dep of dependencies) {
+      const type = this.getDependencyType(dep);
+      if (type === 'REQUIRES' && requires.has(dep.modifier_id)) {
+        requires.get(dep.modifier_id).push(dep.depends_on);
+      } else if (type === 'EXCLUDES') {
+        // Symmetric exclusion
+        if (excludes.has(dep.modifier_id)) excludes.get(dep.modifier_id).add(dep.depends_on);
+        if (excludes.has(dep.depends_on)) excludes.get(dep.depends_on).add(dep.modifier_id);
+      }
+    }
+    
+    // Kahn's algorithm over edges between present modifiers only
+    // Absent requirements do not block ordering; they are rejected below
+    const inDegree = new Map(modifiers.map(m => [m.id, 0]));
+    const dependents = new Map(modifiers.map(m => [m.id, []]));
+    for (const [id, required] of requires) {
+      for (const reqId of required) {
+        if (modifierMap.has(reqId)) {
+          dependents.get(reqId).push(id);
+          inDegree.set(id, inDegree.get(id) + 1);
+        }
+      }
+    }
+    
+    const ready = modifiers.filter(m => inDegree.get(m.id) === 0);
+    const sorted = [];
+    while (ready.length > 0) {
+      ready.sort(this.Comparators.byChainPriorityThenId);
+      const current = ready.shift();
+      sorted.push(current);
+      for (const dependentId of dependents.get(current.id)) {
+        inDegree.set(dependentId, inDegree.get(dependentId) - 1);
+        if (inDegree.get(dependentId) === 0) {
+          ready.push(modifierMap.get(dependentId));
+        }
+      }
+    }
+    
+    const approved = [];
+    const approvedIds = new Set();
+    const rejected = [];
+    const exclusions = [];
+    
+    for (const modifier of sorted) {
+      const unmet = requires.get(modifier.id).find(reqId => !approvedIds.has(reqId));
+      if (unmet !== undefined) {
+        rejected.push({ id: modifier.id, reason: 'missing_requirement', requirement: unmet });
+        continue;
+      }
+      
+      const winner = approved.find(m => excludes.get(modifier.id).has(m.id));
+      if (winner) {
+        rejected.push({ id: modifier.id, reason: `excluded_by:${winner.id}` });
+        exclusions.push({ winner: winner.id, loser: modifier.id });
+        continue;
+      }
+      
+      approved.push(modifier);
+      approvedIds.add(modifier.id);
+    }
+    
+    return {
+      approved,
+      rejected,
+      resolvedOrder: sorted.map(m => m.id),
+      exclusions
+    };
+  }
+
+  /**
+   * Build the context that modifier rules are evaluated against
+   * 
+   * Roots match the SecureRuleCompiler path whitelist:
+   * - proposal / customer / project: passed through from input
+   * - computed: aggregates over the normalized line items
+   * - running: running subtotal at rule time (before any modifier applies)
+   * 
+   * Aggregates are plain numbers so SafeRuleEvaluator compares them numerically.
+   * 
+   * @param {Object} input - Raw calculation input
+   * @param {Array} lineItems - Normalized line items
+   * @param {Decimal} baseSubtotal - Q7 base subtotal
+   * @returns {Object} - Rule evaluation context
+   */
+  buildRuleContext(input, lineItems, baseSubtotal) {
+    let totalQuantity = 0;
+    let taxableSubtotal = new Decimal(0);
+    for (const item of lineItems) {
+      totalQuantity += item.quantity;
+      if (item.taxSetting === 'TAXABLE') {
+        taxableSubtotal = taxableSubtotal.plus(new Decimal(item.unitPrice).mul(item.quantity));
+      }
+    }
+    
+    return {
+      proposal: input.proposal || {},
+      customer: input.customer || input.proposal?.customer || {},
+      project: input.project || {},
+      computed: {
+        subtotal: baseSubtotal.toNumber(),
+        taxableSubtotal: PrecisionPolicy.intermediate(taxableSubtotal).toNumber(),
+        totalQuantity: totalQuantity,
+        lineCount: lineItems.length
+      },
+      running: {
+        subtotal: baseSubtotal.toNumber()
+      }
+    };
+  }
+
+  /**
+   * Collect the rules attached to a modifier
+   * 
+   * Rules may be attached inline (modifier.rules) or supplied at the top
+   * level with a modifier_id (input.rules). Each rule is either
+   * {id, ast} or a bare AST node carrying its own id.
+   * 
+   * @param {Object} modifier - Normalized modifier
+   * @param {Array} rules - Top-level rules
+   * @returns {Array} - [{id, ast}] in deterministic order
+   */
+  getModifierRules(modifier, rules) {
+    const attached = [
+      ...(Array.isArray(modifier.rules) ? modifier.rules : []),
+      ...rules.filter(r => r.modifier_id === modifier.id)
+    ];
+    
+    return attached.map((rule, index) => ({
+      id: rule.id || rule.rule_id || `${modifier.id}:rule-${index}`,
+      ast: rule.ast || rule
+    }));
+  }
+
+  /**
+   * Evaluate per-modifier rules with SafeRuleEvaluator
+   * 
+   * A modifier passes when ALL of its rules pass; modifiers without rules
+   * always pass. Evaluation stops at the first failing rule, which is
+   * reported together with the operand values of its comparisons.
+   * 
+   * Evaluator errors (depth/operation limits, invalid operators) propagate:
+   * a rule that cannot be evaluated safely aborts the calculation.
+   * 
+   * @param {Array} modifiers - Modifiers approved by dependency resolution
+   * @param {Array} rules - Top-level rules (may be empty)
+   * @param {Object} context - Rule context from buildRuleContext
+   * @returns {Object} - { passed, failed: [{id, ruleId, reason, comparisons}], stats }
+   */
+  evaluateModifierRules(modifiers, rules, context) {
+    const passed = [];
+    const failed = [];
+    const stats = { evaluated: 0, passed: 0, failed: 0 };
+    
+    for (const modifier of modifiers) {
+      let failure = null;
+      
+      for (const rule of this.getModifierRules(modifier, rules)) {
+        stats.evaluated++;
+        let outcome;
+        try {
+          outcome = this.ruleEvaluator.evaluateWithTrace(rule.ast, context);
+        } catch (error) {
+          throw new RuleError(error.message, {
+            code: error instanceof RuleError ? error.code : 'RULE_EVALUATION_FAILED',
+            locate: { modifier_id: modifier.id, field: 'rules' },
+            details: { ...(error.details || {}), modifier_id: modifier.id, rule_id: rule.id },
+            cause: error
+          });
+        }
+        if (!outcome.result) {
+          failure = {
+            id: modifier.id,
+            ruleId: rule.id,
+            reason: `rule_failed:${rule.id}`,
+            comparisons: outcome.comparisons
+          };
+          break;
+        }
+      }
+      
+      if (failure) {
+        failed.push(failure);
+        stats.failed++;
+      } else {
+        passed.push(modifier);
+        stats.passed++;
+      }
+    }
+    
+    return { passed, failed, stats };
+  }
+
+  /**
+   * Whether a modifier reshapes lines (quantity/cost) rather than price
+   */
+  isLineModifier(modifier) {
+    return modifier.modifier_type === 'quantity' || modifier.modifier_type === 'cost_adjustment';
+  }
+  
+  /**
+   * Whether a modifier's optional line filters select a line item
+   * 
+   * Filters: product_id, line_category, line_item_id (all optional, ANDed).
+   * modifier.category is the grouping attribute (discount/fee/custom) and
+   * never filters lines.
+   */
+  modifierAppliesToLine(modifier, item) {
+    if (modifier.product_id && item.productId !== modifier.product_id) return false;
+    if (modifier.line_category && item.category !== modifier.line_category) return false;
+    if (modifier.line_item_id && item.id !== modifier.line_item_id) return false;
+    return true;
+  }
+  
+  /**
+   * Quantity the line's cost is incurred on (defaults to billed quantity)
+   */
+  costQuantityOf(item) {
+    if (item.costQuantity !== undefined) return item.costQuantity;
+    return item.quantity !== undefined ? item.quantity : 1;
+  }
+  
+  /**
+   * Apply quantity and cost_adjustment modifiers to the line items
+   * 
+   * Runs before pricing, in chain order with every quantity modifier ahead
+   * of every cost modifier. Billed quantity drives price; cost quantity and
+   * the adjusted unit cost drive margin and use tax.
+   * 
+   * QUANTITY MODIFIERS (modifier_type 'quantity', quantity_mode):
+   * - buy_x_get_y: { buy, get } - of every buy+get units, get are free:
+   *   billed quantity drops, cost quantity is unchanged
+   * - waste_factor: value % extra material (round_up for whole units):
+   *   billed and cost quantity both grow
+   * 
+   * COST MODIFIERS (modifier_type 'cost_adjustment', cost_mode):
+   * - percentage (default): unit cost grows by value % (or cost_percentage)
+   * - per_unit: value added to each unit's cost (e.g. freight-in per unit)
+   * - fixed: value spread over the scoped lines by cost quantity
+   * 
+   * @param {Array} lineItems - Normalized line items
+   * @param {Array} modifiers - Approved quantity/cost modifiers
+   * @returns {Object} - { lineItems, report } (report null when no modifiers)
+   * @throws {Error} - On invalid modifier configuration
+   */
+  applyLineModifiers(lineItems, modifiers) {
+    if (modifiers.length === 0) {
+      return { lineItems, report: null };
+    }
+    
+    const typeOrder = { quantity: 0, cost_adjustment: 1 };
+    const ordered = [...modifiers].sort((a, b) =>
+      typeOrder[a.modifier_type] - typeOrder[b.modifier_type] || this.Comparators.byChainPriorityThenId(a, b)
+    );
+    
+    const lines = lineItems.map(item => ({
+      item: { ...item, costQuantity: item.quantity },
+      freeQuantity: new Decimal(0),
+      modifierIds: []
+    }));
+    
+    for (const modifier of ordered) {
+      const scoped = lines.filter(line => this.modifierAppliesToLine(modifier, line.item));
+      if (modifier.modifier_type === 'quantity') {
+        scoped.forEach(line => this.applyQuantityModifier(modifier, line));
+      } else {
+        this.applyCostModifier(modifier, scoped);
+      }
+    }
+    
+    return {
+      lineItems: lines.map(line => line.item),
+      report: lines.map((line, index) => ({
+        line_item_id: line.item.id,
+        ordered_quantity: lineItems[index].quantity,
+        billed_quantity: line.item.quantity,
+        cost_quantity: line.item.costQuantity,
+        free_quantity: line.freeQuantity.toNumber(),
+        unit_cost: lineItems[index].cost,
+        adjusted_unit_cost: line.item.cost,
+        extended_cost_precise: PrecisionPolicy.intermediateString(
+          new Decimal(line.item.cost).mul(line.item.costQuantity)
+        ),
+        modifier_ids: line.modifierIds
+      }))
+    };
+  }
+  
+  /**
+   * Apply one quantity modifier to one line (mutates the working line)
+   * @private
+   */
+  applyQuantityModifier(modifier, line) {
+    const mode = String(modifier.quantity_mode || '').toLowerCase();
+    const quantity = new Decimal(line.item.quantity);
+    
+    if (mode === 'buy_x_get_y') {
+      const buy = this.toDecimalOrThrow(modifier.buy, `modifier ${modifier.id} buy`, { modifier_id: modifier.id, field: 'buy' });
+      const get = this.toDecimalOrThrow(modifier.get, `modifier ${modifier.id} get`, { modifier_id: modifier.id, field: 'get' });
+      if (!buy.isInteger() || !get.isInteger() || buy.lte(0) || get.lte(0)) {
+        throw new ValidationError(`Invalid quantity modifier ${modifier.id}: buy and get must be positive integers`, {
+          code: 'INVALID_MODIFIER',
+          locate: { modifier_id: modifier.id, field: buy.isInteger() && buy.gt(0) ? 'get' : 'buy' },
+          details: { modifier_id: modifier.id, buy: modifier.buy, get: modifier.get }
+        });
+      }
+      const free = quantity.div(buy.plus(get)).floor().mul(get);
+      if (free.isZero()) return;
+      line.freeQuantity = line.freeQuantity.plus(free);
+      line.item.quantity = quantity.minus(free).toNumber();
+    } else if (mode === 'waste_factor') {
+      const factor = new Decimal(1).plus(
+        this.toDecimalOrThrow(modifier.value, `modifier ${modifier.id} value`, { modifier_id: modifier.id, field: 'value' }).div(100)
+      );
+      if (factor.lt(0)) {
+        throw new ValidationError(`Invalid quantity modifier ${modifier.id}: waste factor below -100%`, {
+          code: 'INVALID_MODIFIER',
+          locate: { modifier_id: modifier.id, field: 'value' },
+          details: { modifier_id: modifier.id, value: modifier.value }
+        });
+      }
+      let adjusted = quantity.mul(factor);
+      adjusted = modifier.round_up ? adjusted.ceil() : adjusted.toDecimalPlaces(PrecisionPolicy.INTERMEDIATE_SCALE);
+      const added = adjusted.minus(quantity);
+      line.item.quantity = adjusted.toNumber();
+      line.item.costQuantity = new Decimal(line.item.costQuantity).plus(added).toNumber();
+    } else {
+      throw new ValidationError(`Invalid quantity modifier ${modifier.id}: quantity_mode must be buy_x_get_y or waste_factor`, {
+        code: 'INVALID_ENUM',
+        locate: { modifier_id: modifier.id, field: 'quantity_mode' },
+        details: { modifier_id: modifier.id, value: modifier.quantity_mode, allowed: ['buy_x_get_y', 'waste_factor'] }
+      });
+    }
+    
+    line.modifierIds.push(modifier.id);
+  }
+  
+  /**
+   * Apply one cost modifier to its scoped lines (mutates the working lines)
+   * @private
+   */
+  applyCostModifier(modifier, scoped) {
+    const mode = String(modifier.cost_mode || 'percentage').toLowerCase();
+    // The grouping attribute cost_percentage doubles as the percentage value
+    const rawValue = mode === 'percentage' && modifier.cost_percentage !== undefined
+      ? modifier.cost_percentage
+      : modifier.value;
+    const value = this.toDecimalOrThrow(rawValue, `modifier ${modifier.id} value`, {
+      modifier_id: modifier.id,
+      field: rawValue === modifier.value ? 'value' : 'cost_percentage'
+    });
+    
+    let perUnit;
+    if (mode === 'fixed') {
+      const totalQuantity = scoped.reduce((sum, line) => sum.plus(line.item.costQuantity), new Decimal(0));
+      if (totalQuantity.isZero()) return;
+      perUnit = () => value.div(totalQuantity);
+    } else if (mode === 'per_unit') {
+      perUnit = () => value;
+    } else if (mode === 'percentage') {
+      perUnit = line => new Decimal(line.item.cost).mul(value).div(100);
+    } else {
+      throw new ValidationError(`Invalid cost modifier ${modifier.id}: cost_mode must be percentage, per_unit or fixed`, {
+        code: 'INVALID_ENUM',
+        locate: { modifier_id: modifier.id, field: 'cost_mode' },
+        details: { modifier_id: modifier.id, value: modifier.cost_mode, allowed: ['percentage', 'per_unit', 'fixed'] }
+      });
+    }
+    
+    for (const line of scoped) {
+      line.item.cost = PrecisionPolicy.intermediateString(new Decimal(line.item.cost).plus(perUnit(line)));
+      line.modifierIds.push(modifier.id);
+    }
+  }
+  
+  /**
+   * Build pre-tax and post-tax groups for the approved modifiers
+   * 
+   * Pre-grouped input (preTaxGroups/postTaxGroups) is used as supplied.
+   * Otherwise the approved modifiers are grouped by the 8-attribute key.
+   * 
+   * @param {Object} normalizedInput - Output of normalizeInput
+   * @param {Array} modifiers - Modifiers that survived dependency and rule filtering
+   * @returns {Object} - { preTaxGroups, postTaxGroups }
+   */
+  buildModifierGroups(normalizedInput, modifiers) {
+    const { preTaxGroups, postTaxGroups, lineItems } = normalizedInput;
+    if (preTaxGroups.length > 0 || postTaxGroups.length > 0 || modifiers.length === 0) {
+      return { preTaxGroups, postTaxGroups };
+    }
+    
+    // Pass normalized line items for tax inheritance resolution
+    const groups = this.groupModifiers(modifiers, lineItems);
+    return {
+      preTaxGroups: groups.filter(g => g.application_type !== 'post_tax'),
+      postTaxGroups: groups.filter(g => g.application_type === 'post_tax')
+    };
+  }
+
+  /**
+   * Group modifiers by 8 attributes as per Mathematical Correctness Plan
+   * 
+   * CRITICAL 8-ATTRIBUTE GROUPING KEY:
+   * 1. tax_setting (taxable/non_taxable - resolved from INHERIT)
+   * 2. modifier_type (percentage/fixed/margin/tiered)
+   * 3. category (discount/fee/custom)
+   * 4. affects_quantity (true/false)
+   * 5. cost_percentage (0-100)
+   * 6. display_mode (visible/hidden)
+   * 7. application_type (pre_tax/post_tax)
+   * 8. product_id (specific product or null for all)
+   * 
+   * This grouping ensures:
+   * - Similar modifiers are processed together
+   * - Deterministic application order
+   * - Efficient bulk processing
+   * - Consistent results across runs
+   * 
+   * @param {Array} modifiers - Normalized modifiers to group
+   * @param {Array} lineItems - Line items for tax inheritance
+   * @returns {Array} - Grouped modifiers ready for application
+   */
+  groupModifiers(modifiers, lineItems = []) {
+    // First, sort modifiers deterministically using Comparators
+    // CRITICAL: Must sort BEFORE grouping to ensure consistent groups
+    const sortedModifiers = [...modifiers].sort(this.Comparators.byChainPriorityThenId);
+    
+    // Group by 8-attribute key as specified in plan
+    const groupMap = new Map();
+    
+    for (const modifier of sortedModifiers) {
+      // Resolve tax setting (handles INHERIT)
+      const resolvedTaxSetting = this.resolveModifierTaxSetting(modifier, lineItems);
+      
+      // Build 8-attribute grouping key with resolved tax setting
+      const groupKey = [
+        resolvedTaxSetting,
+        modifier.modifier_type || 'percentage',
+        modifier.category || 'general',
+        modifier.affects_quantity || false,
+        modifier.cost_percentage || 0,
+        modifier.display_mode || 'inline',
+        modifier.application_type || 'pre_tax',
+        modifier.product_id || 'null'
+      ].join('|');
       
       if (!groupMap.has(groupKey)) {
         groupMap.set(groupKey, {
@@ -544,108 +1676,839 @@ class PureCalculationEngine {
   }
 
   /**
-   * Apply modifier groups to state (immutable)
+   * Extended price per line item (Q7)
+   * 
+   * Seeds the per-line running amounts that group allocations are
+   * added to, in the same order as the normalized line items.
+   * 
+   * @param {Array} lineItems - Normalized line items
+   * @returns {Array<{id, quantity, amount: Decimal}>} - Per-line amounts
+   */
+  computeLineAmounts(lineItems) {
+    return lineItems.map(item => ({
+      id: item.id,
+      quantity: item.quantity,
+      amount: PrecisionPolicy.intermediate(new Decimal(item.unitPrice).mul(item.quantity))
+    }));
+  }
+
+  /**
+   * Resolve the allocation strategy for a group
+   * 
+   * Precedence: group.allocation_strategy, then the first modifier in the
+   * group (chain order) that declares one, then config.allocation_strategy.
+   * 
+   * @param {Object} group - Modifier group
+   * @param {Object} config - Normalized config
+   * @returns {string|undefined} - Declared strategy (undefined = not declared)
+   * @throws {ValidationError} - INVALID_ENUM at the field that declared an unknown strategy
+   */
+  resolveAllocationStrategy(group, config = {}) {
+    const declaring = group.allocation_strategy
+      ? null
+      : (group.modifiers || []).find(mod => mod.allocation_strategy);
+    const declared = group.allocation_strategy ||
+      (declaring ? declaring.allocation_strategy : config.allocation_strategy);
+    
+    try {
+      AllocationPolicy.resolveStrategy(declared);
+    } catch (error) {
+      if (declaring) {
+        error.locate = { modifier_id: declaring.id, field: 'allocation_strategy' };
+      } else if (!group.allocation_strategy) {
+        error.path = 'config.allocation_strategy';
+      }
+      throw error;
+    }
+    return declared;
+  }
+
+  /**
+   * Allocate a group adjustment across line items
+   * 
+   * Margin and tiered groups already know their per-line deltas and
+   * allocate them exactly unless a strategy is declared explicitly. Every
+   * other group is split by AllocationPolicy using the current per-line
+   * running amounts.
+   * 
+   * @param {Object} group - Modifier group
+   * @param {Decimal} adjustment - Q7 group adjustment
+   * @param {Array} lineAmounts - Current per-line running amounts
+   * @param {Array} lineItems - Normalized line items
+   * @param {Object} config - Normalized config
+   * @param {Object} [basisContext] - Basis context (percentage groups)
+   * @returns {Object} - { strategy, allocations }
+   */
+  allocateGroupAdjustment(group, adjustment, lineAmounts, lineItems, config, basisContext) {
+    const modifierType = group.attributes?.modifier_type || group.modifier_type;
+    const declared = this.resolveAllocationStrategy(group, config);
+    
+    // Percentage components only land on the lines their basis covers
+    // (e.g. "5% off hardware lines" never spills onto labor lines)
+    if (modifierType === 'percentage' && basisContext) {
+      const strategy = AllocationPolicy.resolveStrategy(declared);
+      const perLine = lineAmounts.map(() => new Decimal(0));
+      for (const component of this.calculatePercentageComponents(group, basisContext)) {
+        const scopedLines = component.lineIndexes.map(index => lineAmounts[index]);
+        AllocationPolicy.allocate(component.amount, scopedLines, strategy).forEach((allocation, k) => {
+          const index = component.lineIndexes[k];
+          perLine[index] = perLine[index].plus(allocation.allocation_precise);
+        });
+      }
+      return { strategy, allocations: AllocationPolicy.fromLineAmounts(lineAmounts, perLine) };
+    }
+    
+    if (modifierType === 'margin' && !declared) {
+      return {
+        strategy: 'line_delta',
+        allocations: AllocationPolicy.fromLineAmounts(
+          lineAmounts,
+          this.calculateMarginLineDeltas(group, lineItems, lineAmounts)
+        )
+      };
+    }
+    
+    if (modifierType === 'tiered' && !declared) {
+      return {
+        strategy: 'line_delta',
+        allocations: AllocationPolicy.fromLineAmounts(
+          lineAmounts,
+          this.calculateTieredLineDeltas(group, basisContext || this.defaultBasisContext(adjustment, lineItems)).deltas
+        )
+      };
+    }
+    
+    const strategy = AllocationPolicy.resolveStrategy(declared);
+    return {
+      strategy,
+      allocations: AllocationPolicy.allocate(adjustment, lineAmounts, strategy)
+    };
+  }
+
+  /**
+   * Apply modifier groups to state (immutable)
+   * 
+   * PURE FUNCTIONAL: Creates new state, never mutates existing
+   * 
+   * Processing:
+   * 1. Iterate through groups in deterministic order
+   * 2. Calculate adjustment for each group
+   * 3. Allocate the adjustment across line items (sums exactly)
+   * 4. Update running subtotal and per-line amounts after each group
+   * 5. Track all adjustments for audit trail
+   * 
+   * Modifier/group min_amount and max_amount bounds and the document
+   * subtotal floor are applied by calculateBoundedAdjustment; clipped
+   * groups carry rawAmount and a clipping record.
+   * 
+   * IMPORTANT: Groups are applied sequentially, not in parallel
+   * This allows later groups to see effects of earlier ones
+   * (e.g., a fee calculated after a discount)
+   * 
+   * @param {Object} state - Current calculation state (immutable)
+   * @param {Array} groups - Modifier groups to apply
+   * @param {Array} lineItems - Line items for context
+   * @param {Object} [config] - Normalized config (allocation defaults)
+   * @returns {Object} - New state with applied modifiers
+   */
+  applyModifierGroups(state, groups, lineItems, config = {}) {
+    // Return new state, never mutate
+    // CRITICAL: Use new Decimal instance to avoid mutation
+    let runningSubtotal = new Decimal(state.runningSubtotal);
+    let lineAmounts = state.lineAmounts || this.computeLineAmounts(lineItems);
+    const newAdjustments = [...state.adjustments];
+    const floor = this.resolveSubtotalFloor(config, lineItems);
+    const steps = state.steps ? [...state.steps] : null;
+    
+    for (const group of groups) {
+      const basisContext = {
+        runningSubtotal: runningSubtotal,
+        originalSubtotal: state.baseSubtotal,
+        lineAmounts: lineAmounts,
+        lineItems: lineItems
+      };
+      const bounded = this.calculateBoundedAdjustment(group, runningSubtotal, lineItems, basisContext, floor);
+      const adjustment = bounded.adjustment;
+      let { strategy, allocations } = this.allocateGroupAdjustment(
+        group, bounded.raw, lineAmounts, lineItems, config, basisContext
+      );
+      if (bounded.clipping.length > 0) {
+        allocations = this.rescaleAllocations(allocations, bounded.raw, adjustment, lineAmounts, strategy);
+      }
+      const entry = {
+        groupId: group.id,
+        amount: adjustment.toFixed(7),
+        attributes: group.attributes,  // Store attributes for tax calculation
+        allocationStrategy: strategy,
+        allocations: allocations
+      };
+      if ((group.attributes?.modifier_type || group.modifier_type) === 'tiered') {
+        entry.tiers = this.calculateTieredLineDeltas(group, basisContext).hits;
+      }
+      if ((group.attributes?.modifier_type || group.modifier_type) === 'margin') {
+        entry.marginLines = this.describeMarginTargets(this.resolveMarginTargets(group, lineItems), lineItems);
+      }
+      if (bounded.clipping.length > 0) {
+        entry.rawAmount = PrecisionPolicy.intermediateString(bounded.raw);
+        entry.clipping = bounded.clipping;
+      }
+      newAdjustments.push(entry);
+      runningSubtotal = PrecisionPolicy.intermediate(runningSubtotal.plus(adjustment));
+      lineAmounts = lineAmounts.map((line, index) => ({
+        ...line,
+        amount: PrecisionPolicy.intermediate(line.amount.plus(allocations[index].allocation_precise))
+      }));
+      
+      if (steps) {
+        steps.push(this.explainGroupStep(group, adjustment, runningSubtotal, basisContext, bounded.clipping));
+      }
+    }
+    
+    return {
+      ...state,
+      runningSubtotal: runningSubtotal,
+      lineAmounts: lineAmounts,
+      adjustments: newAdjustments,
+      steps: steps
+    };
+  }
+
+  /**
+   * Explain step: base subtotal from line items
+   */
+  explainBaseStep(lineItems, baseSubtotal) {
+    return {
+      type: 'base_subtotal',
+      lines: lineItems.map(item => ({
+        id: item.id,
+        unit_price: item.unitPrice,
+        quantity: item.quantity,
+        extended_precise: PrecisionPolicy.intermediateString(new Decimal(item.unitPrice).mul(item.quantity))
+      })),
+      subtotal_precise: PrecisionPolicy.intermediateString(baseSubtotal),
+      subtotal: PrecisionPolicy.finalString(baseSubtotal)
+    };
+  }
+
+  /**
+   * Explain step: one modifier group application
+   * 
+   * Only pre-tax taxable groups contribute to the taxable base; post-tax
+   * groups are applied after tax and always report a zero contribution.
+   */
+  explainGroupStep(group, adjustment, runningSubtotalAfter, basisContext, clipping = []) {
+    const modifierType = group.attributes?.modifier_type || group.modifier_type;
+    const applicationType = group.attributes?.application_type || group.application_type || 'pre_tax';
+    const taxSetting = group.attributes?.tax_setting || 'taxable';
+    const sources = group.modifiers && group.modifiers.length > 0 ? group.modifiers : [group];
+    
+    const step = {
+      type: 'modifier_group',
+      phase: applicationType,
+      groupId: group.id,
+      modifierType: modifierType,
+      modifierIds: sources.map(mod => mod.id).filter(Boolean)
+    };
+    
+    if (modifierType === 'percentage') {
+      const components = this.calculatePercentageComponents(group, basisContext);
+      step.basis = components.map(component => ({
+        basis_type: component.policy.basis_type,
+        basis_precise: PrecisionPolicy.intermediateString(component.basis),
+        rate: component.rate.toString(),
+        amount_precise: PrecisionPolicy.intermediateString(component.amount)
+      }));
+      step.combinedRate = components
+        .reduce((sum, component) => sum.plus(component.rate), new Decimal(0))
+        .toString();
+    } else if (modifierType === 'fixed') {
+      step.combinedAmount = sources
+        .reduce((sum, mod) => sum.plus(new Decimal(mod.fixed_amount || mod.value || '0')), new Decimal(0))
+        .toString();
+    } else if (modifierType === 'margin') {
+      step.targetMargin = String(sources[0].value || '0');
+      step.marginLines = this.describeMarginTargets(
+        this.resolveMarginTargets(group, basisContext.lineItems),
+        basisContext.lineItems
+      );
+    } else if (modifierType === 'tiered') {
+      step.tiers = this.calculateTieredLineDeltas(group, basisContext).hits;
+    }
+    
+    if (clipping.length > 0) {
+      step.clipping = clipping;
+    }
+    
+    const contributes = applicationType !== 'post_tax' && taxSetting === 'taxable';
+    return {
+      ...step,
+      adjustment_precise: PrecisionPolicy.intermediateString(adjustment),
+      adjustment_rounded: PrecisionPolicy.finalString(adjustment),
+      running_subtotal_precise: PrecisionPolicy.intermediateString(runningSubtotalAfter),
+      taxable_base_contribution_precise: PrecisionPolicy.intermediateString(contributes ? adjustment : 0)
+    };
+  }
+
+  /**
+   * Explain step: grand totals as reported
+   */
+  explainTotalStep(state, result) {
+    return {
+      type: 'total',
+      running_subtotal_precise: PrecisionPolicy.intermediateString(state.runningSubtotal),
+      retail_tax_precise: PrecisionPolicy.intermediateString(state.retailTaxAmount),
+      customer_grand_total_precise: PrecisionPolicy.intermediateString(
+        state.taxIncluded ? state.runningSubtotal : state.runningSubtotal.plus(state.retailTaxAmount)
+      ),
+      customer_grand_total: result.customerGrandTotal
+    };
+  }
+
+  /**
+   * Calculate adjustment for a modifier group
+   * 
+   * MODIFIER TYPE DISPATCH: Routes to appropriate calculation method
+   * 
+   * Supported types:
+   * - percentage: Apply % of basis (e.g., 10% discount)
+   * - fixed: Apply fixed amount (e.g., $5 off)
+   * - margin: Adjust to achieve target margin
+   * - tiered: Quantity/amount brackets (see calculateTieredLineDeltas)
+   * 
+   * GROUP AGGREGATION:
+   * When multiple modifiers are in same group (8-attribute match),
+   * their values are SUMMED before application.
+   * Example: Two 5% discounts in same group = 10% total discount
+   * Percentages are summed per basis policy (see calculatePercentageComponents).
+   * 
+   * @param {Object} group - Modifier group with attributes
+   * @param {Decimal} basis - Current subtotal to apply modifier to
+   * @param {Array} lineItems - Line items for margin calculations
+   * @param {Object} [basisContext] - Subtotals and per-line amounts for basis resolution
+   * @returns {Decimal} - Adjustment amount (positive or negative)
+   */
+  calculateGroupAdjustment(group, basis, lineItems, basisContext) {
+    const modifierType = group.attributes?.modifier_type || group.modifier_type;
+    
+    switch (modifierType) {
+      case 'percentage':
+        return this.calculatePercentageComponents(
+          group,
+          basisContext || this.defaultBasisContext(basis, lineItems)
+        ).reduce(
+          (total, component) => PrecisionPolicy.intermediate(total.plus(component.amount)),
+          new Decimal(0)
+        );
+      
+      case 'fixed':
+        // For grouped modifiers, sum their values
+        let totalFixed = new Decimal(0);
+        if (group.modifiers && group.modifiers.length > 0) {
+          for (const mod of group.modifiers) {
+            // Handle both 'fixed_amount' and 'value' fields for fixed modifiers
+            const fixedValue = mod.fixed_amount || mod.value || '0';
+            totalFixed = totalFixed.plus(new Decimal(fixedValue));
+          }
+        } else {
+          // Single modifier or pre-computed value
+          totalFixed = new Decimal(group.fixed_amount || group.value || '0');
+        }
+        return PrecisionPolicy.intermediate(totalFixed);
+      
+      case 'margin':
+        // Pass the whole group for margin calculation, measured on the running line amounts
+        return this.calculateMarginAdjustment(group, lineItems, basisContext?.lineAmounts);
+      
+      case 'tiered':
+        return PrecisionPolicy.sum(
+          this.calculateTieredLineDeltas(group, basisContext || this.defaultBasisContext(basis, lineItems)).deltas
+        );
+      
+      default:
+        return new Decimal(0);
+    }
+  }
+
+  /**
+   * Per-line deltas and bracket hits for a tiered group
+   * 
+   * TIERED MODIFIER FIELDS:
+   * - tiers: [{ min, max?, value }] - brackets, min inclusive, max exclusive
+   * - tier_basis: 'quantity' (default) | 'amount' - what the brackets measure
+   * - tier_mode: 'all_units' (default) - the reached bracket prices everything
+   *              'graduated' - each bracket prices only its own portion
+   * - tier_scope: 'line' (default) - each line measured on its own
+   *               'product' - lines with the same product_id measured together
+   * - tier_value_type: 'percentage' (default) - value is % of the priced amount
+   *                    'unit_amount' - value per unit (quantity basis only)
+   * - product_id / line_category / line_item_id: optional line filters
+   *   (category is the grouping attribute and selects no lines)
+   * 
+   * Amounts are the current running line amounts. Product-scope deltas are
+   * spread over the product's lines (pro-rata by amount, or by quantity for
+   * unit amounts). Each modifier in the group is evaluated independently
+   * and the deltas are summed.
+   * 
+   * @param {Object} group - Tiered modifier group
+   * @param {Object} context - Basis context (lineAmounts, lineItems)
+   * @returns {Object} - { deltas: Array<Decimal> per line, hits: Array }
+   * @throws {Error} - On invalid tier configuration
+   */
+  calculateTieredLineDeltas(group, context) {
+    const { lineAmounts, lineItems } = context;
+    const deltas = lineAmounts.map(() => new Decimal(0));
+    const hits = [];
+    const sources = group.modifiers && group.modifiers.length > 0 ? group.modifiers : [group];
+    
+    for (const modifier of sources) {
+      const tiering = this.normalizeTiering(modifier);
+      
+      // Lines this modifier applies to, bucketed by scope
+      const buckets = new Map();
+      lineItems.forEach((item, index) => {
+        if (!this.modifierAppliesToLine(modifier, item)) return;
+        const key = tiering.scope === 'product' && item.productId ? item.productId : item.id;
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(index);
+      });
+      
+      for (const [scopeKey, indexes] of buckets) {
+        const quantity = indexes.reduce((sum, index) => sum.plus(lineItems[index].quantity || 0), new Decimal(0));
+        const amount = PrecisionPolicy.sum(indexes.map(index => lineAmounts[index].amount));
+        const measure = tiering.basis === 'amount' ? amount : quantity;
+        const priced = this.priceTiers(tiering, measure, quantity, amount);
+        
+        const scopedLines = indexes.map(index => lineAmounts[index]);
+        const strategy = tiering.valueType === 'unit_amount' ? 'by_quantity' : 'pro_rata';
+        AllocationPolicy.allocate(priced.delta, scopedLines, strategy).forEach((allocation, k) => {
+          deltas[indexes[k]] = deltas[indexes[k]].plus(allocation.allocation_precise);
+        });
+        
+        const reached = priced.brackets.length > 0 ? priced.brackets[priced.brackets.length - 1] : null;
+        hits.push({
+          modifier_id: modifier.id,
+          scope: tiering.scope,
+          scope_key: scopeKey,
+          line_item_ids: indexes.map(index => lineItems[index].id),
+          tier_basis: tiering.basis,
+          tier_mode: tiering.mode,
+          measure: measure.toString(),
+          tier_index: reached ? reached.tier_index : null,
+          tier: reached ? { min: reached.min, max: reached.max, value: reached.value } : null,
+          brackets: priced.brackets,
+          amount_precise: PrecisionPolicy.intermediateString(priced.delta)
+        });
+      }
+    }
+    
+    return {
+      deltas: deltas.map(delta => PrecisionPolicy.intermediate(delta)),
+      hits
+    };
+  }
+  
+  /**
+   * Validate and normalize a tiered modifier's configuration
+   * @private
+   */
+  normalizeTiering(modifier) {
+    const fail = (message, field = 'tiers') => {
+      throw new ValidationError(`Invalid tiered modifier ${modifier.id}: ${message}`, {
+        code: 'INVALID_MODIFIER',
+        locate: { modifier_id: modifier.id, field },
+        details: { modifier_id: modifier.id }
+      });
+    };
+    const basis = String(modifier.tier_basis || 'quantity').toLowerCase();
+    const mode = String(modifier.tier_mode || 'all_units').toLowerCase();
+    const scope = String(modifier.tier_scope || 'line').toLowerCase();
+    const valueType = String(modifier.tier_value_type || 'percentage').toLowerCase();
+    
+    if (!['quantity', 'amount'].includes(basis)) fail('tier_basis must be quantity or amount', 'tier_basis');
+    if (!['all_units', 'graduated'].includes(mode)) fail('tier_mode must be all_units or graduated', 'tier_mode');
+    if (!['line', 'product'].includes(scope)) fail('tier_scope must be line or product', 'tier_scope');
+    if (!['percentage', 'unit_amount'].includes(valueType)) fail('tier_value_type must be percentage or unit_amount', 'tier_value_type');
+    if (valueType === 'unit_amount' && basis !== 'quantity') fail('unit_amount tiers require tier_basis quantity', 'tier_value_type');
+    if (!Array.isArray(modifier.tiers) || modifier.tiers.length === 0) fail('tiers must be a non-empty array');
+    
+    const tierField = (index, key) => ({ modifier_id: modifier.id, field: `tiers[${index}].${key}` });
+    const tiers = modifier.tiers.map((tier, index) => ({
+      index,
+      min: this.toDecimalOrThrow(tier.min !== undefined ? tier.min : 0, `modifier ${modifier.id} tiers[${index}].min`, tierField(index, 'min')),
+      max: tier.max === undefined || tier.max === null ? null : this.toDecimalOrThrow(tier.max, `modifier ${modifier.id} tiers[${index}].max`, tierField(index, 'max')),
+      value: this.toDecimalOrThrow(tier.value, `modifier ${modifier.id} tiers[${index}].value`, tierField(index, 'value'))
+    })).sort((a, b) => a.min.comparedTo(b.min));
+    
+    tiers.forEach((tier, i) => {
+      if (tier.max !== null && tier.max.lte(tier.min)) fail(`tiers[${tier.index}] max must exceed min`, `tiers[${tier.index}].max`);
+      const next = tiers[i + 1];
+      if (next && (tier.max === null || tier.max.gt(next.min))) fail('tiers must not overlap');
+    });
+    
+    return { basis, mode, scope, valueType, tiers };
+  }
+  
+  /**
+   * Price one scope against its tiers
+   * 
+   * @private
+   * @returns {Object} - { delta: Decimal, brackets: [{tier_index, min, max, value, portion, amount_precise}] }
+   */
+  priceTiers(tiering, measure, quantity, amount) {
+    // Amount priced by a portion of the measure (quantity portions use the average unit price)
+    const pricedAmount = portion => tiering.basis === 'amount'
+      ? portion
+      : (quantity.isZero() ? new Decimal(0) : amount.mul(portion).div(quantity));
+    const price = (tier, portion) => tiering.valueType === 'unit_amount'
+      ? portion.mul(tier.value)
+      : pricedAmount(portion).mul(tier.value).div(100);
+    const describe = (tier, portion, value) => ({
+      tier_index: tier.index,
+      min: tier.min.toString(),
+      max: tier.max === null ? null : tier.max.toString(),
+      value: tier.value.toString(),
+      portion: portion.toString(),
+      amount_precise: PrecisionPolicy.intermediateString(value)
+    });
+    
+    if (tiering.mode === 'all_units') {
+      const reached = [...tiering.tiers].reverse().find(tier => measure.gte(tier.min));
+      if (!reached) {
+        return { delta: new Decimal(0), brackets: [] };
+      }
+      const delta = PrecisionPolicy.intermediate(price(reached, measure));
+      return { delta, brackets: [describe(reached, measure, delta)] };
+    }
+    
+    let delta = new Decimal(0);
+    const brackets = [];
+    for (const tier of tiering.tiers) {
+      if (measure.lte(tier.min)) break;
+      const upper = tier.max === null ? measure : Decimal.min(measure, tier.max);
+      const portion = Decimal.max(upper.minus(tier.min), 0);
+      const value = PrecisionPolicy.intermediate(price(tier, portion));
+      delta = delta.plus(value);
+      brackets.push(describe(tier, portion, value));
+    }
+    return { delta: PrecisionPolicy.intermediate(delta), brackets };
+  }
+  
+  /**
+   * Group adjustment after modifier caps, group caps and the subtotal floor
+   * 
+   * BOUNDS (min_amount / max_amount):
+   * Bounds limit the MAGNITUDE of an amount and keep its sign, so
+   * "15% off, up to $500" is value -15 with max_amount 500 and
+   * "3% fee, minimum $25" is value 3 with min_amount 25. A zero amount
+   * raised to a minimum takes the sign of the modifier's value.
+   * - Modifier level: min_amount / max_amount on each modifier
+   * - Group level: group.min_amount / max_amount, else the first modifier
+   *   (chain order) declaring group_min_amount / group_max_amount
+   * 
+   * SUBTOTAL FLOOR (config.subtotal_floor):
+   * ZERO, COST (Σ cost × cost quantity) or an amount. A reducing group is
+   * clipped so the running subtotal never drops below the floor.
+   * 
+   * @param {Object} group - Modifier group
+   * @param {Decimal} runningSubtotal - Subtotal before this group
+   * @param {Array} lineItems - Normalized line items
+   * @param {Object} basisContext - Basis context for this group
+   * @param {Decimal|null} floor - Resolved subtotal floor
+   * @returns {Object} - { raw: Decimal, adjustment: Decimal, clipping: Array }
+   */
+  calculateBoundedAdjustment(group, runningSubtotal, lineItems, basisContext, floor) {
+    const clipping = [];
+    const sources = group.modifiers && group.modifiers.length > 0 ? group.modifiers : [];
+    const hasModifierBounds = sources.some(mod => mod.min_amount !== undefined || mod.max_amount !== undefined);
+    
+    let raw;
+    let adjustment;
+    if (hasModifierBounds) {
+      // Each modifier is evaluated alone so its own bounds can apply
+      raw = new Decimal(0);
+      adjustment = new Decimal(0);
+      for (const modifier of sources) {
+        const amount = this.calculateGroupAdjustment(
+          { ...group, modifiers: [modifier] }, runningSubtotal, lineItems, basisContext
+        );
+        const bounded = this.clampMagnitude(amount, modifier, modifier.value, { modifier_id: modifier.id });
+        raw = raw.plus(amount);
+        adjustment = adjustment.plus(bounded.amount);
+        if (bounded.bound) {
+          clipping.push(this.describeClipping('modifier', modifier.id, bounded.bound, amount, bounded.amount));
+        }
+      }
+      raw = PrecisionPolicy.intermediate(raw);
+      adjustment = PrecisionPolicy.intermediate(adjustment);
+    } else {
+      raw = this.calculateGroupAdjustment(group, runningSubtotal, lineItems, basisContext);
+      adjustment = raw;
+    }
+    
+    const groupBounds = this.resolveGroupBounds(group);
+    if (groupBounds) {
+      const signHint = sources.length > 0 ? sources[0].value : group.value;
+      const bounded = this.clampMagnitude(adjustment, groupBounds, signHint);
+      if (bounded.bound) {
+        clipping.push(this.describeClipping('group', group.id, bounded.bound, adjustment, bounded.amount));
+        adjustment = bounded.amount;
+      }
+    }
+    
+    if (floor !== null && adjustment.isNegative() && runningSubtotal.plus(adjustment).lt(floor)) {
+      const allowed = Decimal.min(0, PrecisionPolicy.intermediate(floor.minus(runningSubtotal)));
+      clipping.push(this.describeClipping('document', 'subtotal_floor', 'subtotal_floor', adjustment, allowed));
+      adjustment = allowed;
+    }
+    
+    return { raw, adjustment, clipping };
+  }
+  
+  /**
+   * Clamp an amount's magnitude into [min_amount, max_amount]
+   * 
+   * @param {Decimal} amount - Amount to bound
+   * @param {Object} bounds - { min_amount?, max_amount? }
+   * @param {string} [signHint] - Value whose sign a zero amount takes
+   * @param {Object} [owner] - { modifier_id } when the bounds are a modifier's
+   * @returns {Object} - { amount: Decimal, bound: 'min_amount'|'max_amount'|null }
+   * @throws {ValidationError} - INVALID_BOUNDS on negative or inverted bounds
+   */
+  clampMagnitude(amount, bounds, signHint, owner = {}) {
+    const min = bounds.min_amount !== undefined && bounds.min_amount !== null
+      ? this.toDecimalOrThrow(bounds.min_amount, 'min_amount', { ...owner, field: 'min_amount' })
+      : null;
+    const max = bounds.max_amount !== undefined && bounds.max_amount !== null
+      ? this.toDecimalOrThrow(bounds.max_amount, 'max_amount', { ...owner, field: 'max_amount' })
+      : null;
+    if ((min && min.isNegative()) || (max && max.isNegative()) || (min && max && min.gt(max))) {
+      throw new ValidationError(`Invalid bounds: min_amount ${bounds.min_amount}, max_amount ${bounds.max_amount}`, {
+        code: 'INVALID_BOUNDS',
+        locate: owner.modifier_id !== undefined ? { ...owner, field: min && min.isNegative() ? 'min_amount' : 'max_amount' } : null,
+        details: { ...owner, min_amount: bounds.min_amount, max_amount: bounds.max_amount }
+      });
+    }
+    
+    const sign = amount.isZero()
+      ? (new Decimal(signHint || 0).isNegative() ? -1 : 1)
+      : amount.s;
+    const magnitude = amount.abs();
+    if (max && magnitude.gt(max)) {
+      return { amount: PrecisionPolicy.intermediate(max.mul(sign)), bound: 'max_amount' };
+    }
+    if (min && magnitude.lt(min)) {
+      return { amount: PrecisionPolicy.intermediate(min.mul(sign)), bound: 'min_amount' };
+    }
+    return { amount, bound: null };
+  }
+  
+  /**
+   * Group-level bounds, if any (see calculateBoundedAdjustment)
+   */
+  resolveGroupBounds(group) {
+    if (group.min_amount !== undefined || group.max_amount !== undefined) {
+      return { min_amount: group.min_amount, max_amount: group.max_amount };
+    }
+    const declaring = (group.modifiers || []).find(mod =>
+      mod.group_min_amount !== undefined || mod.group_max_amount !== undefined
+    );
+    return declaring
+      ? { min_amount: declaring.group_min_amount, max_amount: declaring.group_max_amount }
+      : null;
+  }
+  
+  /**
+   * Resolve config.subtotal_floor to an amount
+   * 
+   * @returns {Decimal|null} - Floor, or null when not configured
+   */
+  resolveSubtotalFloor(config, lineItems) {
+    const floor = config.subtotal_floor;
+    if (floor === undefined || floor === null) {
+      return null;
+    }
+    if (floor === 'ZERO') {
+      return new Decimal(0);
+    }
+    if (floor === 'COST') {
+      return PrecisionPolicy.sum(lineItems.map(item =>
+        new Decimal(item.cost || item.unitPrice).mul(this.costQuantityOf(item))
+      ));
+    }
+    return this.toDecimalOrThrow(floor, 'config.subtotal_floor');
+  }
+  
+  /**
+   * Clipping record for the result
+   * @private
+   */
+  describeClipping(level, id, bound, raw, clipped) {
+    return {
+      level,
+      id,
+      bound,
+      raw_precise: PrecisionPolicy.intermediateString(raw),
+      clipped_precise: PrecisionPolicy.intermediateString(clipped),
+      clipped_by_precise: PrecisionPolicy.intermediateString(new Decimal(raw).minus(clipped))
+    };
+  }
+  
+  /**
+   * Re-spread allocations after the group amount was clipped
+   * 
+   * Lines keep their share of the raw allocation; a raw amount of zero
+   * (e.g. a minimum charge on an empty basis) is spread over the current
+   * line amounts instead.
+   */
+  rescaleAllocations(allocations, raw, adjustment, lineAmounts, strategy) {
+    if (raw.isZero()) {
+      const fallback = strategy === 'line_delta' ? AllocationPolicy.DEFAULT_STRATEGY : strategy;
+      return AllocationPolicy.allocate(adjustment, lineAmounts, fallback);
+    }
+    const weights = allocations.map((allocation, index) => ({
+      id: allocation.line_item_id,
+      quantity: lineAmounts[index].quantity,
+      amount: new Decimal(allocation.allocation_precise)
+    }));
+    return AllocationPolicy.allocate(adjustment, weights, 'pro_rata');
+  }
+  
+  /**
+   * Basis context when only a scalar basis is known
+   * 
+   * Used by callers that pass a basis without engine state: both subtotals
+   * are the supplied basis and line amounts are the extended prices.
+   */
+  defaultBasisContext(basis, lineItems) {
+    return {
+      runningSubtotal: basis,
+      originalSubtotal: basis,
+      lineAmounts: this.computeLineAmounts(lineItems),
+      lineItems: lineItems
+    };
+  }
+
+  /**
+   * Basis policy declared by a percentage modifier
    * 
-   * PURE FUNCTIONAL: Creates new state, never mutates existing
+   * Fields:
+   * - basis_type: running_subtotal (default) | original_subtotal |
+   *   line_subtotal | product | category
+   * - basis_line_item_id (or line_item_id): target line for line_subtotal
+   * - basis_product_id (or product_id): target product for product
+   * - basis_category: target line category for category
    * 
-   * Processing:
-   * 1. Iterate through groups in deterministic order
-   * 2. Calculate adjustment for each group
-   * 3. Update running subtotal after each group
-   * 4. Track all adjustments for audit trail
+   * @param {Object} modifier - Modifier (or pre-computed group)
+   * @returns {Object} - Basis policy
+   */
+  getBasisPolicy(modifier) {
+    return {
+      basis_type: String(modifier.basis_type || 'running_subtotal').toLowerCase(),
+      line_item_id: modifier.basis_line_item_id || modifier.line_item_id || null,
+      product_id: modifier.basis_product_id || modifier.product_id || null,
+      category: modifier.basis_category || null
+    };
+  }
+
+  /**
+   * Split a percentage group into one component per distinct basis policy
    * 
-   * IMPORTANT: Groups are applied sequentially, not in parallel
-   * This allows later groups to see effects of earlier ones
-   * (e.g., a fee calculated after a discount)
+   * Modifiers sharing a basis policy have their rates SUMMED and applied
+   * once (preserving the existing group aggregation), so a group with a
+   * single policy produces exactly one component.
    * 
-   * @param {Object} state - Current calculation state (immutable)
-   * @param {Array} groups - Modifier groups to apply
-   * @param {Array} lineItems - Line items for context
-   * @returns {Object} - New state with applied modifiers
+   * @param {Object} group - Percentage modifier group
+   * @param {Object} context - Basis context
+   * @returns {Array<{policy, rate: Decimal, modifier, basis: Decimal, amount: Decimal, lineIndexes}>}
    */
-  applyModifierGroups(state, groups, lineItems) {
-    // Return new state, never mutate
-    // CRITICAL: Use new Decimal instance to avoid mutation
-    let runningSubtotal = new Decimal(state.runningSubtotal);
-    const newAdjustments = [...state.adjustments];
+  calculatePercentageComponents(group, context) {
+    // Single modifier or pre-computed value
+    const sources = group.modifiers && group.modifiers.length > 0 ? group.modifiers : [group];
+    const components = new Map();
     
-    for (const group of groups) {
-      const adjustment = this.calculateGroupAdjustment(group, runningSubtotal, lineItems);
-      newAdjustments.push({
-        groupId: group.id,
-        amount: adjustment.toFixed(7),
-        attributes: group.attributes  // Store attributes for tax calculation
-      });
-      runningSubtotal = PrecisionPolicy.intermediate(runningSubtotal.plus(adjustment));
+    for (const mod of sources) {
+      const policy = this.getBasisPolicy(mod);
+      const key = [policy.basis_type, policy.line_item_id, policy.product_id, policy.category].join('|');
+      if (!components.has(key)) {
+        components.set(key, { policy, rate: new Decimal(0), modifier: mod });
+      }
+      // Handle both 'percent' and 'value' fields for percentage modifiers
+      const percentValue = mod.percent || mod.value || '0';
+      const component = components.get(key);
+      component.rate = component.rate.plus(new Decimal(percentValue));
     }
     
-    return {
-      ...state,
-      runningSubtotal: runningSubtotal,
-      adjustments: newAdjustments
-    };
+    return Array.from(components.values()).map(component => {
+      const resolved = this.resolveBasis(component.policy, context, component.modifier);
+      return {
+        ...component,
+        basis: resolved.basis,
+        lineIndexes: resolved.lineIndexes,
+        amount: PrecisionPolicy.intermediate(resolved.basis.mul(component.rate).div(100))
+      };
+    });
   }
 
   /**
-   * Calculate adjustment for a modifier group
-   * 
-   * MODIFIER TYPE DISPATCH: Routes to appropriate calculation method
+   * Resolve a basis policy to an amount and the lines it covers
    * 
-   * Supported types:
-   * - percentage: Apply % of basis (e.g., 10% discount)
-   * - fixed: Apply fixed amount (e.g., $5 off)
-   * - margin: Adjust to achieve target margin
+   * BASIS TYPES:
+   * - running_subtotal: subtotal after all earlier groups (all lines)
+   * - original_subtotal: base subtotal before any modifier (all lines)
+   * - line_subtotal: current amount of one line item
+   * - product: current amount of lines with matching product id
+   * - category: current amount of lines with matching category
    * 
-   * GROUP AGGREGATION:
-   * When multiple modifiers are in same group (8-attribute match),
-   * their values are SUMMED before application.
-   * Example: Two 5% discounts in same group = 10% total discount
+   * Line-scoped bases use per-line running amounts, i.e. net of earlier
+   * adjustments allocated to those lines.
    * 
-   * @param {Object} group - Modifier group with attributes
-   * @param {Decimal} basis - Current subtotal to apply modifier to
-   * @param {Array} lineItems - Line items for margin calculations
-   * @returns {Decimal} - Adjustment amount (positive or negative)
+   * @param {Object} policy - Basis policy from getBasisPolicy
+   * @param {Object} context - Basis context
+   * @param {Object} [modifier] - Modifier that declared the policy (locates errors)
+   * @returns {Object} - { basis: Decimal, lineIndexes: Array<number> }
+   * @throws {ValidationError} - On unknown basis type or missing target
    */
-  calculateGroupAdjustment(group, basis, lineItems) {
-    const modifierType = group.attributes?.modifier_type || group.modifier_type;
+  resolveBasis(policy, context, modifier) {
+    const allLines = context.lineAmounts.map((_, index) => index);
+    const locate = field => (modifier ? { modifier_id: modifier.id, field } : null);
+    const scoped = (predicate, label, field) => {
+      const lineIndexes = allLines.filter(index => predicate(context.lineItems[index]));
+      if (lineIndexes.length === 0) {
+        throw new ValidationError(`Basis ${policy.basis_type} matched no line items: ${label}`, {
+          code: 'BASIS_NO_MATCH',
+          locate: locate(field),
+          details: { basis_type: policy.basis_type, target: label }
+        });
+      }
+      const basis = lineIndexes.reduce(
+        (sum, index) => sum.plus(context.lineAmounts[index].amount),
+        new Decimal(0)
+      );
+      return { basis: PrecisionPolicy.intermediate(basis), lineIndexes };
+    };
     
-    switch (modifierType) {
-      case 'percentage':
-        // For grouped modifiers, sum their values
-        let totalPercent = new Decimal(0);
-        if (group.modifiers && group.modifiers.length > 0) {
-          for (const mod of group.modifiers) {
-            // Handle both 'percent' and 'value' fields for percentage modifiers
-            const percentValue = mod.percent || mod.value || '0';
-            totalPercent = totalPercent.plus(new Decimal(percentValue));
-          }
-        } else {
-          // Single modifier or pre-computed value
-          totalPercent = new Decimal(group.percent || group.value || '0');
-        }
-        return PrecisionPolicy.intermediate(basis.mul(totalPercent).div(100));
-      
-      case 'fixed':
-        // For grouped modifiers, sum their values
-        let totalFixed = new Decimal(0);
-        if (group.modifiers && group.modifiers.length > 0) {
-          for (const mod of group.modifiers) {
-            // Handle both 'fixed_amount' and 'value' fields for fixed modifiers
-            const fixedValue = mod.fixed_amount || mod.value || '0';
-            totalFixed = totalFixed.plus(new Decimal(fixedValue));
-          }
-        } else {
-          // Single modifier or pre-computed value
-          totalFixed = new Decimal(group.fixed_amount || group.value || '0');
-        }
-        return PrecisionPolicy.intermediate(totalFixed);
-      
-      case 'margin':
-        // Pass the whole group for margin calculation
-        return this.calculateMarginAdjustment(group, lineItems);
-      
+    switch (policy.basis_type) {
+      case 'running_subtotal':
+        return { basis: new Decimal(context.runningSubtotal), lineIndexes: allLines };
+      case 'original_subtotal':
+        return { basis: new Decimal(context.originalSubtotal), lineIndexes: allLines };
+      case 'line_subtotal':
+        return scoped(item => item.id === policy.line_item_id, policy.line_item_id,
+          modifier?.basis_line_item_id ? 'basis_line_item_id' : 'line_item_id');
+      case 'product':
+        return scoped(item => item.productId === policy.product_id, policy.product_id,
+          modifier?.basis_product_id ? 'basis_product_id' : 'product_id');
+      case 'category':
+        return scoped(item => item.category === policy.category, policy.category, 'basis_category');
       default:
-        return new Decimal(0);
+        throw new ValidationError(`Invalid basis_type: ${policy.basis_type}`, {
+          code: 'INVALID_ENUM',
+          locate: locate('basis_type'),
+          details: {
+            value: policy.basis_type,
+            allowed: ['running_subtotal', 'original_subtotal', 'line_subtotal', 'product', 'category']
+          }
+        });
     }
   }
 
@@ -657,6 +2520,18 @@ class PureCalculationEngine {
    * Formula: margin = (revenue - cost) / revenue
    * Rearranged: revenue = cost / (1 - margin)
    * 
+   * SCOPING:
+   * Each line takes the first modifier in the group (chain order) whose
+   * product_id / line_category / line_item_id filters select it; lines no
+   * modifier selects are left unchanged. Without filters a margin modifier
+   * applies to every line (category only groups modifiers).
+   * 
+   * MISSING COST (missing_cost_strategy, for lines without a cost):
+   * - omitted: cost defaults to the unit price (legacy behaviour)
+   * - SKIP: the line is left unchanged and a warning is reported
+   * - USE_DEFAULT: cost is default_cost_pct % of the net unit price (70)
+   * - FAIL: the calculation is rejected
+   * 
    * CRITICAL GUARDS:
    * - Margin must be in [0, 1) range (0% to 99.99%)
    * - Prevents negative margins (selling below cost)
@@ -665,53 +2540,248 @@ class PureCalculationEngine {
    * 
    * CALCULATION:
    * 1. Calculate required revenue for target margin
-   * 2. Subtract current revenue to get adjustment
+   * 2. Subtract current revenue (the running line amount, after earlier
+   *    groups) to get adjustment
    * 3. Apply Q7 precision policy
    * 
    * @param {Object} group - Margin modifier group
    * @param {Array} lineItems - Line items with cost data
+   * @param {Array} [lineAmounts] - Running per-line amounts (default: unit price x quantity)
    * @returns {Decimal} - Adjustment to achieve margin
    * @throws {InvalidMarginError} - If margin is invalid
    */
-  calculateMarginAdjustment(group, lineItems) {
-    // Get value from group structure
-    // Handle both grouped and single modifier formats
-    let marginValue = '0';
-    if (group.modifiers && group.modifiers.length > 0) {
-      marginValue = group.modifiers[0].value || '0';
-    } else if (group.value) {
-      marginValue = group.value;
-    }
-    
-    const targetMargin = new Decimal(marginValue).div(100);
-    
-    // CRITICAL: Margin must be in [0, 1)
-    if (targetMargin.lt(0) || targetMargin.gte(1)) {
-      throw new InvalidMarginError('Invalid margin: must be between 0% and 100%');
-    }
+  calculateMarginAdjustment(group, lineItems, lineAmounts) {
+    // Per-line deltas carry the guards; the group adjustment is their Q7 sum
+    return this.calculateMarginLineDeltas(group, lineItems, lineAmounts).reduce(
+      (total, lineDelta) => PrecisionPolicy.intermediate(total.plus(lineDelta)),
+      new Decimal(0)
+    );
+  }
+
+  /**
+   * Per-line price delta needed to hit the group's target margin
+   * 
+   * Same formula and guards as calculateMarginAdjustment, returned per
+   * line (in line item order) so the adjustment can be allocated exactly.
+   * 
+   * @param {Object} group - Margin modifier group
+   * @param {Array} lineItems - Line items with cost data
+   * @param {Array} [lineAmounts] - Running per-line amounts (default: unit price x quantity)
+   * @returns {Array<Decimal>} - Q7 delta per line item
+   * @throws {InvalidMarginError} - If margin is invalid
+   */
+  calculateMarginLineDeltas(group, lineItems, lineAmounts) {
+    const targets = this.resolveMarginTargets(group, lineItems);
     
-    let totalAdjustment = new Decimal(0);
-    for (const item of lineItems) {
-      const cost = new Decimal(item.cost || item.unitPrice);
-      const unitPrice = new Decimal(item.unitPrice);
-      const quantity = new Decimal(item.quantity !== undefined ? item.quantity : 1);
+    return lineItems.map((item, index) => {
+      const target = targets[index];
+      if (!target || target.status !== 'applied') {
+        return new Decimal(0);
+      }
+      const targetMargin = target.targetMargin;
+      const cost = target.unitCost;
+      // Current revenue includes every adjustment already applied to the line
+      const currentAmount = lineAmounts
+        ? lineAmounts[index].amount
+        : new Decimal(item.unitPrice).mul(item.quantity !== undefined ? item.quantity : 1);
+      // Free units still carry cost, so the revenue target uses cost quantity
+      const costQuantity = new Decimal(this.costQuantityOf(item));
       
+      // Margin is always measured on the net price; gross prices carry the tax back in
+      const grossFactor = item.taxIncludedInPrice
+        ? new Decimal(1).plus(item.inclusiveRate || 0)
+        : new Decimal(1);
       const newUnitPrice = PrecisionPolicy.intermediate(
-        cost.div(new Decimal(1).minus(targetMargin))
+        cost.div(new Decimal(1).minus(targetMargin)).mul(grossFactor)
       );
       
-      const lineDelta = PrecisionPolicy.intermediate(
-        newUnitPrice.minus(unitPrice).mul(quantity)
+      return PrecisionPolicy.intermediate(
+        newUnitPrice.mul(costQuantity).minus(currentAmount)
       );
+    });
+  }
+
+  /**
+   * Resolve each line's margin target and unit cost for a margin group
+   * 
+   * See calculateMarginAdjustment for scoping and missing-cost handling.
+   * 
+   * @param {Object} group - Margin modifier group
+   * @param {Array} lineItems - Line items with cost data
+   * @returns {Array<Object|null>} - Per line: { modifier, targetMargin,
+   *   unitCost, costSource, strategy, status } or null when not selected
+   * @throws {InvalidMarginError} - If a target margin is invalid, or on FAIL with a missing cost
+   * @throws {ValidationError} - On an unknown strategy
+   */
+  resolveMarginTargets(group, lineItems) {
+    // Handle both grouped and single modifier formats
+    const sources = group.modifiers && group.modifiers.length > 0 ? group.modifiers : [group];
+    const targets = sources.map(modifier => {
+      const targetMargin = new Decimal(modifier.value || '0').div(100);
       
-      totalAdjustment = PrecisionPolicy.intermediate(
-        totalAdjustment.plus(lineDelta)
-      );
+      // CRITICAL: Margin must be in [0, 1)
+      if (targetMargin.lt(0) || targetMargin.gte(1)) {
+        throw new InvalidMarginError('Invalid margin: must be between 0% and 100%', {
+          locate: { modifier_id: modifier.id, field: 'value' },
+          details: { modifier_id: modifier.id, value: modifier.value }
+        });
+      }
+      
+      const strategy = modifier.missing_cost_strategy
+        ? String(modifier.missing_cost_strategy).toUpperCase()
+        : null;
+      if (strategy !== null && !['SKIP', 'USE_DEFAULT', 'FAIL'].includes(strategy)) {
+        throw new ValidationError(`Invalid margin modifier ${modifier.id}: missing_cost_strategy must be SKIP, USE_DEFAULT or FAIL`, {
+          code: 'INVALID_ENUM',
+          locate: { modifier_id: modifier.id, field: 'missing_cost_strategy' },
+          details: { modifier_id: modifier.id, value: modifier.missing_cost_strategy, allowed: ['SKIP', 'USE_DEFAULT', 'FAIL'] }
+        });
+      }
+      return { modifier, targetMargin, strategy };
+    });
+    
+    return lineItems.map(item => {
+      const target = targets.find(candidate => this.modifierAppliesToLine(candidate.modifier, item));
+      if (!target) {
+        return null;
+      }
+      const resolved = { ...target, unitCost: new Decimal(item.cost || item.unitPrice), costSource: 'line', status: 'applied' };
+      if (item.costKnown !== false) {
+        return resolved;
+      }
+      
+      switch (target.strategy) {
+        case 'SKIP':
+          return { ...resolved, unitCost: null, costSource: 'missing', status: 'skipped' };
+        case 'USE_DEFAULT': {
+          const grossFactor = item.taxIncludedInPrice
+            ? new Decimal(1).plus(item.inclusiveRate || 0)
+            : new Decimal(1);
+          const costPct = this.toDecimalOrThrow(
+            target.modifier.default_cost_pct !== undefined ? target.modifier.default_cost_pct : 70,
+            `modifier ${target.modifier.id} default_cost_pct`,
+            { modifier_id: target.modifier.id, field: 'default_cost_pct' }
+          );
+          return {
+            ...resolved,
+            unitCost: PrecisionPolicy.intermediate(new Decimal(item.unitPrice).div(grossFactor).mul(costPct).div(100)),
+            costSource: 'default'
+          };
+        }
+        case 'FAIL':
+          throw new InvalidMarginError(`Invalid input: line item ${item.id} has no cost for margin modifier ${target.modifier.id}`, {
+            code: 'MARGIN_COST_MISSING',
+            locate: { line_item_id: item.id, field: 'cost' },
+            details: { line_item_id: item.id, modifier_id: target.modifier.id }
+          });
+        default:
+          return { ...resolved, costSource: 'price' };
+      }
+    });
+  }
+  
+  /**
+   * Serializable form of resolveMarginTargets (adjustment entries, explain)
+   * @private
+   */
+  describeMarginTargets(targets, lineItems) {
+    return lineItems.map((item, index) => {
+      const target = targets[index];
+      return {
+        line_item_id: item.id,
+        modifier_id: target ? target.modifier.id || null : null,
+        target_margin: target ? target.targetMargin.mul(100).toString() : null,
+        unit_cost_precise: target && target.unitCost ? PrecisionPolicy.intermediateString(target.unitCost) : null,
+        cost_source: target ? target.costSource : null,
+        status: target ? target.status : 'untargeted'
+      };
+    });
+  }
+  
+  /**
+   * Achieved margin per line after pre-tax modifiers
+   * 
+   * Reported when a margin modifier applied, config.margin_floor is set or
+   * the caller passes options.marginReport (e.g. the goal-seek solver).
+   * Revenue is the line's net running amount; cost is the margin target's
+   * unit cost (or the line cost) times cost quantity. Lines below
+   * config.margin_floor (%) and lines a SKIP strategy left unpriced are
+   * reported as warnings rather than failing the calculation.
+   * 
+   * @param {Object} state - State after pre-tax modifiers
+   * @param {Array} lineItems - Line items as priced
+   * @param {Object} config - Normalized config (margin_floor)
+   * @param {boolean} [force] - Report even without margin modifiers
+   * @returns {Object|null} - { lines, warnings }, or null when not requested
+   */
+  buildMarginReport(state, lineItems, config, force = false) {
+    const targeted = state.adjustments.filter(adjustment => adjustment.marginLines);
+    if (targeted.length === 0 && config.margin_floor === null && !force) {
+      return null;
     }
     
-    return totalAdjustment;
+    // The last margin group to select a line sets its target
+    const targets = lineItems.map((item, index) => targeted.reduce(
+      (current, adjustment) => adjustment.marginLines[index].status === 'untargeted' ? current : adjustment.marginLines[index],
+      null
+    ));
+    const floor = config.margin_floor === null ? null : new Decimal(config.margin_floor);
+    const warnings = [];
+    
+    const lines = lineItems.map((item, index) => {
+      const target = targets[index];
+      const grossFactor = item.taxIncludedInPrice
+        ? new Decimal(1).plus(item.inclusiveRate || 0)
+        : new Decimal(1);
+      const revenue = PrecisionPolicy.intermediate(state.lineAmounts[index].amount.div(grossFactor));
+      
+      let unitCost = null;
+      if (target && target.unit_cost_precise !== null) {
+        unitCost = new Decimal(target.unit_cost_precise);
+      } else if (!target && item.costKnown !== false) {
+        unitCost = new Decimal(item.cost);
+      }
+      const cost = unitCost === null
+        ? null
+        : PrecisionPolicy.intermediate(unitCost.mul(this.costQuantityOf(item)));
+      const margin = cost === null ? null : PrecisionPolicy.intermediate(revenue.minus(cost));
+      const achieved = margin === null || revenue.isZero()
+        ? null
+        : PrecisionPolicy.final(margin.div(revenue).mul(100));
+      
+      if (target && target.status === 'skipped') {
+        warnings.push({
+          code: 'MARGIN_COST_MISSING',
+          line_item_id: item.id,
+          modifier_id: target.modifier_id,
+          message: `Line ${item.id} has no cost; margin modifier ${target.modifier_id} was skipped for it`
+        });
+      }
+      if (floor !== null && achieved !== null && achieved.lt(floor)) {
+        warnings.push({
+          code: 'MARGIN_BELOW_FLOOR',
+          line_item_id: item.id,
+          modifier_id: target ? target.modifier_id : null,
+          message: `Line ${item.id} margin ${achieved.toFixed(2)}% is below the ${floor.toString()}% floor`
+        });
+      }
+      
+      return {
+        line_item_id: item.id,
+        revenue_precise: PrecisionPolicy.intermediateString(revenue),
+        cost_precise: cost === null ? null : PrecisionPolicy.intermediateString(cost),
+        margin_precise: margin === null ? null : PrecisionPolicy.intermediateString(margin),
+        achieved_margin: achieved === null ? null : achieved.toFixed(2),
+        target_margin: target ? target.target_margin : null,
+        modifier_id: target ? target.modifier_id : null,
+        cost_source: target ? target.cost_source : (item.costKnown === false ? 'missing' : 'line'),
+        status: target ? target.status : 'untargeted'
+      };
+    });
+    
+    return { lines, warnings };
   }
-
+  
   /**
    * Calculate taxes - properly segregates taxable and non-taxable amounts
    * 
@@ -719,56 +2789,133 @@ class PureCalculationEngine {
    * - Line item tax_setting (TAXABLE/NON_TAXABLE)
    * - Modifier tax_setting (taxable/non_taxable/inherit)
    * - INHERIT resolution for modifiers
+   * 
+   * LINE-LEVEL TAX:
+   * Each line's taxable base is its extended price (taxable lines only)
+   * plus its allocations from taxable pre-tax groups (see
+   * computeLineTaxableBases); the document taxable base is their sum. Each jurisdiction's Q7 tax is
+   * split across lines pro-rata by those bases.
+   * 
+   * JURISDICTION BREAKDOWN:
+   * A jurisdiction's category_taxability (e.g. { labor: 'NON_TAXABLE' })
+   * gives it its own taxable base; the per-jurisdiction base, rate and
+   * amount are returned as subTaxes in byJurisdictionCode order.
+   * 
+   * COMPOUNDING:
+   * A jurisdiction with compound: true taxes price plus the taxes of every
+   * jurisdiction ordered before it (on the lines it taxes), e.g. a
+   * provincial tax levied on price + federal tax. Its subTaxes entry shows
+   * the compounded base and the prior tax included in it.
+   * 
+   * EXEMPTIONS:
+   * In-force exemption certificates zero the base of the lines they cover
+   * per jurisdiction; the exempted base and certificate ids are reported
+   * per jurisdiction (subTaxes, taxExemptions).
+   * 
+   * ROUNDING POLICY (config.tax_rounding):
+   * - DOCUMENT (default): round the document tax once
+   * - JURISDICTION: round each jurisdiction's tax, then sum
+   * - LINE: round each line's tax, then sum
+   * The difference between the policy total and the once-rounded exact
+   * tax is reported as taxRoundingDifference.
    */
-  calculateTaxes(state, config, lineItems) {
-    // Calculate taxable base from line items and adjustments
-    let taxableBase = new Decimal(0);
-    
-    // Add taxable line items to base
-    for (const item of lineItems) {
-      const itemTaxSetting = (item.tax_setting || item.taxSetting || 'TAXABLE').toUpperCase();
-      if (itemTaxSetting === 'TAXABLE') {
-        const unitPrice = new Decimal(item.unitPrice || item.unit_price || 0);
-        const quantity = new Decimal(item.quantity || 1);
-        const lineTotal = PrecisionPolicy.intermediate(unitPrice.mul(quantity));
-        taxableBase = PrecisionPolicy.intermediate(taxableBase.plus(lineTotal));
-      }
-    }
-    
-    // Add taxable adjustments (modifiers already have resolved tax settings in attributes)
-    for (const adjustment of state.adjustments) {
-      // The adjustment's tax_setting was resolved during grouping
-      if (adjustment.attributes && adjustment.attributes.tax_setting === 'taxable') {
-        const adjustmentAmount = new Decimal(adjustment.amount);
-        taxableBase = PrecisionPolicy.intermediate(taxableBase.plus(adjustmentAmount));
-      }
-    }
+  calculateTaxes(state, config, lineItems, exemptions = []) {
+    // Taxable base per line (taxable adjustments included); the document
+    // base is their sum
+    const lineBases = this.computeLineTaxableBases(state, lineItems);
+    const taxableBase = PrecisionPolicy.sum(lineBases.map(line => line.amount));
+    const contributions = state.steps
+      ? lineBases.map(line => ({
+        source: 'line_item',
+        id: line.id,
+        amount_precise: PrecisionPolicy.intermediateString(line.amount)
+      }))
+      : null;
     
     let retailTax = new Decimal(0);
     let useTax = new Decimal(0);
+    let retailTaxDetail = null;
     
     if (config.tax_mode === 'RETAIL' || config.tax_mode === 'MIXED') {
+      const jurisdictionTaxes = [];
+      
       if (config.jurisdictions && config.jurisdictions.length > 0) {
         // Multi-jurisdiction calculation with deterministic ordering as per plan
         const sortedJurisdictions = [...config.jurisdictions].sort(this.Comparators.byJurisdictionCode);
+        // Q7 tax already levied per line by earlier jurisdictions (for compounding)
+        const priorLineTax = lineBases.map(() => new Decimal(0));
         
         for (const jurisdiction of sortedJurisdictions) {
+          // Category overrides give this jurisdiction its own taxable base
+          const overrides = jurisdiction.category_taxability;
+          const exemption = this.applyExemptions(
+            overrides && Object.keys(overrides).length > 0
+              ? this.computeLineTaxableBases(state, lineItems, overrides)
+              : lineBases,
+            lineItems,
+            jurisdiction.code,
+            exemptions,
+            config.tax_date
+          );
+          let jurisdictionLineBases = exemption.lineBases;
+          let compoundedTax = new Decimal(0);
+          
+          // Compounding: tax on price plus prior taxes, on lines this jurisdiction taxes
+          if (jurisdiction.compound) {
+            jurisdictionLineBases = jurisdictionLineBases.map((line, index) => {
+              if (!this.isLineTaxable(lineItems[index], overrides) || exemption.exemptLines.has(index)) return line;
+              compoundedTax = compoundedTax.plus(priorLineTax[index]);
+              return { ...line, amount: PrecisionPolicy.intermediate(line.amount.plus(priorLineTax[index])) };
+            });
+          }
+          
+          const jurisdictionBase = jurisdictionLineBases === lineBases
+            ? taxableBase
+            : PrecisionPolicy.sum(jurisdictionLineBases.map(line => line.amount));
+          
           const jurisdictionTax = PrecisionPolicy.intermediate(
-            taxableBase.mul(jurisdiction.rate)
+            jurisdictionBase.mul(jurisdiction.rate)
           );
-          retailTax = PrecisionPolicy.intermediate(retailTax.plus(jurisdictionTax));
+          jurisdictionTaxes.push({
+            jurisdiction,
+            base: jurisdictionBase,
+            compoundedTax: compoundedTax,
+            exemption: exemption,
+            lineBases: jurisdictionLineBases,
+            amount: jurisdictionTax
+          });
+          
+          // Same pro-rata split applyTaxRounding uses for line taxes
+          AllocationPolicy.allocate(jurisdictionTax, jurisdictionLineBases, 'pro_rata')
+            .forEach((share, index) => {
+              priorLineTax[index] = priorLineTax[index].plus(share.allocation_precise);
+            });
         }
       } else {
         // Single rate calculation
         // PRODUCTION FIX: Convert string tax rate to Decimal at use time
         // Tax rate is already in decimal form (0.08 = 8%), not percentage
         const taxRate = new Decimal(String(config.tax_rate || '0'));
-        retailTax = PrecisionPolicy.intermediate(
-          taxableBase.mul(taxRate)
-        );
+        const exemption = this.applyExemptions(lineBases, lineItems, null, exemptions, config.tax_date);
+        const base = exemption.lineBases === lineBases
+          ? taxableBase
+          : PrecisionPolicy.sum(exemption.lineBases.map(line => line.amount));
+        jurisdictionTaxes.push({
+          jurisdiction: null,
+          base: base,
+          exemption: exemption,
+          lineBases: exemption.lineBases,
+          amount: PrecisionPolicy.intermediate(base.mul(taxRate))
+        });
       }
+      
+      retailTaxDetail = this.applyTaxRounding(config.tax_rounding, jurisdictionTaxes, lineBases);
+      retailTaxDetail.subTaxes = this.buildSubTaxes(jurisdictionTaxes);
+      retailTaxDetail.exemptions = this.buildExemptionReport(jurisdictionTaxes, lineItems);
+      retailTax = retailTaxDetail.total;
     }
     
+    let useTaxLines = null;
     if (config.tax_mode === 'USE_TAX' || config.tax_mode === 'MIXED') {
       const useTaxBase = this.calculateUseTaxBase(lineItems);
       // PRODUCTION FIX: Convert string use tax rate to Decimal at use time
@@ -776,15 +2923,243 @@ class PureCalculationEngine {
       useTax = PrecisionPolicy.intermediate(
         useTaxBase.mul(useTaxRate)
       );
+      useTaxLines = this.buildUseTaxLines(lineItems, useTax, useTaxRate, config);
     }
     
+    const steps = state.steps ? [...state.steps, {
+      type: 'tax',
+      tax_mode: config.tax_mode,
+      taxable_base_precise: PrecisionPolicy.intermediateString(taxableBase),
+      contributions: contributions,
+      tax_rate: config.jurisdictions && config.jurisdictions.length > 0 ? null : config.tax_rate,
+      jurisdictions: retailTaxDetail && config.jurisdictions && config.jurisdictions.length > 0
+        ? retailTaxDetail.subTaxes
+        : null,
+      tax_rounding: config.tax_rounding,
+      price_mode: config.price_mode,
+      prices_include_tax: state.taxIncluded,
+      retail_tax_precise: PrecisionPolicy.intermediateString(retailTaxDetail ? retailTaxDetail.exact : 0),
+      retail_tax_rounded: PrecisionPolicy.finalString(retailTax),
+      use_tax_precise: PrecisionPolicy.intermediateString(useTax),
+      running_subtotal_precise: PrecisionPolicy.intermediateString(state.runningSubtotal)
+    }] : null;
+    
     return {
       ...state,
       retailTaxAmount: retailTax,
-      useTaxAmount: useTax
+      retailTaxDetail: retailTaxDetail,
+      useTaxAmount: useTax,
+      useTaxLines: useTaxLines,
+      steps: steps
+    };
+  }
+
+  /**
+   * Taxable base per line item (Q7)
+   * 
+   * Taxable lines contribute their extended price (quantity 0 contributes
+   * 0). Each taxable pre-tax group (already applied to the state) adds its
+   * own allocations to the lines it taxes here. The share it allocated to
+   * lines that are not taxed moves, pro-rata by the group's own allocations,
+   * to the taxed lines the group also reached: a document-wide discount
+   * lowers the taxable base by its full amount, while a discount scoped to
+   * exempt lines (e.g. "10% off labor" where labor is exempt) lowers it by
+   * nothing. An exempt line therefore never carries tax.
+   * 
+   * A jurisdiction may override taxability per line category, e.g.
+   * { labor: 'NON_TAXABLE' } for a state that exempts labor. Lines in an
+   * overridden category are treated exactly as if their tax_setting were
+   * the override value.
+   * 
+   * @param {Object} state - State after pre-tax groups
+   * @param {Array} lineItems - Normalized line items
+   * @param {Object} [categoryTaxability] - Category -> TAXABLE/NON_TAXABLE overrides
+   * @returns {Array<{id, amount: Decimal}>} - Base per line (line item order)
+   */
+  computeLineTaxableBases(state, lineItems, categoryTaxability = {}) {
+    const taxed = lineItems.map(item => this.isLineTaxable(item, categoryTaxability));
+    const bases = lineItems.map((item, index) => ({
+      id: item.id,
+      quantity: item.quantity,
+      amount: taxed[index]
+        ? PrecisionPolicy.intermediate(new Decimal(item.unitPrice).mul(item.quantity || 0))
+        : new Decimal(0)
+    }));
+    const addTo = (index, amount) => {
+      bases[index].amount = PrecisionPolicy.intermediate(bases[index].amount.plus(amount));
+    };
+    
+    for (const adjustment of state.adjustments) {
+      if (adjustment.attributes?.tax_setting !== 'taxable' || !adjustment.allocations) continue;
+      const shares = adjustment.allocations.map(share => new Decimal(share.allocation_precise));
+      let untaxedShare = new Decimal(0);
+      shares.forEach((share, index) => {
+        if (taxed[index]) addTo(index, share);
+        else untaxedShare = untaxedShare.plus(share);
+      });
+      
+      const reached = shares
+        .map((share, index) => index)
+        .filter(index => taxed[index] && !shares[index].isZero());
+      if (untaxedShare.isZero() || reached.length === 0) continue;
+      const weights = reached.map(index => ({ id: bases[index].id, amount: shares[index].abs() }));
+      AllocationPolicy.allocate(untaxedShare, weights, 'pro_rata').forEach((share, k) => {
+        addTo(reached[k], share.allocation_precise);
+      });
+    }
+    
+    // GROSS-basis inclusive pricing: tax is computed on the net part of each base
+    if (state.taxIncluded) {
+      bases.forEach((line, index) => {
+        line.amount = PrecisionPolicy.intermediate(
+          line.amount.div(new Decimal(1).plus(lineItems[index].inclusiveRate || 0))
+        );
+      });
+    }
+    
+    return bases;
+  }
+
+  /**
+   * Per-jurisdiction breakdown (sub_taxes) in byJurisdictionCode order
+   * 
+   * @param {Array} jurisdictionTaxes - Entries from calculateTaxes
+   * @returns {Array} - [{code, name, order, rate, taxable_base_precise, amount_precise, amount}]
+   */
+  buildSubTaxes(jurisdictionTaxes) {
+    return jurisdictionTaxes
+      .filter(j => j.jurisdiction)
+      .map(j => ({
+        code: j.jurisdiction.code,
+        name: j.jurisdiction.name || j.jurisdiction.code,
+        order: j.jurisdiction.order !== undefined ? j.jurisdiction.order : null,
+        rate: new Decimal(String(j.jurisdiction.rate)).toString(),
+        category_taxability: j.jurisdiction.category_taxability || null,
+        compound: Boolean(j.jurisdiction.compound),
+        compounded_tax_precise: PrecisionPolicy.intermediateString(j.compoundedTax || 0),
+        exempted_base_precise: PrecisionPolicy.intermediateString(j.exemption ? j.exemption.exemptedBase : 0),
+        exemption_certificates: j.exemption ? [...new Set(j.exemption.exemptLines.values())].sort() : [],
+        taxable_base_precise: PrecisionPolicy.intermediateString(j.base),
+        amount_precise: PrecisionPolicy.intermediateString(j.amount),
+        amount: PrecisionPolicy.finalString(j.amount)
+      }));
+  }
+
+  /**
+   * Exempted base per jurisdiction and certificate
+   * 
+   * @param {Array} jurisdictionTaxes - Entries from calculateTaxes
+   * @param {Array} lineItems - Normalized line items
+   * @returns {Array} - [{certificate_id, jurisdiction, exempted_base_precise, exempted_base, line_item_ids}]
+   */
+  buildExemptionReport(jurisdictionTaxes, lineItems) {
+    const report = [];
+    for (const j of jurisdictionTaxes) {
+      if (!j.exemption || j.exemption.exemptLines.size === 0) continue;
+      const byCertificate = new Map();
+      for (const [index, certificateId] of j.exemption.exemptLines) {
+        if (!byCertificate.has(certificateId)) byCertificate.set(certificateId, []);
+        byCertificate.get(certificateId).push(index);
+      }
+      for (const [certificateId, indexes] of byCertificate) {
+        const base = PrecisionPolicy.sum(indexes.map(index => j.exemption.exemptedByLine[index]));
+        report.push({
+          certificate_id: certificateId,
+          jurisdiction: j.jurisdiction ? j.jurisdiction.code : null,
+          exempted_base_precise: PrecisionPolicy.intermediateString(base),
+          exempted_base: PrecisionPolicy.finalString(base),
+          line_item_ids: indexes.map(index => lineItems[index].id)
+        });
+      }
+    }
+    return report;
+  }
+  
+  /**
+   * Split jurisdiction taxes across lines and apply the rounding policy
+   * 
+   * @param {string} policy - DOCUMENT | JURISDICTION | LINE
+   * @param {Array<{jurisdiction, lineBases, amount: Decimal}>} jurisdictionTaxes - Q7 tax per jurisdiction
+   * @param {Array<{id, amount: Decimal}>} lineBases - Document taxable base per line
+   * @returns {Object} - { policy, total, exact, roundingDifference, jurisdictions, lines }
+   */
+  applyTaxRounding(policy, jurisdictionTaxes, lineBases) {
+    const exact = PrecisionPolicy.sum(jurisdictionTaxes.map(j => j.amount));
+    
+    // Q7 share of every jurisdiction's tax per line (sums exactly per jurisdiction)
+    const lineShares = jurisdictionTaxes.map(j =>
+      AllocationPolicy.allocate(j.amount, j.lineBases || lineBases, 'pro_rata')
+        .map(allocation => new Decimal(allocation.allocation_precise))
+    );
+    const lineExact = lineBases.map((_, index) =>
+      PrecisionPolicy.sum(lineShares.map(shares => shares[index] || 0))
+    );
+    
+    let total;
+    switch (policy) {
+      case 'LINE':
+        total = lineExact.reduce((sum, tax) => sum.plus(PrecisionPolicy.final(tax)), new Decimal(0));
+        break;
+      case 'JURISDICTION':
+        total = jurisdictionTaxes.reduce((sum, j) => sum.plus(PrecisionPolicy.final(j.amount)), new Decimal(0));
+        break;
+      default:
+        total = exact;
+    }
+    
+    // Q2 line taxes always add up to the reported tax
+    const lineCents = policy === 'LINE'
+      ? lineExact.map(tax => PrecisionPolicy.final(tax).mul(100).toNumber())
+      : AllocationPolicy.largestRemainderCents(PrecisionPolicy.final(total), lineExact);
+    
+    return {
+      policy: policy,
+      total: total,
+      exact: exact,
+      roundingDifference: PrecisionPolicy.final(total).minus(PrecisionPolicy.final(exact)),
+      jurisdictions: jurisdictionTaxes,
+      lines: lineBases.map((line, index) => ({
+        line_item_id: line.id,
+        taxable_base_precise: PrecisionPolicy.intermediateString(line.amount),
+        tax_precise: PrecisionPolicy.intermediateString(lineExact[index]),
+        tax: new Decimal(lineCents[index]).div(100).toFixed(PrecisionPolicy.FINAL_SCALE)
+      }))
     };
   }
 
+  /**
+   * Per-line use tax for use_tax_eligible lines
+   * 
+   * The document use tax is split pro-rata by each line's cost base, so
+   * line amounts sum exactly to the reported use tax at Q7 and Q2.
+   * 
+   * @param {Array} lineItems - Normalized line items
+   * @param {Decimal} useTax - Document use tax (Q7)
+   * @param {Decimal} rate - Use tax rate
+   * @param {Object} config - Normalized config (use_tax_jurisdiction)
+   * @returns {Array} - [{line_item_id, jurisdiction, cost_base_precise, rate, amount_precise, amount}]
+   */
+  buildUseTaxLines(lineItems, useTax, rate, config) {
+    const lines = lineItems
+      .filter(item => item.use_tax_eligible)
+      .map(item => ({
+        id: item.id,
+        quantity: item.quantity,
+        amount: PrecisionPolicy.intermediate(
+          new Decimal(item.cost || item.unitPrice).mul(this.costQuantityOf(item))
+        )
+      }));
+    
+    return AllocationPolicy.allocate(useTax, lines, 'pro_rata').map((share, index) => ({
+      line_item_id: share.line_item_id,
+      jurisdiction: config.use_tax_jurisdiction || null,
+      cost_base_precise: PrecisionPolicy.intermediateString(lines[index].amount),
+      rate: rate.toString(),
+      amount_precise: share.allocation_precise,
+      amount: share.allocation
+    }));
+  }
+  
   /**
    * Calculate use tax base
    */
@@ -794,7 +3169,7 @@ class PureCalculationEngine {
     for (const item of lineItems) {
       if (item.use_tax_eligible) {
         const cost = new Decimal(item.cost || item.unitPrice);
-        const quantity = new Decimal(item.quantity !== undefined ? item.quantity : 1);
+        const quantity = new Decimal(this.costQuantityOf(item));
         const lineBase = PrecisionPolicy.intermediate(cost.mul(quantity));
         useTaxBase = PrecisionPolicy.intermediate(useTaxBase.plus(lineBase));
       }
@@ -812,10 +3187,24 @@ class PureCalculationEngine {
       new Decimal(0)
     );
     
-    const customerGrandTotal = PrecisionPolicy.final(
+    let customerGrandTotal = PrecisionPolicy.final(
       state.runningSubtotal.plus(state.retailTaxAmount)
     );
     
+    // TAX_INCLUSIVE: round the side prices are stated on, derive the other
+    // so net + tax = gross exactly at Q2
+    let netTotal = null;
+    if (config.price_mode === 'TAX_INCLUSIVE') {
+      const roundedTax = PrecisionPolicy.final(state.retailTaxAmount);
+      if (state.taxIncluded) {
+        customerGrandTotal = PrecisionPolicy.final(state.runningSubtotal);
+        netTotal = customerGrandTotal.minus(roundedTax);
+      } else {
+        netTotal = PrecisionPolicy.final(state.runningSubtotal);
+        customerGrandTotal = netTotal.plus(roundedTax);
+      }
+    }
+    
     const result = {
       subtotal: PrecisionPolicy.final(state.baseSubtotal).toFixed(2),
       modifierTotal: PrecisionPolicy.final(modifierTotal).toFixed(2),
@@ -827,12 +3216,39 @@ class PureCalculationEngine {
       }))
     };
     
+    if (netTotal !== null) {
+      result.priceMode = config.price_mode;
+      result.inclusiveModifierBasis = config.inclusive_modifier_basis;
+      result.netTotal = netTotal.toFixed(2);
+      result.grossTotal = customerGrandTotal.toFixed(2);
+    }
+    
+    // Line-level retail tax and rounding reconciliation
+    if (state.retailTaxDetail) {
+      result.taxRounding = state.retailTaxDetail.policy;
+      result.taxRoundingDifference = state.retailTaxDetail.roundingDifference.toFixed(2);
+      result.lineTaxes = state.retailTaxDetail.lines;
+      if (state.retailTaxDetail.subTaxes.length > 0) {
+        result.subTaxes = state.retailTaxDetail.subTaxes;
+      }
+      if (state.retailTaxDetail.exemptions.length > 0) {
+        result.taxExemptions = state.retailTaxDetail.exemptions;
+      }
+    }
+    
     // Add MIXED mode fields if applicable
     if (config.tax_mode === 'MIXED') {
       result.useTax = PrecisionPolicy.final(state.useTaxAmount).toFixed(2);
       result.internalGrandTotal = PrecisionPolicy.final(
         customerGrandTotal.plus(state.useTaxAmount)
       ).toFixed(2);
+    } else if (config.tax_mode === 'USE_TAX') {
+      result.useTax = PrecisionPolicy.final(state.useTaxAmount).toFixed(2);
+    }
+    
+    // Use tax per line in every mode that computes it
+    if (state.useTaxLines) {
+      result.useTaxLines = state.useTaxLines;
     }
     
     return result;
@@ -901,10 +3317,14 @@ class PureCalculationEngine {
       supportsPercentage: true,
       supportsFixed: true,
       supportsMargin: true,
+      supportsTiered: true,
+      supportsQuantityModifiers: true,
+      supportsCostAdjustments: true,
       supportsRules: true,
       supportsDependencies: true,
       supportsGroups: true,
       supportsMultiJurisdiction: true,
+      supportsTaxRateTables: true,
       supportsUseTax: true,
       supportsMixedMode: true,
       supportsLineItemAllocation: true,
@@ -929,7 +3349,7 @@ class PureCalculationEngine {
     const allNodes = new Set();
     
     for (const dep of dependencies) {
-      if (dep.type === 'REQUIRES') {
+      if (this.getDependencyType(dep) === 'REQUIRES') {
         allNodes.add(dep.modifier_id);
         allNodes.add(dep.depends_on);
         
@@ -975,22 +3395,14 @@ class PureCalculationEngine {
   }
 
   /**
-   * Simplified basis resolution - always returns scalar
-   * This is a private method for testing purposes
+   * Scalar basis resolution - returns only the basis amount
+   * This is a private method for testing purposes; see resolveBasis
    */
   _resolveBasis(policy, context) {
-    switch (policy.basis_type) {
-      case 'running_subtotal':
-        return context.runningSubtotal;
-      case 'original_subtotal':
-        return context.originalSubtotal;
-      case 'line_subtotal':
-        // For group-level, use running subtotal as basis
-        // This ensures scalar return for all cases
-        return context.runningSubtotal;
-      default:
-        return context.runningSubtotal;
-    }
+    return this.resolveBasis(
+      { ...this.getBasisPolicy(policy), basis_type: policy.basis_type || 'running_subtotal' },
+      context
+    ).basis;
   }
 }
 
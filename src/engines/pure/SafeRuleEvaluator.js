@@ -14,9 +14,12 @@
  * RULE AST STRUCTURE:
  * Rules are pre-compiled to Abstract Syntax Trees (ASTs) with nodes:
  * - comparison: {type: 'comparison', op: '>', left: node, right: node}
+ *   (op 'in' / 'not_in' expects a list node on the right)
  * - logical: {type: 'logical', op: 'AND', left: node, right: node}
+ *   (op 'NOT' is unary: {type: 'logical', op: 'NOT', operand: node})
  * - field: {type: 'field', path: 'proposal.amount'}
  * - literal: {type: 'literal', value: 1000}
+ * - list: {type: 'list', items: [literal, ...]}
  * 
  * EVALUATION STRATEGY:
  * - Recursive descent with depth tracking
@@ -28,6 +31,8 @@
  * @implements SecurityPolicy
  */
 
+const { RuleError } = require('./CalculationErrors');
+
 class SafeRuleEvaluator {
   constructor() {
     // Resource limits to prevent DoS attacks
@@ -36,6 +41,7 @@ class SafeRuleEvaluator {
       maxOperations: 1000 // Maximum operations per evaluation (prevents infinite loops)
     };
     this.operationCount = 0;  // Track operations for current evaluation
+    this.trace = null;        // Comparison log, only collected by evaluateWithTrace
   }
 
   /**
@@ -44,22 +50,49 @@ class SafeRuleEvaluator {
   evaluate(rule, context) {
     // Reset operation counter for each evaluation
     this.operationCount = 0;
+    this.trace = null;
     return this.evalNode(rule, context, 0);
   }
 
+  /**
+   * Evaluate a rule and record every comparison that was actually executed
+   * 
+   * Short-circuited branches are not evaluated and therefore not recorded.
+   * Each entry carries the resolved operand values (and field paths) so
+   * callers can explain why a rule passed or failed.
+   * 
+   * @returns {Object} - { result, comparisons: [{op, left, right, result}] }
+   */
+  evaluateWithTrace(rule, context) {
+    this.operationCount = 0;
+    this.trace = [];
+    try {
+      const result = this.evalNode(rule, context, 0);
+      return { result: Boolean(result), comparisons: this.trace };
+    } finally {
+      this.trace = null;
+    }
+  }
+
   /**
    * Recursively evaluate rule nodes with depth tracking
    */
   evalNode(node, context, depth) {
     // Check depth limit
     if (depth > this.limits.maxDepth) {
-      throw new Error(`Rule evaluation depth exceeded: ${depth} (max: ${this.limits.maxDepth})`);
+      throw new RuleError(`Rule evaluation depth exceeded: ${depth} (max: ${this.limits.maxDepth})`, {
+        code: 'RULE_LIMIT_EXCEEDED',
+        details: { limit: 'maxDepth', max: this.limits.maxDepth }
+      });
     }
     
     // Check operation count
     this.operationCount++;
     if (this.operationCount > this.limits.maxOperations) {
-      throw new Error(`Maximum operations exceeded: ${this.operationCount} (max: ${this.limits.maxOperations})`);
+      throw new RuleError(`Maximum operations exceeded: ${this.operationCount} (max: ${this.limits.maxOperations})`, {
+        code: 'RULE_LIMIT_EXCEEDED',
+        details: { limit: 'maxOperations', max: this.limits.maxOperations }
+      });
     }
     
     // Evaluate based on node type
@@ -76,8 +109,11 @@ class SafeRuleEvaluator {
       case 'field':
         return this.getFieldValue(node.path, context);
       
+      case 'list':
+        return (node.items || []).map(item => this.evalNode(item, context, depth + 1));
+      
       default:
-        throw new Error(`Invalid rule type: ${node.type}`);
+        throw new RuleError(`Invalid rule type: ${node.type}`, { details: { type: node.type } });
     }
   }
 
@@ -87,17 +123,38 @@ class SafeRuleEvaluator {
   evalComparison(node, context, depth) {
     const left = this.evalNode(node.left, context, depth + 1);
     const right = this.evalNode(node.right, context, depth + 1);
+    const result = this.compare(left, right, node.op);
     
-    return this.compare(left, right, node.op);
+    if (this.trace) {
+      this.trace.push({
+        op: node.op,
+        left: this.describeOperand(node.left, left),
+        right: this.describeOperand(node.right, right),
+        result
+      });
+    }
+    
+    return result;
+  }
+
+  /**
+   * Describe an evaluated operand for the comparison trace
+   */
+  describeOperand(node, value) {
+    return node && node.type === 'field'
+      ? { path: node.path, value: value === undefined ? null : value }
+      : { value: value === undefined ? null : value };
   }
 
   /**
-   * Evaluate logical operators (AND, OR)
+   * Evaluate logical operators (AND, OR, NOT)
    */
   evalLogical(node, context, depth) {
     const op = (node.op || '').toUpperCase();
     
-    if (op === 'AND') {
+    if (op === 'NOT') {
+      return !this.evalNode(node.operand, context, depth + 1);
+    } else if (op === 'AND') {
       // Short-circuit evaluation
       const left = this.evalNode(node.left, context, depth + 1);
       if (!left) return false;
@@ -108,7 +165,7 @@ class SafeRuleEvaluator {
       if (left) return true;
       return this.evalNode(node.right, context, depth + 1);
     } else {
-      throw new Error(`Invalid logical operator: ${node.op}`);
+      throw new RuleError(`Invalid logical operator: ${node.op}`, { details: { op: node.op } });
     }
   }
 
@@ -134,9 +191,18 @@ class SafeRuleEvaluator {
    */
   compare(left, right, op) {
     // Validate operator first
-    const validOps = ['==', '!=', '>', '>=', '<', '<='];
+    const validOps = ['==', '!=', '>', '>=', '<', '<=', 'in', 'not_in'];
     if (!validOps.includes(op)) {
-      throw new Error(`Invalid operator: ${op}`);
+      throw new RuleError(`Invalid operator: ${op}`, { details: { op } });
+    }
+    
+    // Membership uses the same equality semantics as '=='
+    if (op === 'in' || op === 'not_in') {
+      if (!Array.isArray(right)) {
+        throw new RuleError(`Operator ${op} requires a list operand`, { details: { op } });
+      }
+      const found = right.some(item => this.compare(left, item, '=='));
+      return op === 'in' ? found : !found;
     }
     
     // Handle null/undefined comparisons
@@ -213,6 +279,7 @@ class SafeRuleEvaluator {
    */
   reset() {
     this.operationCount = 0;
+    this.trace = null;
   }
 
   /**
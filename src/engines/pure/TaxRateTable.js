@@ -0,0 +1,222 @@
+/**
+ * TaxRateTable - Effective-dated retail tax rates by jurisdiction code
+ *
+ * Replaces inline config.tax_rate / config.jurisdictions when a request
+ * names its jurisdictions by code (config.tax_jurisdiction_codes). The
+ * engine looks up the rate in force on the tax date and records the table
+ * version in the result, so recalculating an old quote against the same
+ * table version reproduces the original tax.
+ *
+ * TABLE FORMAT (JSON):
+ * {
+ *   version: '2026-10-01',
+ *   default_jurisdictions: ['DEFAULT'],
+ *   rates: [{ jurisdiction_code, name, rate, effective_from, effective_to,
+ *             order, compound, category_taxability }]
+ * }
+ *
+ * TABLE FORMAT (CSV):
+ * A "# version: <v>" comment line, then a header row with
+ * jurisdiction_code,name,rate,effective_from,effective_to,order,compound
+ *
+ * DATE RANGES:
+ * - effective_from and effective_to are inclusive YYYY-MM-DD dates
+ * - an empty effective_to leaves the range open
+ * - ranges for the same jurisdiction code must not overlap
+ *
+ * PURE: parsing works on already-loaded content; file access lives in
+ * src/services/tax-rate-table.js.
+ *
+ * @version 1.0.0
+ */
+
+const Decimal = require('decimal.js');
+const { ValidationError } = require('./CalculationErrors');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const CSV_COLUMNS = ['jurisdiction_code', 'name', 'rate', 'effective_from', 'effective_to', 'order', 'compound'];
+
+class TaxRateTable {
+  /**
+   * @param {Object} table - Parsed table ({version, default_jurisdictions, rates})
+   * @throws {Error} - On missing version, invalid rows or overlapping ranges
+   */
+  constructor(table) {
+    if (!table || !table.version) {
+      throw new Error('Invalid tax rate table: version is required');
+    }
+    if (!Array.isArray(table.rates)) {
+      throw new Error('Invalid tax rate table: rates must be an array');
+    }
+
+    this.version = String(table.version);
+    this.defaultJurisdictions = table.default_jurisdictions || [];
+    this.rates = table.rates.map((row, index) => this.normalizeRow(row, index));
+    this.assertNoOverlaps();
+  }
+
+  /**
+   * Build a table from parsed JSON
+   */
+  static fromJSON(json) {
+    return new TaxRateTable(typeof json === 'string' ? JSON.parse(json) : json);
+  }
+
+  /**
+   * Build a table from CSV text
+   *
+   * Values are split on commas; names containing commas are not supported.
+   */
+  static fromCSV(text) {
+    const lines = String(text).split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    let version = null;
+    let defaultJurisdictions = [];
+    const dataLines = [];
+
+    for (const line of lines) {
+      const meta = line.match(/^#\s*(version|default_jurisdictions)\s*:\s*(.*)$/);
+      if (meta) {
+        if (meta[1] === 'version') version = meta[2].trim();
+        else defaultJurisdictions = meta[2].split(/[\s,]+/).filter(Boolean);
+      } else if (!line.startsWith('#')) {
+        dataLines.push(line);
+      }
+    }
+
+    const [header, ...rows] = dataLines;
+    const columns = header ? header.split(',').map(column => column.trim()) : [];
+    const missing = CSV_COLUMNS.slice(0, 4).filter(column => !columns.includes(column));
+    if (missing.length > 0) {
+      throw new Error(`Invalid tax rate table CSV: missing columns ${missing.join(', ')}`);
+    }
+
+    return new TaxRateTable({
+      version,
+      default_jurisdictions: defaultJurisdictions,
+      rates: rows.map(row => {
+        const values = row.split(',').map(value => value.trim());
+        return columns.reduce((record, column, index) => {
+          record[column] = values[index] === undefined ? '' : values[index];
+          return record;
+        }, {});
+      })
+    });
+  }
+
+  /**
+   * Rate row in force for a jurisdiction on a date
+   *
+   * @param {string} code - Jurisdiction code
+   * @param {string} date - Tax date (YYYY-MM-DD)
+   * @returns {Object} - Normalized rate row
+   * @throws {ValidationError} - If no rate is in force
+   */
+  rateFor(code, date) {
+    const row = this.rates.find(candidate =>
+      candidate.code === code &&
+      candidate.effective_from <= date &&
+      (candidate.effective_to === null || date <= candidate.effective_to)
+    );
+    if (!row) {
+      throw new ValidationError(`No tax rate in force for jurisdiction ${code} on ${date} (table ${this.version})`, {
+        path: 'config.tax_jurisdiction_codes',
+        code: 'TAX_RATE_NOT_FOUND',
+        details: { jurisdiction_code: code, tax_date: date, version: this.version }
+      });
+    }
+    return row;
+  }
+
+  /**
+   * Engine jurisdiction entries for a set of codes on a date
+   *
+   * @param {Array<string>} codes - Jurisdiction codes
+   * @param {string} date - Tax date (YYYY-MM-DD)
+   * @returns {Array<Object>} - config.jurisdictions-compatible entries
+   */
+  jurisdictionsFor(codes, date) {
+    if (!DATE_PATTERN.test(String(date))) {
+      throw new ValidationError(`Invalid tax date: ${date} (expected YYYY-MM-DD)`, {
+        path: 'config.tax_date',
+        code: 'INVALID_DATE',
+        details: { value: date }
+      });
+    }
+    return codes.map(code => {
+      const row = this.rateFor(code, date);
+      const jurisdiction = {
+        code: row.code,
+        name: row.name,
+        rate: row.rate,
+        effective_from: row.effective_from,
+        effective_to: row.effective_to
+      };
+      if (row.order !== null) jurisdiction.order = row.order;
+      if (row.compound) jurisdiction.compound = true;
+      if (row.category_taxability) jurisdiction.category_taxability = row.category_taxability;
+      return jurisdiction;
+    });
+  }
+
+  /**
+   * Validate and normalize one rate row
+   * @private
+   */
+  normalizeRow(row, index) {
+    const code = row.jurisdiction_code || row.code;
+    if (!code) {
+      throw new Error(`Invalid tax rate table: rates[${index}].jurisdiction_code is required`);
+    }
+
+    let rate;
+    try {
+      rate = new Decimal(String(row.rate));
+    } catch (e) {
+      rate = null;
+    }
+    if (!rate || !rate.isFinite() || rate.lt(0)) {
+      throw new Error(`Invalid tax rate table: rates[${index}].rate must be a non-negative number`);
+    }
+
+    const from = String(row.effective_from || '');
+    const to = row.effective_to ? String(row.effective_to) : null;
+    if (!DATE_PATTERN.test(from) || (to !== null && !DATE_PATTERN.test(to)) || (to !== null && to < from)) {
+      throw new Error(`Invalid tax rate table: rates[${index}] has an invalid effective date range`);
+    }
+
+    return {
+      code: String(code),
+      name: row.name || String(code),
+      rate: rate.toString(),
+      effective_from: from,
+      effective_to: to,
+      order: row.order === undefined || row.order === '' || row.order === null ? null : Number(row.order),
+      compound: row.compound === true || String(row.compound).toLowerCase() === 'true',
+      category_taxability: row.category_taxability || null
+    };
+  }
+
+  /**
+   * Reject overlapping date ranges for the same jurisdiction
+   * @private
+   */
+  assertNoOverlaps() {
+    const byCode = new Map();
+    for (const row of this.rates) {
+      if (!byCode.has(row.code)) byCode.set(row.code, []);
+      byCode.get(row.code).push(row);
+    }
+
+    for (const [code, rows] of byCode) {
+      const sorted = [...rows].sort((a, b) => a.effective_from.localeCompare(b.effective_from));
+      for (let i = 1; i < sorted.length; i++) {
+        const previousEnd = sorted[i - 1].effective_to;
+        if (previousEnd === null || previousEnd >= sorted[i].effective_from) {
+          throw new Error(`Invalid tax rate table: overlapping ranges for jurisdiction ${code}`);
+        }
+      }
+    }
+  }
+}
+
+module.exports = TaxRateTable;
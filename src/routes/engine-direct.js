@@ -9,6 +9,180 @@
 const express = require('express');
 const router = express.Router();
 const CalculationEngineFactory = require('../engines/factory/CalculationEngineFactory');
+const SecureRuleCompiler = require('../tiers/pre-processor/core/SecureRuleCompiler');
+const { getTaxRateTable } = require('../services/tax-rate-table');
+const { aggregateUseTax, toCsv } = require('../services/use-tax-report');
+const GoalSeekSolver = require('../engines/pure/GoalSeekSolver');
+const { BASE_SCENARIO, validateOverlays, applyOverlay, diffTotals } = require('../services/scenario-comparison');
+const { diffResults } = require('../services/result-diff');
+const InputValidator = require('../services/input-validation');
+const { resolveConcurrency, runBatch, readNdjson } = require('../services/batch-calculation');
+const calculationSchema = require('../services/calculation-schema');
+const { FIXTURE_LIST, FIXTURES } = require('../config/fixtures');
+const {
+  CalculationError,
+  ValidationError,
+  NotFoundError,
+  LimitExceededError,
+  DependencyCycleError,
+  InternalError,
+  toCalculationError
+} = require('../engines/pure/CalculationErrors');
+
+const ruleCompiler = new SecureRuleCompiler();
+const goalSeekSolver = new GoalSeekSolver();
+const inputValidator = new InputValidator(undefined, ruleCompiler);
+
+/**
+ * Compile text rules ({id, expression}) to ASTs the engine can evaluate
+ * Rules that already carry an AST (rule.ast or a bare node) are checked
+ * against the same whitelist and limits, then passed through unchanged
+ * 
+ * @param {Array} rules - Rules to compile
+ * @param {string} at - JSON path of the rules array
+ * @throws {ValidationError} - RULE_SYNTAX (with line/column) or RULE_REJECTED
+ * @throws {RuleError} - RULE_LIMIT_EXCEEDED
+ */
+function compileRuleExpressions(rules, at) {
+  if (!Array.isArray(rules)) return rules;
+  return rules.map((rule, index) => {
+    if (!rule) return rule;
+    const field = ruleCompiler.sourceField(rule);
+    try {
+      if (field === 'expression') return { ...rule, ast: ruleCompiler.compile(rule) };
+      ruleCompiler.validateAst(field === 'ast' ? rule.ast : rule);
+      return rule;
+    } catch (error) {
+      // Compiler errors are typed; add where the rule sits in the body
+      if (error instanceof CalculationError) {
+        error.path = field ? `${at}[${index}].${field}` : `${at}[${index}]`;
+        error.details = { rule_id: rule.id, ...error.details };
+      }
+      throw error;
+    }
+  });
+}
+
+// Upper bound on calculations in one use-tax report request
+const MAX_REPORT_CALCULATIONS = 1000;
+
+// Upper bound on overlays in one scenario comparison
+const MAX_SCENARIOS = 20;
+
+// Upper bound on inputs in one (non-streamed) batch request
+const MAX_BATCH_ITEMS = 1000;
+
+/**
+ * Config used when a request body has none
+ * The rate table's default jurisdictions, at the proposal's tax_date or
+ * (without one) today's UTC date; result.taxRateTable records both
+ * 
+ * @param {TaxRateTable} taxRateTable - Effective-dated rate table
+ * @param {Object} input - Request body
+ * @throws {InternalError} - The table names no default jurisdictions
+ */
+function defaultConfig(taxRateTable, input) {
+  if (!taxRateTable || taxRateTable.defaultJurisdictions.length === 0) {
+    throw new InternalError('Tax rate table has no default_jurisdictions', {
+      code: 'TAX_RATE_TABLE_UNAVAILABLE'
+    });
+  }
+  return {
+    schemaVersion: '1.0',
+    tax_mode: 'RETAIL',
+    tax_jurisdiction_codes: [...taxRateTable.defaultJurisdictions],
+    // The engine reads proposal.tax_date itself (and reports it by that path)
+    ...(input.proposal?.tax_date ? {} : { tax_date: new Date().toISOString().slice(0, 10) })
+  };
+}
+
+/**
+ * Build the engine context for a request body
+ * Applies config defaults, checks the body against the JSON Schema for its
+ * config.schemaVersion and compiles rule expressions. The tax date is only
+ * defaulted with the whole config (see defaultConfig): a caller's own
+ * config.tax_jurisdiction_codes without a tax_date is rejected by the
+ * engine, and the date used is echoed in result.taxRateTable.
+ * 
+ * @param {Object} input - Request body
+ * @param {TaxRateTable} taxRateTable - Rate table for the default config
+ * @throws {SchemaValidationError} - Body does not match its schema
+ * @throws {ValidationError} - A rule expression does not compile
+ * @throws {RuleError} - A rule expression exceeds the compiler limits
+ */
+function buildCalculationContext(input, taxRateTable) {
+  const context = {
+    proposalId: input.proposalId || 'test-' + Date.now(),
+    lineItems: input.lineItems || [],
+    modifiers: input.modifiers || [],
+    config: input.config || defaultConfig(taxRateTable, input),
+    dependencies: input.dependencies || [],
+    // Add any additional fields from input
+    ...input
+  };
+  
+  // Reject malformed bodies at the boundary, with every schema error listed
+  calculationSchema.assertValidInput(context);
+  
+  // Compile text rule expressions (top-level and inline on modifiers)
+  context.rules = compileRuleExpressions(context.rules, 'rules');
+  if (Array.isArray(context.modifiers)) {
+    context.modifiers = context.modifiers.map((mod, index) => mod && Array.isArray(mod.rules)
+      ? { ...mod, rules: compileRuleExpressions(mod.rules, `modifiers[${index}].rules`) }
+      : mod);
+  }
+  
+  return context;
+}
+
+/**
+ * HTTP status for an error (hierarchy in engines/pure/CalculationErrors)
+ * 
+ * STATUS:
+ * - 400 ValidationError (including SchemaValidationError)
+ * - 404 NotFoundError
+ * - 409 DependencyCycleError
+ * - 422 any other CalculationError: limits, margins, rules, unreachable goals
+ * - 500 InternalError and anything untyped
+ */
+function httpStatus(error) {
+  if (error instanceof ValidationError) return 400;
+  if (error instanceof NotFoundError) return 404;
+  if (error instanceof DependencyCycleError) return 409;
+  if (error instanceof CalculationError && !(error instanceof InternalError)) return 422;
+  return 500;
+}
+
+/**
+ * Send an error as { error, code, message, path, details }
+ * Clients match on code; only unexpected (500) errors are logged
+ */
+function sendError(res, error, title) {
+  const typed = toCalculationError(error);
+  const status = httpStatus(typed);
+  if (status === 500) {
+    console.error(`${title}:`, error);
+  }
+  res.status(status).json({
+    error: title,
+    ...typed.toJSON(),
+    stack: status === 500 && process.env.NODE_ENV === 'development' ? error.stack : undefined
+  });
+}
+
+/**
+ * Prefix an error's path (and its schema errors) with the request field
+ * the failing input came from, e.g. "base" or "before_input"
+ */
+function underField(error, field) {
+  if (!(error instanceof CalculationError)) return error;
+  const join = at => at ? `${field}.${at}` : field;
+  error.path = join(error.path);
+  for (const entry of error.errors || []) {
+    entry.path = join(entry.path);
+  }
+  return error;
+}
 
 /**
  * POST /api/engine/calculate
@@ -22,34 +196,415 @@ router.post('/calculate', async (req, res) => {
     const engineType = input.engineType || 'pure';
     const engine = CalculationEngineFactory.getEngine(engineType);
     
-    // Build calculation context
-    const context = {
-      proposalId: input.proposalId || 'test-' + Date.now(),
-      lineItems: input.lineItems || [],
-      modifiers: input.modifiers || [],
-      config: input.config || {
-        schemaVersion: '1.0',
-        tax_rate: '0.10',
-        tax_mode: 'RETAIL'
-      },
-      dependencies: input.dependencies || [],
-      // Add any additional fields from input
-      ...input
-    };
+    const taxRateTable = getTaxRateTable();
+    const context = buildCalculationContext(input, taxRateTable);
     
-    // Calculate
-    const result = await engine.calculate(context);
+    // Calculate (explain trace is opt-in via ?explain=true or body.explain)
+    const explain = req.query.explain === 'true' || input.explain === true;
+    const result = await engine.calculate(context, { explain, taxRateTable });
     
     // Return result
     res.json(result);
     
   } catch (error) {
-    console.error('Direct calculation error:', error);
-    res.status(500).json({
-      error: 'Calculation failed',
-      message: error.message,
-      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    sendError(res, error, 'Calculation failed');
+  }
+});
+
+/**
+ * Inputs and options of a JSON batch body
+ * Accepts a bare array or { inputs, concurrency, engineType }
+ */
+function parseBatchBody(body) {
+  if (Array.isArray(body)) {
+    return { inputs: body, options: {} };
+  }
+  return { inputs: body && body.inputs, options: body || {} };
+}
+
+/**
+ * Calculate one batch item (per-item engineType overrides the batch's)
+ */
+function batchCalculator(defaultEngineType, taxRateTable) {
+  return async input => {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      throw new ValidationError('Invalid input: batch item must be an object', { path: '', code: 'INVALID_TYPE' });
+    }
+    const engine = CalculationEngineFactory.getEngine(input.engineType || defaultEngineType);
+    return engine.calculate(buildCalculationContext(input, taxRateTable), { taxRateTable });
+  };
+}
+
+/**
+ * POST /api/engine/calculate/batch
+ * Calculate many inputs; one bad input never fails the batch
+ * 
+ * Body: [<calculate body>, ...] or { inputs, concurrency?, engineType? }
+ * (?concurrency= also accepted). Responds with per-item envelopes in input
+ * order and a summary (see services/batch-calculation).
+ */
+router.post('/calculate/batch', async (req, res) => {
+  try {
+    const { inputs, options } = parseBatchBody(req.body);
+    if (!Array.isArray(inputs) || inputs.length === 0) {
+      return sendError(res, new ValidationError('inputs must be a non-empty array', {
+        path: 'inputs',
+        code: 'INVALID_REQUEST'
+      }), 'Invalid batch request');
+    }
+    if (inputs.length > MAX_BATCH_ITEMS) {
+      return sendError(res, new LimitExceededError(
+        `Too many inputs: ${inputs.length} (max: ${MAX_BATCH_ITEMS}); use /calculate/batch/stream`,
+        { path: 'inputs', details: { count: inputs.length, max: MAX_BATCH_ITEMS } }
+      ), 'Invalid batch request');
+    }
+    
+    const results = new Array(inputs.length);
+    const summary = await runBatch(
+      inputs,
+      batchCalculator(options.engineType || 'pure', getTaxRateTable()),
+      {
+        concurrency: resolveConcurrency(req.query.concurrency || options.concurrency),
+        onItem: entry => { results[entry.index] = entry; }
+      }
+    );
+    
+    res.json({ results, summary });
+  } catch (error) {
+    sendError(res, error, 'Batch calculation failed');
+  }
+});
+
+/**
+ * POST /api/engine/calculate/batch/stream
+ * NDJSON variant for very large batches
+ * 
+ * Body: a JSON batch body (as /calculate/batch), or an NDJSON body
+ * (Content-Type: application/x-ndjson, one input per line) consumed as it
+ * arrives. Responds with one envelope per line in completion order (each
+ * carries its index), then a final { summary } line.
+ */
+router.post('/calculate/batch/stream', async (req, res) => {
+  let inputs;
+  let options = {};
+  if (req.is('application/x-ndjson')) {
+    inputs = readNdjson(req);
+  } else {
+    ({ inputs, options } = parseBatchBody(req.body));
+    if (!Array.isArray(inputs)) {
+      return sendError(res, new ValidationError('inputs must be an array, or send application/x-ndjson', {
+        path: 'inputs',
+        code: 'INVALID_REQUEST'
+      }), 'Invalid batch request');
+    }
+  }
+  
+  // Stop calculating once the client has gone away
+  let closed = false;
+  res.on('close', () => { closed = !res.writableEnded; });
+  const calculate = batchCalculator(req.query.engineType || options.engineType || 'pure', getTaxRateTable());
+  
+  res.status(200);
+  res.set('Content-Type', 'application/x-ndjson');
+  try {
+    const summary = await runBatch(
+      inputs,
+      async (input, index) => {
+        if (closed) throw new Error('Client disconnected');
+        return calculate(input, index);
+      },
+      {
+        concurrency: resolveConcurrency(req.query.concurrency || options.concurrency),
+        onItem: entry => {
+          if (!closed) res.write(JSON.stringify(entry) + '\n');
+        }
+      }
+    );
+    if (!closed) res.end(JSON.stringify({ summary }) + '\n');
+  } catch (error) {
+    const typed = toCalculationError(error);
+    // Only unexpected failures are logged, as in sendError
+    if (httpStatus(typed) === 500) {
+      console.error('Batch stream error:', error);
+    }
+    if (!closed) {
+      res.end(JSON.stringify({ error: 'Batch calculation failed', ...typed.toJSON() }) + '\n');
+    }
+  }
+});
+
+/**
+ * POST /api/engine/use-tax/report
+ * Aggregate use tax across a batch of calculations by jurisdiction and period
+ * 
+ * Body: { calculations: [<calculate body>, ...], format?: 'json' | 'csv' }
+ * (?format=csv also selects CSV). Any failed calculation fails the report
+ * with 422 so an accrual is never built from a partial batch.
+ */
+router.post('/use-tax/report', async (req, res) => {
+  try {
+    const calculations = req.body && req.body.calculations;
+    if (!Array.isArray(calculations) || calculations.length === 0) {
+      return sendError(res, new ValidationError('calculations must be a non-empty array', {
+        path: 'calculations',
+        code: 'INVALID_REQUEST'
+      }), 'Invalid report request');
+    }
+    if (calculations.length > MAX_REPORT_CALCULATIONS) {
+      return sendError(res, new LimitExceededError(
+        `Too many calculations: ${calculations.length} (max: ${MAX_REPORT_CALCULATIONS})`,
+        { path: 'calculations', details: { count: calculations.length, max: MAX_REPORT_CALCULATIONS } }
+      ), 'Invalid report request');
+    }
+    
+    const taxRateTable = getTaxRateTable();
+    const entries = [];
+    const failures = [];
+    
+    for (const [index, input] of calculations.entries()) {
+      try {
+        const engine = CalculationEngineFactory.getEngine(input.engineType || 'pure');
+        const context = buildCalculationContext(input, taxRateTable);
+        const result = await engine.calculate(context, { taxRateTable });
+        entries.push({
+          proposalId: context.proposalId,
+          taxDate: context.config.tax_date || context.proposal?.tax_date || null,
+          result
+        });
+      } catch (error) {
+        const { code, message, path } = toCalculationError(error);
+        failures.push({ index, proposalId: input && input.proposalId, code, message, path });
+      }
+    }
+    
+    if (failures.length > 0) {
+      return sendError(res, new CalculationError(
+        `${failures.length} of ${calculations.length} calculations failed`,
+        { code: 'CALCULATIONS_FAILED', path: 'calculations', details: { failures } }
+      ), 'Use-tax report failed');
+    }
+    
+    const rows = aggregateUseTax(entries);
+    const format = String(req.query.format || req.body.format || 'json').toLowerCase();
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv');
+      res.set('Content-Disposition', 'attachment; filename="use-tax-accrual.csv"');
+      return res.send(toCsv(rows));
+    }
+    
+    res.json({ calculations: entries.length, rows });
+  } catch (error) {
+    sendError(res, error, 'Use-tax report failed');
+  }
+});
+
+/**
+ * POST /api/engine/validate
+ * Check a /calculate body without running the math
+ * 
+ * Always 200 with { valid, error, issues }: issues lists every problem as
+ * { path, code, message, severity } (see services/input-validation);
+ * error is the first error message, or null when valid.
+ */
+router.post('/validate', (req, res) => {
+  try {
+    const input = req.body || {};
+    const { valid, issues } = inputValidator.validate({
+      ...input,
+      lineItems: input.lineItems || [],
+      modifiers: input.modifiers || [],
+      config: input.config || defaultConfig(getTaxRateTable(), input)
     });
+    const firstError = issues.find(issue => issue.severity === 'error');
+    
+    res.json({
+      valid,
+      error: firstError ? firstError.message : null,
+      issues
+    });
+  } catch (error) {
+    sendError(res, error, 'Validation failed');
+  }
+});
+
+/**
+ * POST /api/engine/solve
+ * Goal-seek: solve for one modifier's value that hits a target
+ * 
+ * Body: a /calculate body plus
+ * goal: { metric, value, modifier_id, min?, max? } and optional max_iterations
+ * (see GoalSeekSolver). Responds with the solved value, the full result at
+ * that value and the residual; 422 GOAL_UNREACHABLE when the target is out
+ * of range (details carry the achievable min and max).
+ */
+router.post('/solve', async (req, res) => {
+  try {
+    const { goal, max_iterations, ...input } = req.body || {};
+    const taxRateTable = getTaxRateTable();
+    const context = buildCalculationContext(input, taxRateTable);
+    
+    res.json(goalSeekSolver.solve(context, goal, { taxRateTable, max_iterations }));
+  } catch (error) {
+    sendError(res, error, 'Goal-seek failed');
+  }
+});
+
+/**
+ * POST /api/engine/scenarios
+ * What-if comparison: run a base input and named overlays side by side
+ * 
+ * Body: { base: <calculate body>, scenarios: [<overlay>, ...] }
+ * (overlay format in services/scenario-comparison). Every variant shares
+ * the base's proposalId and tax date so runs are reproducible. A failing
+ * variant reports its error (and code) in place; a failing base fails the
+ * request with the base's error, its path under "base".
+ */
+router.post('/scenarios', async (req, res) => {
+  try {
+    const { base, scenarios } = req.body || {};
+    if (!base || typeof base !== 'object') {
+      return sendError(res, new ValidationError('base must be a calculation input', {
+        path: 'base',
+        code: 'INVALID_REQUEST'
+      }), 'Invalid scenario request');
+    }
+    if (!Array.isArray(scenarios) || scenarios.length === 0) {
+      return sendError(res, new ValidationError('scenarios must be a non-empty array', {
+        path: 'scenarios',
+        code: 'INVALID_REQUEST'
+      }), 'Invalid scenario request');
+    }
+    if (scenarios.length > MAX_SCENARIOS) {
+      return sendError(res, new LimitExceededError(
+        `Too many scenarios: ${scenarios.length} (max: ${MAX_SCENARIOS})`,
+        { path: 'scenarios', details: { count: scenarios.length, max: MAX_SCENARIOS } }
+      ), 'Invalid scenario request');
+    }
+    try {
+      validateOverlays(scenarios);
+    } catch (error) {
+      return sendError(res, error, 'Invalid scenario request');
+    }
+    
+    const engine = CalculationEngineFactory.getEngine(base.engineType || 'pure');
+    const taxRateTable = getTaxRateTable();
+    let baseContext;
+    let baseResult;
+    try {
+      baseContext = buildCalculationContext(
+        { ...base, proposalId: base.proposalId || 'scenario-' + BASE_SCENARIO },
+        taxRateTable
+      );
+      baseResult = await engine.calculate(baseContext, { taxRateTable });
+    } catch (error) {
+      return sendError(res, underField(error, 'base'), 'Base calculation failed');
+    }
+    
+    const variants = [];
+    for (const [index, overlay] of scenarios.entries()) {
+      try {
+        const context = buildCalculationContext(applyOverlay(baseContext, overlay, index), taxRateTable);
+        const result = await engine.calculate(context, { taxRateTable });
+        variants.push({ name: overlay.name, result, diff: diffTotals(baseResult, result) });
+      } catch (error) {
+        const { code, path } = toCalculationError(error);
+        variants.push({ name: overlay.name, error: error.message, code, path, result: null, diff: null });
+      }
+    }
+    
+    res.json({
+      base: { name: BASE_SCENARIO, result: baseResult },
+      scenarios: variants
+    });
+  } catch (error) {
+    sendError(res, error, 'Scenario comparison failed');
+  }
+});
+
+/**
+ * POST /api/engine/diff
+ * Structured diff between two calculations
+ * 
+ * Body: { before, after } - two stored results, or
+ *       { before_input, after_input } - two inputs, calculated here with
+ *       the explain trace so changes carry their causes
+ */
+router.post('/diff', async (req, res) => {
+  try {
+    const body = req.body || {};
+    
+    if (body.before_input || body.after_input) {
+      if (!body.before_input || !body.after_input) {
+        return sendError(res, new ValidationError('before_input and after_input must both be provided', {
+          path: body.before_input ? 'after_input' : 'before_input',
+          code: 'INVALID_REQUEST'
+        }), 'Invalid diff request');
+      }
+      const taxRateTable = getTaxRateTable();
+      const calculate = async field => {
+        const input = body[field];
+        try {
+          const engine = CalculationEngineFactory.getEngine(input.engineType || 'pure');
+          return await engine.calculate(buildCalculationContext(input, taxRateTable), { explain: true, taxRateTable });
+        } catch (error) {
+          throw underField(error, field);
+        }
+      };
+      const before = await calculate('before_input');
+      const after = await calculate('after_input');
+      return res.json(diffResults(before, after, { before: body.before_input, after: body.after_input }));
+    }
+    
+    if (!body.before || !body.after || typeof body.before !== 'object' || typeof body.after !== 'object') {
+      return sendError(res, new ValidationError('Provide before and after results, or before_input and after_input', {
+        path: !body.before || typeof body.before !== 'object' ? 'before' : 'after',
+        code: 'INVALID_REQUEST'
+      }), 'Invalid diff request');
+    }
+    res.json(diffResults(body.before, body.after));
+  } catch (error) {
+    sendError(res, error, 'Result diff failed');
+  }
+});
+
+/**
+ * GET /api/engine/schema/:version
+ * JSON Schemas for a config.schemaVersion ("1", "1.0", "v1" ...)
+ * 
+ * Responds with { version, input, result }, or one raw schema with
+ * ?kind=input|result (application/schema+json) for type generators.
+ * 404 when no schema exists for the version.
+ */
+router.get('/schema/:version', (req, res) => {
+  try {
+    const version = calculationSchema.resolveVersion(req.params.version);
+    if (!version) {
+      return sendError(res, new NotFoundError(`No schema for version ${req.params.version}`, {
+        path: 'version',
+        details: { value: req.params.version, supported: calculationSchema.supportedVersions() }
+      }), 'Unknown schema version');
+    }
+    
+    const kind = req.query.kind;
+    if (kind !== undefined) {
+      if (!calculationSchema.SCHEMA_KINDS.includes(kind)) {
+        return sendError(res, new ValidationError(`kind must be one of ${calculationSchema.SCHEMA_KINDS.join(', ')}`, {
+          path: 'kind',
+          code: 'INVALID_ENUM',
+          details: { value: kind, allowed: calculationSchema.SCHEMA_KINDS }
+        }), 'Invalid schema kind');
+      }
+      res.set('Content-Type', 'application/schema+json');
+      return res.send(JSON.stringify(calculationSchema.getSchema(version, kind)));
+    }
+    
+    res.json({
+      version,
+      input: calculationSchema.getSchema(version, 'input'),
+      result: calculationSchema.getSchema(version, 'result')
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to load schema');
   }
 });
 
@@ -71,11 +626,7 @@ router.get('/info', (req, res) => {
       capabilities: engine.getCapabilities()
     });
   } catch (error) {
-    console.error('Error getting engine info:', error);
-    res.status(500).json({
-      error: 'Failed to get engine info',
-      message: error.message
-    });
+    sendError(res, error, 'Failed to get engine info');
   }
 });
 
@@ -84,14 +635,7 @@ router.get('/info', (req, res) => {
  * Get available test fixtures
  */
 router.get('/fixtures', (req, res) => {
-  // Return some standard test fixtures
-  const fixtures = [
-    { id: 'simple', name: 'Simple Calculation', description: 'Basic line items with tax' },
-    { id: 'discount', name: 'With Discount', description: 'Percentage discount modifier' },
-    { id: 'complex', name: 'Complex Scenario', description: 'Multiple modifiers and dependencies' }
-  ];
-  
-  res.json(fixtures);
+  res.json(FIXTURE_LIST);
 });
 
 /**
@@ -99,92 +643,12 @@ router.get('/fixtures', (req, res) => {
  * Get specific test fixture
  */
 router.get('/fixtures/:id', (req, res) => {
-  const fixtures = {
-    simple: {
-      proposalId: "test-simple",
-      lineItems: [
-        {
-          id: "item-1",
-          unitPrice: "100.00",
-          quantity: 2,
-          taxSetting: "TAXABLE"
-        }
-      ],
-      modifiers: [],
-      config: {
-        schemaVersion: "1.0",
-        tax_rate: "0.10",
-        tax_mode: "RETAIL"
-      }
-    },
-    discount: {
-      proposalId: "test-discount",
-      lineItems: [
-        {
-          id: "item-1",
-          unitPrice: "100.00",
-          quantity: 2,
-          taxSetting: "TAXABLE"
-        }
-      ],
-      modifiers: [
-        {
-          id: "discount-1",
-          modifier_type: "percentage",
-          value: "-15",
-          application_type: "pre_tax",
-          chain_priority: 1
-        }
-      ],
-      config: {
-        schemaVersion: "1.0",
-        tax_rate: "0.10",
-        tax_mode: "RETAIL"
-      }
-    },
-    complex: {
-      proposalId: "test-complex",
-      lineItems: [
-        {
-          id: "item-1",
-          unitPrice: "150.00",
-          quantity: 2,
-          taxSetting: "TAXABLE"
-        },
-        {
-          id: "item-2",
-          unitPrice: "75.00",
-          quantity: 3,
-          taxSetting: "EXEMPT"
-        }
-      ],
-      modifiers: [
-        {
-          id: "discount-1",
-          modifier_type: "percentage",
-          value: "-10",
-          application_type: "pre_tax",
-          chain_priority: 1
-        },
-        {
-          id: "fee-1",
-          modifier_type: "fixed",
-          value: "25.00",
-          application_type: "post_tax",
-          chain_priority: 2
-        }
-      ],
-      config: {
-        schemaVersion: "1.0",
-        tax_rate: "0.0875",
-        tax_mode: "RETAIL"
-      }
-    }
-  };
-  
-  const fixture = fixtures[req.params.id];
+  const fixture = Object.prototype.hasOwnProperty.call(FIXTURES, req.params.id) ? FIXTURES[req.params.id] : null;
   if (!fixture) {
-    return res.status(404).json({ error: 'Fixture not found' });
+    return sendError(res, new NotFoundError(`No fixture ${req.params.id}`, {
+      path: 'id',
+      details: { value: req.params.id, available: Object.keys(FIXTURES) }
+    }), 'Fixture not found');
   }
   
   res.json(fixture);
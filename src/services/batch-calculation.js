@@ -0,0 +1,169 @@
+/**
+ * Batch Calculation
+ *
+ * Runs many calculation inputs with a concurrency limit and per-item
+ * isolation: a failing input yields an error envelope and never fails the
+ * batch. Backs POST /api/engine/calculate/batch and its NDJSON variant.
+ *
+ * ENVELOPES (one per input):
+ * - { index, proposalId, ok: true, result }
+ * - { index, proposalId, ok: false, error: { name, code, message, path, details } }
+ *   (code and path as in engines/pure/CalculationErrors; schema errors are
+ *   in details.errors)
+ *
+ * SUMMARY:
+ * Counts, failed indexes, Q2 sums of the headline totals over successful
+ * items, and elapsed wall time. Items are summarised as they complete, so
+ * a streamed batch never holds every result in memory.
+ */
+
+const readline = require('readline');
+const Decimal = require('decimal.js');
+const PrecisionPolicy = require('../engines/pure/PrecisionPolicy');
+const { ValidationError, toCalculationError } = require('../engines/pure/CalculationErrors');
+
+const DEFAULT_CONCURRENCY = 4;
+const MAX_CONCURRENCY = 16;
+
+// Headline totals summed across successful items
+const SUMMARY_TOTALS = ['subtotal', 'modifierTotal', 'retailTax', 'useTax', 'customerGrandTotal'];
+
+/**
+ * Clamp a requested concurrency to [1, MAX_CONCURRENCY]
+ *
+ * @param {*} requested - Query/body value
+ * @returns {number}
+ */
+function resolveConcurrency(requested) {
+  const value = parseInt(requested, 10);
+  if (!Number.isFinite(value) || value < 1) return DEFAULT_CONCURRENCY;
+  return Math.min(value, MAX_CONCURRENCY);
+}
+
+/**
+ * Running summary of a batch
+ */
+class BatchSummary {
+  constructor() {
+    this.startedAt = Date.now();
+    this.count = 0;
+    this.succeeded = 0;
+    this.failures = [];
+    this.totals = Object.fromEntries(SUMMARY_TOTALS.map(field => [field, new Decimal(0)]));
+  }
+
+  /**
+   * Record one completed envelope
+   */
+  add(entry) {
+    this.count++;
+    if (!entry.ok) {
+      this.failures.push({
+        index: entry.index,
+        proposalId: entry.proposalId,
+        code: entry.error.code,
+        message: entry.error.message
+      });
+      return;
+    }
+    this.succeeded++;
+    for (const field of SUMMARY_TOTALS) {
+      if (entry.result[field] !== undefined) {
+        this.totals[field] = this.totals[field].plus(entry.result[field]);
+      }
+    }
+  }
+
+  toJSON() {
+    return {
+      count: this.count,
+      succeeded: this.succeeded,
+      failed: this.failures.length,
+      failures: [...this.failures].sort((a, b) => a.index - b.index),
+      totals: Object.fromEntries(SUMMARY_TOTALS.map(field => [
+        field,
+        PrecisionPolicy.finalString(this.totals[field])
+      ])),
+      elapsed_ms: Date.now() - this.startedAt
+    };
+  }
+}
+
+/**
+ * Run a batch with at most `concurrency` calculations in flight
+ *
+ * Inputs may be an array or an (async) iterable, so NDJSON request bodies
+ * are consumed as they arrive. An input that is an Error (e.g. an
+ * unparseable NDJSON line) becomes a failure envelope.
+ *
+ * @param {Iterable|AsyncIterable} inputs - Calculation inputs
+ * @param {Function} calculateOne - async (input, index) => result
+ * @param {Object} options - { concurrency, onItem(entry) }
+ * @returns {Promise<BatchSummary>}
+ */
+async function runBatch(inputs, calculateOne, { concurrency = DEFAULT_CONCURRENCY, onItem = () => {} } = {}) {
+  const summary = new BatchSummary();
+  const iterator = inputs[Symbol.asyncIterator]
+    ? inputs[Symbol.asyncIterator]()
+    : inputs[Symbol.iterator]();
+  let nextIndex = 0;
+
+  const worker = async () => {
+    for (;;) {
+      // Claim the index before awaiting so indexes follow input order
+      const index = nextIndex++;
+      const { value: input, done } = await iterator.next();
+      if (done) return;
+      const proposalId = input && !(input instanceof Error) ? input.proposalId || null : null;
+
+      let entry;
+      try {
+        if (input instanceof Error) throw input;
+        entry = { index, proposalId, ok: true, result: await calculateOne(input, index) };
+      } catch (error) {
+        const typed = toCalculationError(error);
+        entry = { index, proposalId, ok: false, error: { name: typed.name, ...typed.toJSON() } };
+      }
+      summary.add(entry);
+      onItem(entry);
+
+      // Let other requests in between synchronous engine runs
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  };
+
+  await Promise.all(Array.from({ length: concurrency }, worker));
+  return summary;
+}
+
+/**
+ * Parse an NDJSON stream into inputs (blank lines skipped)
+ *
+ * @param {Readable} stream - Request body
+ * @returns {AsyncGenerator<Object|Error>} - Parsed input, or an Error per bad line
+ */
+async function* readNdjson(stream) {
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  let lineNumber = 0;
+  for await (const line of lines) {
+    lineNumber++;
+    if (line.trim() === '') continue;
+    try {
+      yield JSON.parse(line);
+    } catch (error) {
+      yield new ValidationError(`Invalid JSON on line ${lineNumber}: ${error.message}`, {
+        code: 'INVALID_REQUEST',
+        details: { line: lineNumber }
+      });
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  MAX_CONCURRENCY,
+  BatchSummary,
+  resolveConcurrency,
+  runBatch,
+  readNdjson
+};
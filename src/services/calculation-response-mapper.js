@@ -35,7 +35,7 @@ function mapCalculationResponse(engineResult = {}) {
     retailTax = {
       taxable_base_precise: engineResult.taxableBasePrecise || '0.0000000',
       total_tax_precise: engineResult.taxAmountPrecise || '0.0000000',
-      sub_taxes: engineResult.retailTax?.sub_taxes || []
+      sub_taxes: engineResult.subTaxes || engineResult.retailTax?.sub_taxes || []
     };
   }
 
@@ -0,0 +1,316 @@
+/**
+ * Calculation Schemas
+ *
+ * JSON Schemas (draft 2020-12) for the calculation input and result, one
+ * directory per major version under src/schemas (v1/...). The version is
+ * selected by config.schemaVersion: "1", "1.0" and "1.0.0" all use v1.
+ * Served by GET /api/engine/schema/:version and enforced on every
+ * calculation body at the API boundary.
+ *
+ * VALIDATOR:
+ * Built in and offline (no remote $ref). Supports the keywords the
+ * bundled schemas use: type, enum, const, pattern, minimum, minLength,
+ * minItems, required, properties, additionalProperties, items, anyOf,
+ * oneOf, allOf and local $ref ("#/$defs/..."). Annotation keywords
+ * (description, examples, title) are ignored.
+ *
+ * ERRORS: { path, keyword, message }
+ * - path: JSON path into the value (e.g. "lineItems[0].unitPrice"),
+ *   empty for the root
+ * assertValidInput throws them as one SchemaValidationError (a
+ * ValidationError, see engines/pure/CalculationErrors).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ValidationError } = require('../engines/pure/CalculationErrors');
+
+const SCHEMA_ROOT = path.join(__dirname, '..', 'schemas');
+const SCHEMA_KINDS = ['input', 'result'];
+
+// Upper bound on errors collected for one value
+const MAX_ERRORS = 100;
+
+/**
+ * Raised when a body does not match the schema for its version
+ *
+ * Code SCHEMA_VALIDATION; path is the first error's, details carry the
+ * schema version and every error.
+ */
+class SchemaValidationError extends ValidationError {
+  constructor(message, errors = [], version = null) {
+    super(message, {
+      path: errors.length > 0 ? errors[0].path : null,
+      details: { schemaVersion: version, errors }
+    });
+    this.errors = errors;
+    this.version = version;
+  }
+}
+SchemaValidationError.defaultCode = 'SCHEMA_VALIDATION';
+
+const schemaCache = new Map();
+
+/**
+ * Major versions with a schema directory, e.g. ['1']
+ *
+ * @returns {Array<string>}
+ */
+function supportedVersions() {
+  return fs.readdirSync(SCHEMA_ROOT)
+    .filter(name => /^v\d+$/.test(name))
+    .map(name => name.slice(1))
+    .sort((a, b) => Number(a) - Number(b));
+}
+
+/**
+ * Major version for a schemaVersion or route parameter
+ *
+ * @param {string|number} schemaVersion - "1", "1.0", "v1", 1 ...
+ * @returns {string|null} - Supported major version, or null
+ */
+function resolveVersion(schemaVersion) {
+  const match = /^v?(\d+)(\.\d+){0,2}$/.exec(String(schemaVersion === undefined ? '' : schemaVersion).trim());
+  if (!match) return null;
+  const major = String(Number(match[1]));
+  return supportedVersions().includes(major) ? major : null;
+}
+
+/**
+ * Load (once) the schema of one kind for a major version
+ *
+ * @param {string} version - Major version from resolveVersion
+ * @param {string} kind - 'input' | 'result'
+ * @returns {Object} - Parsed JSON Schema
+ */
+function getSchema(version, kind) {
+  if (!SCHEMA_KINDS.includes(kind)) {
+    throw new Error(`Invalid schema kind: ${kind} (expected one of ${SCHEMA_KINDS.join(', ')})`);
+  }
+  const key = `${version}/${kind}`;
+  if (!schemaCache.has(key)) {
+    const file = path.join(SCHEMA_ROOT, `v${version}`, `calculation-${kind}.schema.json`);
+    schemaCache.set(key, JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+  return schemaCache.get(key);
+}
+
+/**
+ * JSON type name of a value ('integer' values are also 'number')
+ * @private
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * @private
+ */
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+/**
+ * @private
+ */
+function joinPath(base, key) {
+  if (typeof key === 'number') return `${base}[${key}]`;
+  return base ? `${base}.${key}` : key;
+}
+
+/**
+ * Resolve a local "#/..." reference against the root schema
+ * @private
+ */
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Unsupported $ref: ${ref} (only local references are resolved)`);
+  }
+  return ref.slice(2).split('/').reduce((node, segment) => {
+    const key = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+    if (!node || !(key in node)) throw new Error(`Unresolvable $ref: ${ref}`);
+    return node[key];
+  }, root);
+}
+
+/**
+ * Validate a value against a schema
+ *
+ * @param {Object} schema - Root JSON Schema
+ * @param {*} value - Value to check
+ * @returns {Array} - Errors [{ path, keyword, message }] (empty when valid)
+ */
+function validate(schema, value) {
+  const errors = [];
+  check(schema, schema, value, '', errors);
+  return errors.slice(0, MAX_ERRORS);
+}
+
+/**
+ * @private
+ */
+function check(root, schema, value, at, errors) {
+  if (errors.length >= MAX_ERRORS || schema === true || schema === undefined) return;
+  const fail = (keyword, message, where = at) => errors.push({ path: where, keyword, message });
+
+  if (schema.$ref) {
+    check(root, resolveRef(root, schema.$ref), value, at, errors);
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      // Nothing below applies to a value of the wrong type
+      return fail('type', `must be ${types.join(' or ')}`);
+    }
+  }
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    fail('enum', `must be one of ${schema.enum.join(', ')}`);
+  }
+  if (schema.const !== undefined && schema.const !== value) {
+    fail('const', `must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      fail('pattern', `must match pattern ${schema.pattern}`);
+    }
+    if (schema.minLength !== undefined && [...value].length < schema.minLength) {
+      fail('minLength', `must be at least ${schema.minLength} characters`);
+    }
+  }
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    fail('minimum', `must be >= ${schema.minimum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('minItems', `must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => check(root, schema.items, item, joinPath(at, index), errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) fail('required', 'is required', joinPath(at, key));
+    }
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (child === undefined) continue;
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        check(root, properties[key], child, joinPath(at, key), errors);
+      } else if (schema.additionalProperties === false) {
+        fail('additionalProperties', 'is not allowed', joinPath(at, key));
+      } else if (typeof schema.additionalProperties === 'object') {
+        check(root, schema.additionalProperties, child, joinPath(at, key), errors);
+      }
+    }
+  }
+
+  for (const branch of schema.allOf || []) {
+    check(root, branch, value, at, errors);
+  }
+  if (schema.anyOf) {
+    checkAlternatives(root, schema.anyOf, value, at, errors, 'anyOf');
+  }
+  if (schema.oneOf) {
+    checkAlternatives(root, schema.oneOf, value, at, errors, 'oneOf');
+  }
+}
+
+/**
+ * anyOf / oneOf: report the errors of the closest alternative
+ *
+ * When exactly one alternative accepts the value's type, its errors are
+ * the useful ones ("must match pattern ..."); otherwise one summary
+ * error lists what the value could have been (types, or required keys).
+ * @private
+ */
+function checkAlternatives(root, branches, value, at, errors, keyword) {
+  const outcomes = branches.map(branch => {
+    const branchErrors = [];
+    check(root, branch, value, at, branchErrors);
+    return branchErrors;
+  });
+  const passed = outcomes.filter(branchErrors => branchErrors.length === 0).length;
+
+  if (keyword === 'oneOf' && passed > 1) {
+    errors.push({ path: at, keyword, message: `must match exactly one of ${branches.length} alternatives` });
+    return;
+  }
+  if (passed > 0) return;
+
+  const typeMismatch = branchErrors => branchErrors.length === 1 &&
+    branchErrors[0].keyword === 'type' && branchErrors[0].path === at;
+  const closest = outcomes.filter(branchErrors => !typeMismatch(branchErrors));
+  if (closest.length === 1) {
+    errors.push(...closest[0]);
+    return;
+  }
+  const missing = outcomes.every(branchErrors => branchErrors.length > 0 &&
+    branchErrors.every(error => error.keyword === 'required'));
+  if (missing) {
+    const names = outcomes.map(branchErrors => branchErrors.map(error => error.path.split('.').pop()).join(' + '));
+    errors.push({ path: at, keyword, message: `requires one of ${names.join(', ')}` });
+    return;
+  }
+  const expected = outcomes.every(typeMismatch)
+    ? outcomes.map(branchErrors => branchErrors[0].message.replace(/^must be /, '')).join(' or ')
+    : null;
+  errors.push({
+    path: at,
+    keyword,
+    message: expected ? `must be ${expected}` : `must match one of ${branches.length} alternatives`
+  });
+}
+
+/**
+ * Check a calculation body against the input schema for its version
+ *
+ * @param {Object} input - Calculation input, after route defaults
+ * @returns {string} - Major version the input was validated against
+ * @throws {SchemaValidationError} - Unknown version or schema errors
+ */
+function assertValidInput(input) {
+  const schemaVersion = input && input.config ? input.config.schemaVersion : undefined;
+  if (schemaVersion === undefined || schemaVersion === null || schemaVersion === '') {
+    throw new SchemaValidationError('Invalid input: config.schemaVersion is required', [
+      { path: 'config.schemaVersion', keyword: 'required', message: 'is required' }
+    ]);
+  }
+  const version = resolveVersion(schemaVersion);
+  if (!version) {
+    const message = `Unsupported schemaVersion ${schemaVersion} (supported: ${supportedVersions().join(', ')})`;
+    throw new SchemaValidationError(`Invalid input: ${message}`, [
+      { path: 'config.schemaVersion', keyword: 'version', message }
+    ]);
+  }
+
+  const errors = validate(getSchema(version, 'input'), input);
+  if (errors.length > 0) {
+    const first = errors[0];
+    const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+    throw new SchemaValidationError(
+      `Invalid input: ${first.path || 'input'} ${first.message}${more}`,
+      errors,
+      version
+    );
+  }
+  return version;
+}
+
+module.exports = {
+  SCHEMA_KINDS,
+  SchemaValidationError,
+  supportedVersions,
+  resolveVersion,
+  getSchema,
+  validate,
+  assertValidInput
+};
@@ -0,0 +1,394 @@
+/**
+ * Input Validation
+ *
+ * Checks a calculation input without running the math and reports every
+ * problem at once, so an author can fix a whole proposal in one pass.
+ * Backs POST /api/engine/validate.
+ *
+ * ISSUES: { path, code, message, severity }
+ * - path: JSON path into the input (e.g. "modifiers[2].value")
+ * - severity: 'error' (the engine rejects the input, or its result would
+ *   be ambiguous, e.g. duplicate line ids) or 'warning' (the input
+ *   calculates, but probably not as intended)
+ *
+ * CHECKS:
+ * - structure and required fields, resource limits
+ * - line items: ids, duplicate ids, numeric price / quantity / cost
+ * - modifiers: ids, duplicate ids, known type, numeric value, margin
+ *   bounds, amount bounds, application type, missing-cost strategy
+ * - config enums, jurisdictions, tax date, exemption certificates
+ * - dependencies: unknown modifiers, REQUIRES cycles, chain depth
+ * - rules: expressions compiled, client ASTs validated with SecureRuleCompiler
+ * - the JSON Schema for config.schemaVersion (services/calculation-schema),
+ *   for fields no check above already reported on
+ * - finally PureCalculationEngine.validateInput, so anything the engine
+ *   rejects is reported even if no check above covers it
+ */
+
+const Decimal = require('decimal.js');
+const PureCalculationEngine = require('../engines/pure/PureCalculationEngine');
+const SecureRuleCompiler = require('../tiers/pre-processor/core/SecureRuleCompiler');
+const calculationSchema = require('./calculation-schema');
+
+const MODIFIER_TYPES = ['percentage', 'fixed', 'margin', 'tiered', 'quantity', 'cost_adjustment'];
+const APPLICATION_TYPES = ['pre_tax', 'post_tax'];
+const MISSING_COST_STRATEGIES = ['SKIP', 'USE_DEFAULT', 'FAIL'];
+
+// Config enums: field -> accepted (upper-cased) values
+const CONFIG_ENUMS = {
+  price_mode: ['TAX_EXCLUSIVE', 'TAX_INCLUSIVE'],
+  inclusive_modifier_basis: ['NET', 'GROSS'],
+  tax_rounding: ['DOCUMENT', 'JURISDICTION', 'LINE']
+};
+
+class InputValidator {
+  /**
+   * @param {PureCalculationEngine} [engine] - Engine whose limits and checks apply
+   * @param {SecureRuleCompiler} [ruleCompiler] - Compiler for rule expressions
+   */
+  constructor(engine = new PureCalculationEngine(), ruleCompiler = new SecureRuleCompiler()) {
+    this.engine = engine;
+    this.ruleCompiler = ruleCompiler;
+  }
+
+  /**
+   * Validate a calculation input
+   *
+   * @param {Object} input - Calculation input (as sent to /calculate)
+   * @returns {Object} - { valid, issues } where valid means no errors
+   */
+  validate(input) {
+    const issues = [];
+    const report = (path, code, message, severity = 'error') => {
+      issues.push({ path, code, message, severity });
+    };
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      report('', 'REQUIRED', 'input must be an object');
+      return { valid: false, issues };
+    }
+
+    this.checkLineItems(input, report);
+    this.checkModifiers(input, report);
+    this.checkConfig(input, report);
+    this.checkExemptions(input, report);
+    this.checkDependencies(input, report);
+    this.checkRules(input, report);
+    this.checkSchema(input, issues, report);
+
+    // The engine has the final word; report what it rejects if not already covered
+    try {
+      this.engine.validateInput(input);
+    } catch (error) {
+      if (!issues.some(issue => issue.severity === 'error')) {
+        report(error.path || '', error.code || 'INVALID_INPUT', error.message);
+      }
+    }
+
+    return {
+      valid: !issues.some(issue => issue.severity === 'error'),
+      issues
+    };
+  }
+
+  /**
+   * @private
+   */
+  checkLineItems(input, report) {
+    if (!Array.isArray(input.lineItems)) {
+      report('lineItems', 'REQUIRED', 'lineItems must be an array');
+      return;
+    }
+    if (input.lineItems.length > this.engine.limits.maxLineItems) {
+      report('lineItems', 'LIMIT_EXCEEDED',
+        `Too many line items: ${input.lineItems.length} (max: ${this.engine.limits.maxLineItems})`);
+    }
+
+    const seen = new Set();
+    input.lineItems.forEach((item, index) => {
+      const path = `lineItems[${index}]`;
+      if (!item || typeof item !== 'object') {
+        report(path, 'INVALID_TYPE', 'line item must be an object');
+        return;
+      }
+      const id = item.line_item_id || item.id;
+      if (!id) {
+        report(`${path}.id`, 'REQUIRED', 'line item id is required');
+      } else if (seen.has(id)) {
+        report(`${path}.id`, 'DUPLICATE_ID', `Duplicate line item ID: ${id}`);
+      } else {
+        seen.add(id);
+      }
+
+      const price = item.unit_price || item.unitPrice || item.price;
+      if (price === undefined || price === null) {
+        report(`${path}.unitPrice`, 'REQUIRED', `line item ${id} has no unit price; it will be priced at 0`, 'warning');
+      } else {
+        this.checkNumber(price, `${path}.unitPrice`, report);
+      }
+      if (item.cost !== undefined && item.cost !== null && item.cost !== '') {
+        this.checkNumber(item.cost, `${path}.cost`, report);
+      }
+      if (item.quantity !== undefined && (!Number.isFinite(Number(item.quantity)) || Number(item.quantity) < 0)) {
+        report(`${path}.quantity`, 'INVALID_NUMBER',
+          `quantity ${item.quantity} is not a non-negative number; it will be treated as 0`, 'warning');
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  checkModifiers(input, report) {
+    if (!Array.isArray(input.modifiers)) {
+      report('modifiers', 'REQUIRED', 'modifiers must be an array');
+      return;
+    }
+    if (input.modifiers.length > this.engine.limits.maxModifiers) {
+      report('modifiers', 'LIMIT_EXCEEDED',
+        `Too many modifiers: ${input.modifiers.length} (max: ${this.engine.limits.maxModifiers})`);
+    }
+
+    const seen = new Set();
+    input.modifiers.forEach((modifier, index) => {
+      const path = `modifiers[${index}]`;
+      if (!modifier || typeof modifier !== 'object') {
+        report(path, 'INVALID_TYPE', 'modifier must be an object');
+        return;
+      }
+      if (!modifier.id) {
+        report(`${path}.id`, 'REQUIRED', 'modifier id is required');
+      } else if (seen.has(modifier.id)) {
+        report(`${path}.id`, 'DUPLICATE_ID', `Duplicate modifier ID: ${modifier.id}`);
+      } else {
+        seen.add(modifier.id);
+      }
+
+      if (!MODIFIER_TYPES.includes(modifier.modifier_type)) {
+        report(`${path}.modifier_type`, 'UNKNOWN_MODIFIER_TYPE',
+          `modifier_type ${modifier.modifier_type} is not one of ${MODIFIER_TYPES.join(', ')}; it will have no effect`,
+          'warning');
+      }
+      if (modifier.application_type !== undefined && !APPLICATION_TYPES.includes(modifier.application_type)) {
+        report(`${path}.application_type`, 'INVALID_ENUM',
+          `application_type must be one of ${APPLICATION_TYPES.join(', ')}`);
+      }
+
+      const value = modifier.value !== undefined && modifier.value !== null && modifier.value !== ''
+        ? this.checkNumber(modifier.value, `${path}.value`, report)
+        : null;
+      if (modifier.modifier_type === 'margin' && value && (value.lt(0) || value.gte(100))) {
+        report(`${path}.value`, 'MARGIN_OUT_OF_RANGE', 'Invalid margin: must be between 0% and 100%');
+      }
+      if (modifier.missing_cost_strategy !== undefined &&
+          !MISSING_COST_STRATEGIES.includes(String(modifier.missing_cost_strategy).toUpperCase())) {
+        report(`${path}.missing_cost_strategy`, 'INVALID_ENUM',
+          `missing_cost_strategy must be one of ${MISSING_COST_STRATEGIES.join(', ')}`);
+      }
+
+      this.checkBounds(modifier, 'min_amount', 'max_amount', path, report);
+      this.checkBounds(modifier, 'group_min_amount', 'group_max_amount', path, report);
+    });
+  }
+
+  /**
+   * @private
+   */
+  checkConfig(input, report) {
+    const config = input.config;
+    if (!config || typeof config !== 'object') {
+      report('config', 'REQUIRED', 'config is required');
+      return;
+    }
+    if (!config.schemaVersion) {
+      report('config.schemaVersion', 'REQUIRED', 'schemaVersion is required');
+    }
+
+    for (const [field, accepted] of Object.entries(CONFIG_ENUMS)) {
+      if (config[field] !== undefined && !accepted.includes(String(config[field]).toUpperCase())) {
+        report(`config.${field}`, 'INVALID_ENUM', `${field} must be one of ${accepted.join(', ')}`);
+      }
+    }
+    for (const field of ['tax_rate', 'use_tax_rate', 'margin_floor']) {
+      if (config[field] !== undefined && config[field] !== null) {
+        this.checkNumber(config[field], `config.${field}`, report);
+      }
+    }
+    if (config.subtotal_floor !== undefined && config.subtotal_floor !== null &&
+        !['ZERO', 'COST'].includes(String(config.subtotal_floor).toUpperCase())) {
+      this.checkNumber(config.subtotal_floor, 'config.subtotal_floor', report);
+    }
+
+    if (config.jurisdictions !== undefined) {
+      if (!Array.isArray(config.jurisdictions)) {
+        report('config.jurisdictions', 'INVALID_TYPE', 'config.jurisdictions must be an array');
+      } else {
+        config.jurisdictions.forEach((jurisdiction, index) => {
+          const path = `config.jurisdictions[${index}]`;
+          if (!jurisdiction || !jurisdiction.code) {
+            report(`${path}.code`, 'REQUIRED', 'jurisdiction code is required');
+          }
+          this.checkNumber(jurisdiction && jurisdiction.rate, `${path}.rate`, report);
+        });
+      }
+    }
+    if (config.tax_jurisdiction_codes !== undefined) {
+      if (!Array.isArray(config.tax_jurisdiction_codes) || config.tax_jurisdiction_codes.length === 0) {
+        report('config.tax_jurisdiction_codes', 'INVALID_TYPE', 'config.tax_jurisdiction_codes must be a non-empty array');
+      } else if (Array.isArray(config.jurisdictions) && config.jurisdictions.length > 0) {
+        report('config.tax_jurisdiction_codes', 'CONFLICT',
+          'config.jurisdictions and config.tax_jurisdiction_codes are mutually exclusive');
+      } else if (this.engine.resolveTaxDate(input) === null) {
+        report('config.tax_date', 'REQUIRED', 'tax_date is required with config.tax_jurisdiction_codes (rates are effective-dated)');
+      }
+    }
+
+    const taxDate = this.engine.resolveTaxDate(input);
+    if (taxDate !== null && !this.engine.isIsoDate(taxDate)) {
+      report(config.tax_date ? 'config.tax_date' : 'proposal.tax_date', 'INVALID_DATE',
+        `Invalid tax_date: ${taxDate} (expected YYYY-MM-DD)`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  checkExemptions(input, report) {
+    if (input.exemptions === undefined) return;
+    if (!Array.isArray(input.exemptions)) {
+      report('exemptions', 'INVALID_TYPE', 'exemptions must be an array');
+      return;
+    }
+    input.exemptions.forEach((certificate, index) => {
+      const path = `exemptions[${index}]`;
+      if (!certificate || !certificate.certificate_id) {
+        report(`${path}.certificate_id`, 'REQUIRED', 'certificate_id is required');
+      }
+      if (certificate && certificate.expires_on !== undefined && !this.engine.isIsoDate(certificate.expires_on)) {
+        report(`${path}.expires_on`, 'INVALID_DATE', 'expires_on must be YYYY-MM-DD');
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  checkDependencies(input, report) {
+    if (input.dependencies === undefined) return;
+    if (!Array.isArray(input.dependencies)) {
+      report('dependencies', 'INVALID_TYPE', 'dependencies must be an array');
+      return;
+    }
+
+    const modifierIds = new Set((Array.isArray(input.modifiers) ? input.modifiers : [])
+      .filter(Boolean)
+      .map(modifier => modifier.id));
+    input.dependencies.forEach((dependency, index) => {
+      const path = `dependencies[${index}]`;
+      for (const field of ['modifier_id', 'depends_on']) {
+        if (dependency && dependency[field] !== undefined && !modifierIds.has(dependency[field])) {
+          report(`${path}.${field}`, 'UNKNOWN_MODIFIER',
+            `dependency references unknown modifier ${dependency[field]}`, 'warning');
+        }
+      }
+    });
+
+    const cycle = this.engine.detectDependencyCycle(input.dependencies);
+    if (cycle) {
+      report('dependencies', 'DEPENDENCY_CYCLE', `Circular dependency detected: ${cycle.join(' → ')}`);
+      return;
+    }
+    const depth = this.engine.calculateDependencyDepth(input.dependencies);
+    if (depth > this.engine.limits.maxDependencyDepth) {
+      report('dependencies', 'LIMIT_EXCEEDED',
+        `Dependency chain too deep: ${depth} (max: ${this.engine.limits.maxDependencyDepth})`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  checkRules(input, report) {
+    if (input.rules !== undefined && !Array.isArray(input.rules)) {
+      report('rules', 'INVALID_TYPE', 'rules must be an array');
+    }
+    const compile = (rule, path) => {
+      if (!rule) return;
+      const field = this.ruleCompiler.sourceField(rule);
+      try {
+        if (field === 'expression') this.ruleCompiler.compile(rule);
+        else this.ruleCompiler.validateAst(field === 'ast' ? rule.ast : rule);
+      } catch (error) {
+        report(field ? `${path}.${field}` : path, error.code || 'RULE_REJECTED', error.message);
+      }
+    };
+
+    (Array.isArray(input.rules) ? input.rules : []).forEach((rule, index) => compile(rule, `rules[${index}]`));
+    (Array.isArray(input.modifiers) ? input.modifiers : []).forEach((modifier, index) => {
+      if (modifier && Array.isArray(modifier.rules)) {
+        modifier.rules.forEach((rule, ruleIndex) => compile(rule, `modifiers[${index}].rules[${ruleIndex}]`));
+      }
+    });
+  }
+
+  /**
+   * Schema errors under a path no other check reported on
+   * @private
+   */
+  checkSchema(input, issues, report) {
+    try {
+      calculationSchema.assertValidInput(input);
+      return;
+    } catch (error) {
+      if (!(error instanceof calculationSchema.SchemaValidationError)) throw error;
+      const reported = issues.map(issue => issue.path).filter(Boolean);
+      const covered = path => reported.some(known =>
+        path === known || path.startsWith(`${known}.`) || path.startsWith(`${known}[`));
+      for (const schemaError of error.errors) {
+        if (covered(schemaError.path)) continue;
+        report(
+          schemaError.path,
+          `SCHEMA_${schemaError.keyword.toUpperCase()}`,
+          `${schemaError.path || 'input'} ${schemaError.message}`
+        );
+      }
+    }
+  }
+
+  /**
+   * Report a non-numeric value; returns the parsed Decimal or null
+   * @private
+   */
+  checkNumber(value, path, report) {
+    try {
+      const decimal = new Decimal(String(value));
+      if (decimal.isFinite()) return decimal;
+    } catch (e) {
+      // reported below
+    }
+    report(path, 'INVALID_NUMBER', `${path} must be a number (got ${value})`);
+    return null;
+  }
+
+  /**
+   * Report invalid min/max amount bounds
+   * @private
+   */
+  checkBounds(modifier, minField, maxField, path, report) {
+    const parse = field => {
+      if (modifier[field] === undefined || modifier[field] === null) return null;
+      const decimal = this.checkNumber(modifier[field], `${path}.${field}`, report);
+      if (decimal && decimal.isNegative()) {
+        report(`${path}.${field}`, 'INVALID_BOUNDS', `${field} must not be negative`);
+      }
+      return decimal;
+    };
+    const min = parse(minField);
+    const max = parse(maxField);
+    if (min && max && min.gt(max)) {
+      report(`${path}.${minField}`, 'INVALID_BOUNDS', `${minField} ${min} exceeds ${maxField} ${max}`);
+    }
+  }
+}
+
+module.exports = InputValidator;
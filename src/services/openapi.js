@@ -0,0 +1,544 @@
+/**
+ * OpenAPI Document
+ *
+ * Builds the OpenAPI 3.1 description served at /api/openapi.json from the
+ * routes actually registered on the app and the calculation JSON Schemas,
+ * so the document cannot list an endpoint the server does not have.
+ *
+ * SOURCES:
+ * - paths: every route on the mounted routers and the app's own /api
+ *   routes; ROUTE_DOCS adds summaries, bodies and responses, and a route
+ *   without an entry is still listed (with a placeholder summary)
+ * - components: the latest calculation schemas, with their $defs hoisted
+ *   to components/schemas (CalculationInput, CalculationInputLineItem, ...)
+ * - examples: the bundled fixtures (config/fixtures) on every operation
+ *   whose body is a calculation input
+ */
+
+const calculationSchema = require('./calculation-schema');
+const { ERROR_CODES } = require('../engines/pure/CalculationErrors');
+const { FIXTURE_LIST, FIXTURES } = require('../config/fixtures');
+const { version: packageVersion } = require('../../package.json');
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const json = schema => ({ 'application/json': { schema } });
+
+// Error responses shared by the engine routes (status per error class,
+// see engines/pure/CalculationErrors)
+const ERROR_RESPONSES = {
+  400: { description: 'Invalid input or request (ValidationError)', content: json(ref('ErrorResponse')) },
+  404: { description: 'Not found', content: json(ref('ErrorResponse')) },
+  409: { description: 'Circular REQUIRES/EXCLUDES dependency (DependencyCycleError)', content: json(ref('ErrorResponse')) },
+  422: {
+    description: 'Limit exceeded, invalid margin, rule failure or unreachable goal',
+    content: json(ref('ErrorResponse'))
+  },
+  500: { description: 'Unexpected server error (InternalError)', content: json(ref('ErrorResponse')) }
+};
+
+// Responses of every route that runs the engine
+const CALCULATION_ERRORS = {
+  400: ERROR_RESPONSES[400],
+  409: ERROR_RESPONSES[409],
+  422: ERROR_RESPONSES[422],
+  500: ERROR_RESPONSES[500]
+};
+
+// Components that are not generated from the calculation schemas
+const STATIC_SCHEMAS = {
+  ErrorCode: {
+    enum: Object.keys(ERROR_CODES),
+    description: 'Stable machine-readable error code; match on this, never on message'
+  },
+  ErrorResponse: {
+    type: 'object',
+    required: ['error', 'message'],
+    properties: {
+      error: { type: 'string' },
+      code: ref('ErrorCode'),
+      message: { type: 'string' },
+      path: { type: ['string', 'null'], description: 'JSON path to the offending input, e.g. modifiers[2].value' },
+      details: {
+        type: 'object',
+        description: 'Values involved; SCHEMA_VALIDATION lists every schema error under errors'
+      }
+    }
+  },
+  BatchEnvelope: {
+    type: 'object',
+    required: ['index', 'ok'],
+    properties: {
+      index: { type: 'integer' },
+      proposalId: { type: ['string', 'number', 'null'] },
+      ok: { type: 'boolean' },
+      result: ref('CalculationResult'),
+      error: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          code: ref('ErrorCode'),
+          message: { type: 'string' },
+          path: { type: ['string', 'null'] },
+          details: { type: 'object' }
+        }
+      }
+    }
+  },
+  BatchRequest: {
+    oneOf: [
+      { type: 'array', items: ref('CalculationInput') },
+      {
+        type: 'object',
+        required: ['inputs'],
+        properties: {
+          inputs: { type: 'array', items: ref('CalculationInput') },
+          concurrency: { type: 'integer', minimum: 1 },
+          engineType: { type: 'string' }
+        }
+      }
+    ]
+  },
+  BatchSummary: {
+    type: 'object',
+    properties: {
+      count: { type: 'integer' },
+      succeeded: { type: 'integer' },
+      failed: { type: 'integer' },
+      failures: { type: 'array', items: { type: 'object' } },
+      totals: { type: 'object', additionalProperties: { type: 'string' } },
+      elapsed_ms: { type: 'integer' }
+    }
+  },
+  ValidationIssue: {
+    type: 'object',
+    required: ['path', 'code', 'message', 'severity'],
+    properties: {
+      path: { type: 'string' },
+      code: { type: 'string' },
+      message: { type: 'string' },
+      severity: { enum: ['error', 'warning'] }
+    }
+  }
+};
+
+// Request bodies that are (or contain) a calculation input get the fixtures
+// as examples; wrap builds the body around a fixture (null skips it)
+const calculationBody = (schema = ref('CalculationInput'), wrap = input => input) => ({
+  required: true,
+  content: {
+    'application/json': {
+      schema,
+      examples: Object.fromEntries(FIXTURE_LIST
+        .map(fixture => [fixture, wrap(FIXTURES[fixture.id])])
+        .filter(([, value]) => value !== null)
+        .map(([fixture, value]) => [fixture.id, {
+          summary: fixture.name,
+          description: fixture.description,
+          value
+        }]))
+    }
+  }
+});
+
+/**
+ * Per-route documentation, keyed by "METHOD /full/path" (Express syntax)
+ */
+const ROUTE_DOCS = {
+  'POST /api/engine/calculate': {
+    tags: ['Calculation'],
+    summary: 'Run a calculation',
+    description: 'The body is validated against the JSON Schema selected by config.schemaVersion before the engine runs.',
+    parameters: [
+      { name: 'explain', in: 'query', schema: { enum: ['true', 'false'] }, description: 'Attach the step-by-step explain trace' }
+    ],
+    requestBody: calculationBody(),
+    responses: {
+      200: { description: 'Calculation result', content: json(ref('CalculationResult')) },
+      ...CALCULATION_ERRORS
+    }
+  },
+  'POST /api/engine/validate': {
+    tags: ['Calculation'],
+    summary: 'Check an input without calculating',
+    description: 'Always 200; issues lists every problem found.',
+    requestBody: calculationBody(),
+    responses: {
+      200: {
+        description: 'Validation report',
+        content: json({
+          type: 'object',
+          required: ['valid', 'error', 'issues'],
+          properties: {
+            valid: { type: 'boolean' },
+            error: { type: ['string', 'null'] },
+            issues: { type: 'array', items: ref('ValidationIssue') }
+          }
+        })
+      },
+      500: ERROR_RESPONSES[500]
+    }
+  },
+  'POST /api/engine/calculate/batch': {
+    tags: ['Batch'],
+    summary: 'Calculate many inputs',
+    description: 'Up to 1000 inputs; a failing input yields an error envelope and never fails the batch.',
+    parameters: [
+      { name: 'concurrency', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 16 } }
+    ],
+    requestBody: calculationBody(ref('BatchRequest'), input => [input]),
+    responses: {
+      200: {
+        description: 'Envelopes in input order and a summary',
+        content: json({
+          type: 'object',
+          properties: {
+            results: { type: 'array', items: ref('BatchEnvelope') },
+            summary: ref('BatchSummary')
+          }
+        })
+      },
+      400: ERROR_RESPONSES[400],
+      422: { description: 'More than 1000 inputs (TOO_MANY_ITEMS)', content: json(ref('ErrorResponse')) },
+      500: ERROR_RESPONSES[500]
+    }
+  },
+  'POST /api/engine/calculate/batch/stream': {
+    tags: ['Batch'],
+    summary: 'Calculate many inputs, streamed as NDJSON',
+    description: 'One envelope per line in completion order, then a final { summary } line.',
+    parameters: [
+      { name: 'concurrency', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 16 } },
+      { name: 'engineType', in: 'query', schema: { type: 'string' } }
+    ],
+    requestBody: {
+      required: true,
+      content: {
+        ...calculationBody(ref('BatchRequest'), input => [input]).content,
+        'application/x-ndjson': { schema: { type: 'string', description: 'One calculation input per line' } }
+      }
+    },
+    responses: {
+      200: { description: 'NDJSON envelopes', content: { 'application/x-ndjson': { schema: { type: 'string' } } } },
+      400: ERROR_RESPONSES[400]
+    }
+  },
+  'POST /api/engine/use-tax/report': {
+    tags: ['Reports'],
+    summary: 'Aggregate use tax by jurisdiction and month',
+    parameters: [
+      { name: 'format', in: 'query', schema: { enum: ['json', 'csv'] } }
+    ],
+    requestBody: calculationBody({
+      type: 'object',
+      required: ['calculations'],
+      properties: {
+        calculations: { type: 'array', items: ref('CalculationInput') },
+        format: { enum: ['json', 'csv'] }
+      }
+    }, input => ({ calculations: [input] })),
+    responses: {
+      200: {
+        description: 'Accrual rows',
+        content: {
+          ...json({ type: 'object', properties: { calculations: { type: 'integer' }, rows: { type: 'array', items: { type: 'object' } } } }),
+          'text/csv': { schema: { type: 'string' } }
+        }
+      },
+      400: ERROR_RESPONSES[400],
+      422: { description: 'Too many calculations, or CALCULATIONS_FAILED (details.failures carry each code)', content: json(ref('ErrorResponse')) },
+      500: ERROR_RESPONSES[500]
+    }
+  },
+  'POST /api/engine/solve': {
+    tags: ['Analysis'],
+    summary: 'Goal-seek one modifier value',
+    requestBody: calculationBody({
+      allOf: [
+        ref('CalculationInput'),
+        {
+          type: 'object',
+          required: ['goal'],
+          properties: {
+            goal: {
+              type: 'object',
+              required: ['metric', 'value', 'modifier_id'],
+              properties: {
+                metric: { enum: ['customer_grand_total', 'subtotal', 'margin'] },
+                value: ref('CalculationInputDecimal'),
+                modifier_id: { type: ['string', 'number'] },
+                min: ref('CalculationInputDecimal'),
+                max: ref('CalculationInputDecimal')
+              }
+            },
+            max_iterations: { type: 'integer', minimum: 1 }
+          }
+        }
+      ]
+    }, input => (input.modifiers.length === 0 ? null : {
+      ...input,
+      goal: { metric: 'customer_grand_total', value: '150.00', modifier_id: input.modifiers[0].id }
+    })),
+    responses: {
+      200: {
+        description: 'Solved value and the result at that value',
+        content: json({
+          type: 'object',
+          properties: {
+            modifier_id: { type: ['string', 'number'] },
+            metric: { type: 'string' },
+            target: { type: 'string' },
+            value: { type: 'string' },
+            achieved: { type: 'string' },
+            residual: { type: 'string' },
+            iterations: { type: 'integer' },
+            converged: { type: 'boolean' },
+            result: ref('CalculationResult')
+          }
+        })
+      },
+      ...CALCULATION_ERRORS,
+      422: { description: 'Target not reachable in the search range (GOAL_UNREACHABLE), or another 422 error', content: json(ref('ErrorResponse')) }
+    }
+  },
+  'POST /api/engine/scenarios': {
+    tags: ['Analysis'],
+    summary: 'Compare named what-if overlays against a base input',
+    requestBody: calculationBody({
+      type: 'object',
+      required: ['base', 'scenarios'],
+      properties: {
+        base: ref('CalculationInput'),
+        scenarios: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            required: ['name'],
+            properties: {
+              name: { type: 'string' },
+              add_modifiers: { type: 'array', items: ref('CalculationInputModifier') },
+              remove_modifiers: { type: 'array', items: { type: ['string', 'number'] } },
+              quantities: { type: 'object', additionalProperties: { type: 'number' } },
+              tax_mode: { type: 'string' },
+              config: { type: 'object' }
+            }
+          }
+        }
+      }
+    }, input => ({ base: input, scenarios: [{ name: 'double-quantity', quantities: { 'item-1': 4 } }] })),
+    responses: {
+      200: { description: 'Base result and each variant with total deltas', content: json({ type: 'object' }) },
+      ...CALCULATION_ERRORS
+    }
+  },
+  'POST /api/engine/diff': {
+    tags: ['Analysis'],
+    summary: 'Structured diff of two results or two inputs',
+    requestBody: calculationBody({
+      oneOf: [
+        {
+          type: 'object',
+          required: ['before', 'after'],
+          properties: { before: ref('CalculationResult'), after: ref('CalculationResult') }
+        },
+        {
+          type: 'object',
+          required: ['before_input', 'after_input'],
+          properties: { before_input: ref('CalculationInput'), after_input: ref('CalculationInput') }
+        }
+      ]
+    }, input => ({ before_input: input, after_input: { ...input, modifiers: [] } })),
+    responses: {
+      200: { description: 'Changes and their causes', content: json({ type: 'object' }) },
+      ...CALCULATION_ERRORS
+    }
+  },
+  'GET /api/engine/schema/:version': {
+    tags: ['Reference'],
+    summary: 'JSON Schemas for a schemaVersion',
+    parameterSchemas: { version: { type: 'string', examples: ['1', '1.0'] } },
+    parameters: [
+      { name: 'kind', in: 'query', schema: { enum: calculationSchema.SCHEMA_KINDS }, description: 'Return one raw schema' }
+    ],
+    responses: {
+      200: {
+        description: '{ version, input, result }, or one schema with ?kind=',
+        content: {
+          ...json({ type: 'object' }),
+          'application/schema+json': { schema: { type: 'object' } }
+        }
+      },
+      400: ERROR_RESPONSES[400],
+      404: ERROR_RESPONSES[404]
+    }
+  },
+  'GET /api/engine/info': {
+    tags: ['Reference'],
+    summary: 'Engine version and capabilities',
+    responses: { 200: { description: 'Engine information', content: json({ type: 'object' }) }, 500: ERROR_RESPONSES[500] }
+  },
+  'GET /api/engine/fixtures': {
+    tags: ['Reference'],
+    summary: 'List test fixtures',
+    responses: {
+      200: {
+        description: 'Fixture index',
+        content: {
+          'application/json': {
+            schema: { type: 'array', items: { type: 'object' } },
+            example: FIXTURE_LIST
+          }
+        }
+      }
+    }
+  },
+  'GET /api/engine/fixtures/:id': {
+    tags: ['Reference'],
+    summary: 'Get one test fixture (a calculation input)',
+    parameterSchemas: { id: { enum: FIXTURE_LIST.map(fixture => fixture.id) } },
+    responses: {
+      200: {
+        description: 'Calculation input',
+        content: {
+          'application/json': {
+            schema: ref('CalculationInput'),
+            examples: Object.fromEntries(FIXTURE_LIST.map(fixture => [fixture.id, { value: FIXTURES[fixture.id] }]))
+          }
+        }
+      },
+      404: ERROR_RESPONSES[404]
+    }
+  },
+  'GET /api/health': {
+    tags: ['Reference'],
+    summary: 'Health check',
+    responses: { 200: { description: 'Server is up', content: json({ type: 'object' }) } }
+  },
+  'GET /api/openapi.json': {
+    tags: ['Reference'],
+    summary: 'This document',
+    responses: { 200: { description: 'OpenAPI 3.1 document', content: json({ type: 'object' }) } }
+  }
+};
+
+/**
+ * Routes of an Express router or app as [{ method, path }]
+ *
+ * @param {Function} router - Express router (or app)
+ * @param {string} prefix - Mount path
+ * @returns {Array}
+ */
+function listRoutes(router, prefix = '') {
+  const stack = router.stack || (router._router && router._router.stack) || [];
+  return stack
+    .filter(layer => layer.route && typeof layer.route.path === 'string')
+    .flatMap(layer => Object.keys(layer.route.methods)
+      .filter(method => layer.route.methods[method] && method !== '_all')
+      .map(method => ({ method: method.toUpperCase(), path: prefix + layer.route.path })));
+}
+
+/**
+ * Copy a JSON Schema with its local $defs refs pointed at components
+ * @private
+ */
+function rewriteRefs(node, prefix) {
+  if (Array.isArray(node)) return node.map(item => rewriteRefs(item, prefix));
+  if (!node || typeof node !== 'object') return node;
+  const copy = {};
+  for (const [key, value] of Object.entries(node)) {
+    if (key === '$ref' && typeof value === 'string' && value.startsWith('#/$defs/')) {
+      copy.$ref = `#/components/schemas/${componentName(prefix, value.slice('#/$defs/'.length))}`;
+    } else if (key !== '$defs' && key !== '$schema' && key !== '$id') {
+      copy[key] = rewriteRefs(value, prefix);
+    }
+  }
+  return copy;
+}
+
+/**
+ * @private
+ */
+function componentName(prefix, defName) {
+  return prefix + defName.replace(/(^|_)([a-z])/g, (match, separator, letter) => letter.toUpperCase());
+}
+
+/**
+ * Calculation schemas as components (root schema plus hoisted $defs)
+ * @private
+ */
+function calculationComponents(version) {
+  const components = {};
+  for (const kind of calculationSchema.SCHEMA_KINDS) {
+    const schema = calculationSchema.getSchema(version, kind);
+    const prefix = componentName('Calculation', kind);
+    components[prefix] = rewriteRefs(schema, prefix);
+    for (const [name, definition] of Object.entries(schema.$defs || {})) {
+      components[componentName(prefix, name)] = rewriteRefs(definition, prefix);
+    }
+  }
+  return components;
+}
+
+/**
+ * Build the OpenAPI document
+ *
+ * @param {Object} options
+ * @param {Array} options.mounts - [{ prefix, router }] mounted routers
+ * @param {Function} [options.app] - App whose own /api routes are included
+ * @returns {Object} - OpenAPI 3.1 document
+ */
+function buildOpenApiDocument({ mounts = [], app = null } = {}) {
+  const versions = calculationSchema.supportedVersions();
+  const latest = versions[versions.length - 1];
+
+  const routes = [
+    ...mounts.flatMap(mount => listRoutes(mount.router, mount.prefix)),
+    ...(app ? listRoutes(app).filter(route => route.path.startsWith('/api/')) : [])
+  ];
+
+  const paths = {};
+  for (const { method, path } of routes) {
+    const docs = ROUTE_DOCS[`${method} ${path}`] || { summary: `${method} ${path}`, responses: { 200: { description: 'OK' } } };
+    const { parameterSchemas = {}, ...operation } = docs;
+    const pathParameters = [...path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+      name,
+      in: 'path',
+      required: true,
+      schema: parameterSchemas[name] || { type: 'string' }
+    }));
+    const openApiPath = path.replace(/:(\w+)/g, '{$1}');
+    paths[openApiPath] = paths[openApiPath] || {};
+    const parameters = [...pathParameters, ...(operation.parameters || [])];
+    paths[openApiPath][method.toLowerCase()] = {
+      operationId: `${method.toLowerCase()}${openApiPath.replace(/^\/api/, '').replace(/[^A-Za-z0-9]+(\w)?/g, (match, next) => (next || '').toUpperCase())}`,
+      ...operation,
+      ...(parameters.length > 0 ? { parameters } : {})
+    };
+  }
+
+  return {
+    openapi: '3.1.0',
+    jsonSchemaDialect: 'https://json-schema.org/draft/2020-12/schema',
+    info: {
+      title: 'Calculation Engine API',
+      version: packageVersion,
+      description: `Calculation input/result schemas are version ${latest} (config.schemaVersion "${latest}.x"); ` +
+        'see GET /api/engine/schema/{version} for the raw JSON Schemas.'
+    },
+    servers: [{ url: '/' }],
+    tags: ['Calculation', 'Batch', 'Analysis', 'Reports', 'Reference'].map(name => ({ name })),
+    paths,
+    components: {
+      schemas: {
+        ...calculationComponents(latest),
+        ...STATIC_SCHEMAS
+      }
+    }
+  };
+}
+
+module.exports = {
+  ROUTE_DOCS,
+  listRoutes,
+  buildOpenApiDocument
+};
@@ -0,0 +1,277 @@
+/**
+ * Result Diff
+ *
+ * Structured comparison of two PureCalculationEngine results, for
+ * change-order review and for checking stored results against a new
+ * engine version.
+ *
+ * REPORTED CHANGES:
+ * - totals: headline totals that moved
+ * - adjustments: groups that were added, removed or changed amount
+ * - lines: per-line adjustment share, retail tax and use tax that moved
+ * - taxes: jurisdiction components (subTaxes) that were added, removed or moved
+ *
+ * CAUSES:
+ * When both inputs are supplied, input differences are listed as causes
+ * ("modifier discount-1 value 10 → 15") and attached to the changes they
+ * explain: modifier causes to the groups that contain the modifier (needs
+ * the explain trace for group membership), line item causes to that line,
+ * and tax config causes to tax components.
+ */
+
+const Decimal = require('decimal.js');
+const PrecisionPolicy = require('../engines/pure/PrecisionPolicy');
+
+// Headline totals compared (absent on both sides are skipped)
+const TOTAL_FIELDS = [
+  'subtotal',
+  'modifierTotal',
+  'retailTax',
+  'useTax',
+  'customerGrandTotal',
+  'internalGrandTotal',
+  'netTotal',
+  'grossTotal'
+];
+
+// Config keys whose changes explain tax component movement
+const TAX_CONFIG_PATTERN = /tax|jurisdiction|price_mode|inclusive/;
+
+/**
+ * Display form of an input value for cause messages
+ * @private
+ */
+function display(value) {
+  if (value === undefined) return 'unset';
+  return typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Field-level differences between two flat objects
+ * @private
+ */
+function changedFields(before, after) {
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+  return keys.filter(key => display(before[key]) !== display(after[key]));
+}
+
+/**
+ * Compare entries keyed by id
+ * @private
+ */
+function diffKeyed(beforeList, afterList, keyOf, scope) {
+  const causes = [];
+  const beforeMap = new Map((beforeList || []).map(entry => [keyOf(entry), entry]));
+  const afterMap = new Map((afterList || []).map(entry => [keyOf(entry), entry]));
+
+  for (const [id, entry] of beforeMap) {
+    if (!afterMap.has(id)) {
+      causes.push({ scope, id, change: 'removed', message: `${scope} ${id} removed` });
+      continue;
+    }
+    const next = afterMap.get(id);
+    for (const field of changedFields(entry, next)) {
+      causes.push({
+        scope,
+        id,
+        change: 'changed',
+        field,
+        before: entry[field],
+        after: next[field],
+        message: `${scope} ${id} ${field} ${display(entry[field])} → ${display(next[field])}`
+      });
+    }
+  }
+  for (const id of afterMap.keys()) {
+    if (!beforeMap.has(id)) {
+      causes.push({ scope, id, change: 'added', message: `${scope} ${id} added` });
+    }
+  }
+  return causes;
+}
+
+/**
+ * Input differences that can explain result changes
+ *
+ * @param {Object} beforeInput - Calculation input behind the first result
+ * @param {Object} afterInput - Calculation input behind the second result
+ * @returns {Array} - [{ scope, id, change, field?, before?, after?, message }]
+ */
+function diffInputs(beforeInput, afterInput) {
+  const lineId = item => item.line_item_id || item.id;
+  const causes = [
+    ...diffKeyed(beforeInput.modifiers, afterInput.modifiers, mod => mod.id, 'modifier'),
+    ...diffKeyed(beforeInput.lineItems, afterInput.lineItems, lineId, 'line item')
+  ];
+
+  const beforeConfig = beforeInput.config || {};
+  const afterConfig = afterInput.config || {};
+  for (const field of changedFields(beforeConfig, afterConfig)) {
+    causes.push({
+      scope: 'config',
+      id: field,
+      change: 'changed',
+      field,
+      before: beforeConfig[field],
+      after: afterConfig[field],
+      message: `config ${field} ${display(beforeConfig[field])} → ${display(afterConfig[field])}`
+    });
+  }
+  return causes;
+}
+
+/**
+ * Change record for a pair of Q2 amounts, or null when equal
+ * @private
+ */
+function amountChange(before, after) {
+  const missing = value => value === undefined || value === null;
+  if (missing(before) && missing(after)) return null;
+  const from = new Decimal(missing(before) ? 0 : before);
+  const to = new Decimal(missing(after) ? 0 : after);
+  if (!missing(before) && !missing(after) && from.eq(to)) return null;
+  return {
+    before: missing(before) ? null : before,
+    after: missing(after) ? null : after,
+    delta: PrecisionPolicy.finalString(to.minus(from))
+  };
+}
+
+/**
+ * Modifier ids per adjustment group, from the explain traces if present
+ * @private
+ */
+function groupMembership(...results) {
+  const membership = new Map();
+  for (const result of results) {
+    for (const step of (result.explain && result.explain.steps) || []) {
+      if (step.groupId && step.modifierIds) {
+        const known = membership.get(step.groupId) || [];
+        membership.set(step.groupId, [...new Set([...known, ...step.modifierIds])]);
+      }
+    }
+  }
+  return membership;
+}
+
+/**
+ * Per-line Q2 components of a result
+ * @private
+ */
+function lineComponents(result) {
+  const lines = new Map();
+  const line = id => {
+    if (!lines.has(id)) lines.set(id, {});
+    return lines.get(id);
+  };
+
+  for (const adjustment of result.adjustments || []) {
+    for (const allocation of adjustment.allocations || []) {
+      const entry = line(allocation.line_item_id);
+      entry.adjustments = PrecisionPolicy.finalString(
+        new Decimal(entry.adjustments || 0).plus(allocation.allocation)
+      );
+    }
+  }
+  for (const lineTax of result.lineTaxes || []) {
+    line(lineTax.line_item_id).retail_tax = lineTax.tax;
+  }
+  for (const useTaxLine of result.useTaxLines || []) {
+    line(useTaxLine.line_item_id).use_tax = useTaxLine.amount;
+  }
+  return lines;
+}
+
+/**
+ * Diff two calculation results
+ *
+ * @param {Object} before - First result
+ * @param {Object} after - Second result
+ * @param {Object} [inputs] - { before, after } inputs, to derive causes
+ * @returns {Object} - { changed, checksums, totals, adjustments, lines, taxes, causes }
+ */
+function diffResults(before, after, inputs = null) {
+  const causes = inputs ? diffInputs(inputs.before, inputs.after) : [];
+  const messagesFor = predicate => causes.filter(predicate).map(cause => cause.message);
+
+  const totals = [];
+  for (const field of TOTAL_FIELDS) {
+    if (before[field] === undefined && after[field] === undefined) continue;
+    const change = amountChange(before[field], after[field]);
+    if (change) totals.push({ field, ...change });
+  }
+
+  const membership = groupMembership(before, after);
+  const beforeGroups = new Map((before.adjustments || []).map(adj => [adj.groupId, adj]));
+  const afterGroups = new Map((after.adjustments || []).map(adj => [adj.groupId, adj]));
+  const adjustments = [];
+  for (const groupId of new Set([...beforeGroups.keys(), ...afterGroups.keys()])) {
+    const from = beforeGroups.get(groupId);
+    const to = afterGroups.get(groupId);
+    const change = amountChange(from && from.amount, to && to.amount);
+    if (!change && from && to) continue;
+    const modifierIds = membership.get(groupId) || null;
+    adjustments.push({
+      group_id: groupId,
+      change: !from ? 'added' : (!to ? 'removed' : 'changed'),
+      ...change,
+      modifier_ids: modifierIds,
+      causes: modifierIds
+        ? messagesFor(cause => cause.scope === 'modifier' && modifierIds.includes(cause.id))
+        : []
+    });
+  }
+
+  const beforeLines = lineComponents(before);
+  const afterLines = lineComponents(after);
+  const lines = [];
+  for (const lineItemId of new Set([...beforeLines.keys(), ...afterLines.keys()])) {
+    const from = beforeLines.get(lineItemId) || {};
+    const to = afterLines.get(lineItemId) || {};
+    for (const component of ['adjustments', 'retail_tax', 'use_tax']) {
+      const change = amountChange(from[component], to[component]);
+      if (!change) continue;
+      lines.push({
+        line_item_id: lineItemId,
+        component,
+        ...change,
+        causes: messagesFor(cause => cause.scope === 'line item' && cause.id === lineItemId)
+      });
+    }
+  }
+
+  const taxCauses = messagesFor(cause => cause.scope === 'config' && TAX_CONFIG_PATTERN.test(cause.id));
+  const beforeTaxes = new Map((before.subTaxes || []).map(tax => [tax.code, tax]));
+  const afterTaxes = new Map((after.subTaxes || []).map(tax => [tax.code, tax]));
+  const taxes = [];
+  for (const code of new Set([...beforeTaxes.keys(), ...afterTaxes.keys()])) {
+    const from = beforeTaxes.get(code);
+    const to = afterTaxes.get(code);
+    const change = amountChange(from && from.amount, to && to.amount);
+    const rateChanged = from && to && from.rate !== to.rate;
+    if (!change && !rateChanged && from && to) continue;
+    taxes.push({
+      code,
+      change: !from ? 'added' : (!to ? 'removed' : 'changed'),
+      ...(change || { before: from.amount, after: to.amount, delta: '0.00' }),
+      rate_before: from ? from.rate : null,
+      rate_after: to ? to.rate : null,
+      causes: taxCauses
+    });
+  }
+
+  return {
+    changed: totals.length + adjustments.length + lines.length + taxes.length > 0,
+    checksums: { before: before.checksum || null, after: after.checksum || null },
+    totals,
+    adjustments,
+    lines,
+    taxes,
+    causes
+  };
+}
+
+module.exports = {
+  diffResults,
+  diffInputs
+};
@@ -0,0 +1,152 @@
+/**
+ * Scenario Comparison
+ *
+ * What-if variants of one calculation input. Each named overlay is applied
+ * to a copy of the base input; the route runs every variant through the
+ * engine and this module diffs the headline totals against the base.
+ *
+ * OVERLAY FORMAT:
+ * {
+ *   name: 'ten-percent-off',                    // required, unique
+ *   add_modifiers: [{ id, modifier_type, ... }], // same id replaces
+ *   remove_modifiers: ['fee-1'],
+ *   quantities: { 'item-1': 5 },                  // by line item id
+ *   tax_mode: 'USE_TAX',
+ *   config: { tax_rate: '0.09' }                  // shallow config merge
+ * }
+ */
+
+const Decimal = require('decimal.js');
+const PrecisionPolicy = require('../engines/pure/PrecisionPolicy');
+const { ValidationError } = require('../engines/pure/CalculationErrors');
+
+const BASE_SCENARIO = 'base';
+
+// Result totals compared side by side (skipped when neither side has one)
+const DIFF_FIELDS = [
+  'subtotal',
+  'modifierTotal',
+  'retailTax',
+  'useTax',
+  'customerGrandTotal',
+  'internalGrandTotal'
+];
+
+/**
+ * Validate overlays up front so no variant runs on a bad request
+ *
+ * @param {Array} overlays - Requested overlays
+ * @throws {ValidationError} - On a missing/duplicate name or malformed field
+ */
+function validateOverlays(overlays) {
+  const names = new Set([BASE_SCENARIO]);
+  overlays.forEach((overlay, index) => {
+    const invalid = (message, field, code = 'INVALID_TYPE') => new ValidationError(message, {
+      path: field ? `scenarios[${index}].${field}` : `scenarios[${index}]`,
+      code
+    });
+    if (!overlay || typeof overlay !== 'object') {
+      throw invalid(`Invalid scenario at index ${index}: must be an object`);
+    }
+    const name = overlay.name;
+    if (typeof name !== 'string' || name.trim() === '') {
+      throw invalid(`Invalid scenario at index ${index}: name is required`, 'name', 'MISSING_FIELD');
+    }
+    if (names.has(name)) {
+      throw invalid(`Invalid scenario ${name}: duplicate name`, 'name', 'DUPLICATE_ID');
+    }
+    names.add(name);
+
+    if (overlay.add_modifiers !== undefined && !Array.isArray(overlay.add_modifiers)) {
+      throw invalid(`Invalid scenario ${name}: add_modifiers must be an array`, 'add_modifiers');
+    }
+    if (overlay.remove_modifiers !== undefined && !Array.isArray(overlay.remove_modifiers)) {
+      throw invalid(`Invalid scenario ${name}: remove_modifiers must be an array`, 'remove_modifiers');
+    }
+    if (overlay.quantities !== undefined &&
+        (typeof overlay.quantities !== 'object' || Array.isArray(overlay.quantities))) {
+      throw invalid(`Invalid scenario ${name}: quantities must be an object keyed by line item id`, 'quantities');
+    }
+    if (overlay.config !== undefined &&
+        (typeof overlay.config !== 'object' || Array.isArray(overlay.config))) {
+      throw invalid(`Invalid scenario ${name}: config must be an object`, 'config');
+    }
+  });
+}
+
+/**
+ * Apply one overlay to a copy of the base input
+ *
+ * @param {Object} baseInput - Base calculation input
+ * @param {Object} overlay - Overlay (see module header)
+ * @param {number} index - Position of the overlay in the request (for error paths)
+ * @returns {Object} - Variant input
+ * @throws {ValidationError} - When an overlay names a line item that does not exist
+ */
+function applyOverlay(baseInput, overlay, index) {
+  const removed = new Set(overlay.remove_modifiers || []);
+  const added = overlay.add_modifiers || [];
+  const addedIds = new Set(added.map(mod => mod && mod.id));
+
+  const modifiers = (baseInput.modifiers || [])
+    .filter(mod => !removed.has(mod.id) && !addedIds.has(mod.id))
+    .concat(added);
+
+  const quantities = overlay.quantities || {};
+  const lineItems = (baseInput.lineItems || []).map(item => {
+    const id = item.line_item_id || item.id;
+    return Object.prototype.hasOwnProperty.call(quantities, id)
+      ? { ...item, quantity: quantities[id] }
+      : item;
+  });
+  const knownIds = new Set(lineItems.map(item => item.line_item_id || item.id));
+  const unknown = Object.keys(quantities).filter(id => !knownIds.has(id));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Invalid scenario ${overlay.name}: unknown line item ${unknown.join(', ')}`, {
+      code: 'INVALID_REQUEST',
+      path: `scenarios[${index}].quantities.${unknown[0]}`,
+      details: { scenario: overlay.name, line_item_ids: unknown }
+    });
+  }
+
+  const config = {
+    ...(baseInput.config || {}),
+    ...(overlay.config || {}),
+    ...(overlay.tax_mode ? { tax_mode: overlay.tax_mode } : {})
+  };
+
+  return { ...baseInput, lineItems, modifiers, config };
+}
+
+/**
+ * Side-by-side totals with absolute and percentage deltas
+ *
+ * @param {Object} baseResult - Engine result for the base input
+ * @param {Object} result - Engine result for a variant
+ * @returns {Object} - { [field]: { base, scenario, delta, delta_pct } };
+ *   a total only one side reports is null there and counts as zero in
+ *   the delta; delta_pct is null when the base total is zero
+ */
+function diffTotals(baseResult, result) {
+  const diff = {};
+  for (const field of DIFF_FIELDS) {
+    if (baseResult[field] === undefined && result[field] === undefined) continue;
+    const base = new Decimal(baseResult[field] || 0);
+    const scenario = new Decimal(result[field] || 0);
+    const delta = scenario.minus(base);
+    diff[field] = {
+      base: baseResult[field] === undefined ? null : PrecisionPolicy.finalString(base),
+      scenario: result[field] === undefined ? null : PrecisionPolicy.finalString(scenario),
+      delta: PrecisionPolicy.finalString(delta),
+      delta_pct: base.isZero() ? null : PrecisionPolicy.finalString(delta.div(base).mul(100))
+    };
+  }
+  return diff;
+}
+
+module.exports = {
+  BASE_SCENARIO,
+  validateOverlays,
+  applyOverlay,
+  diffTotals
+};
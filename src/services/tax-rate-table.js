@@ -0,0 +1,55 @@
+/**
+ * Tax Rate Table Loader
+ *
+ * Loads the effective-dated tax rate table from a local JSON or CSV file
+ * (chosen by extension) and caches it for the life of the process.
+ *
+ * The file path comes from TAX_RATE_TABLE_PATH, defaulting to the table
+ * shipped in src/config/tax-rates.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const TaxRateTable = require('../engines/pure/TaxRateTable');
+
+const DEFAULT_PATH = path.join(__dirname, '..', 'config', 'tax-rates.json');
+
+let cachedTable = null;
+
+/**
+ * Read and parse a tax rate table file
+ *
+ * @param {string} filePath - Path to a .json or .csv table
+ * @returns {TaxRateTable}
+ */
+function loadTaxRateTable(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  return path.extname(filePath).toLowerCase() === '.csv'
+    ? TaxRateTable.fromCSV(content)
+    : TaxRateTable.fromJSON(content);
+}
+
+/**
+ * Process-wide table, loaded on first use
+ *
+ * @returns {TaxRateTable}
+ */
+function getTaxRateTable() {
+  if (!cachedTable) {
+    cachedTable = loadTaxRateTable(process.env.TAX_RATE_TABLE_PATH || DEFAULT_PATH);
+  }
+  return cachedTable;
+}
+
+/**
+ * Drop the cached table so the next call reloads the file
+ */
+function resetTaxRateTable() {
+  cachedTable = null;
+}
+
+module.exports = {
+  loadTaxRateTable,
+  getTaxRateTable,
+  resetTaxRateTable
+};
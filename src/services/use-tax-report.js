@@ -0,0 +1,101 @@
+/**
+ * Use-Tax Accrual Report
+ *
+ * Aggregates per-line use tax (result.useTaxLines) across a batch of
+ * calculations, grouped by jurisdiction and period, for the monthly
+ * accrual. Amounts are summed at Q7 and rounded to Q2 once per group.
+ */
+
+const Decimal = require('decimal.js');
+const PrecisionPolicy = require('../engines/pure/PrecisionPolicy');
+
+const UNSPECIFIED_JURISDICTION = 'UNSPECIFIED';
+const UNDATED_PERIOD = 'UNDATED';
+
+const CSV_COLUMNS = [
+  'period',
+  'jurisdiction',
+  'cost_base',
+  'use_tax',
+  'use_tax_precise',
+  'line_count',
+  'proposal_count'
+];
+
+/**
+ * Accrual period (YYYY-MM) for a tax date
+ *
+ * @param {string|null} taxDate - YYYY-MM-DD
+ * @returns {string} - YYYY-MM, or UNDATED
+ */
+function periodFor(taxDate) {
+  return taxDate ? String(taxDate).slice(0, 7) : UNDATED_PERIOD;
+}
+
+/**
+ * Group use-tax lines by period and jurisdiction
+ *
+ * @param {Array<{proposalId, taxDate, result}>} entries - Calculated batch
+ * @returns {Array} - Rows sorted by period, then jurisdiction
+ */
+function aggregateUseTax(entries) {
+  const groups = new Map();
+
+  for (const entry of entries) {
+    const period = periodFor(entry.taxDate);
+    for (const line of entry.result.useTaxLines || []) {
+      const jurisdiction = line.jurisdiction || UNSPECIFIED_JURISDICTION;
+      const key = `${period}|${jurisdiction}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          period,
+          jurisdiction,
+          costBase: new Decimal(0),
+          useTax: new Decimal(0),
+          lineCount: 0,
+          proposals: new Set()
+        });
+      }
+      const group = groups.get(key);
+      group.costBase = group.costBase.plus(line.cost_base_precise);
+      group.useTax = group.useTax.plus(line.amount_precise);
+      group.lineCount += 1;
+      group.proposals.add(entry.proposalId);
+    }
+  }
+
+  return [...groups.values()]
+    .sort((a, b) => a.period.localeCompare(b.period) || a.jurisdiction.localeCompare(b.jurisdiction))
+    .map(group => ({
+      period: group.period,
+      jurisdiction: group.jurisdiction,
+      cost_base: PrecisionPolicy.finalString(group.costBase),
+      use_tax: PrecisionPolicy.finalString(group.useTax),
+      use_tax_precise: PrecisionPolicy.intermediateString(group.useTax),
+      line_count: group.lineCount,
+      proposal_count: group.proposals.size
+    }));
+}
+
+/**
+ * Render report rows as CSV (header row included)
+ *
+ * @param {Array} rows - Output of aggregateUseTax
+ * @returns {string}
+ */
+function toCsv(rows) {
+  const escape = value => {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [
+    CSV_COLUMNS.join(','),
+    ...rows.map(row => CSV_COLUMNS.map(column => escape(row[column])).join(','))
+  ].join('\n') + '\n';
+}
+
+module.exports = {
+  aggregateUseTax,
+  toCsv,
+  periodFor
+};
@@ -337,33 +337,19 @@ class PreProcessor {
   /**
    * Compile modifier rules for efficient execution
    * 
-   * Parses text-based modifier rules into executable functions.
-   * Uses aggressive caching since rule compilation is expensive
-   * and rules are frequently reused across proposals.
+   * Parses text-based modifier rules into validated ASTs. Not cached:
+   * parsing is linear in the expression length.
    * 
    * @param {Array} rules - Array of modifier rules to compile
-   * @returns {Array} Compiled executable rule functions
+   * @returns {Array} Rule ASTs (SafeRuleEvaluator shape)
    */
   compileRules(rules) {
     if (!rules || rules.length === 0) {
       return [];
     }
     
-    return rules.map(rule => {
-      // COMPILATION CACHE CHECK:
-      // Rule compilation is expensive, so cache compiled results
-      const cached = this.ruleCompiler.getCached(rule.id);
-      if (cached) {
-        return cached;
-      }
-      
-      // COMPILE AND CACHE:
-      // Parse rule syntax and generate executable function
-      const compiled = this.ruleCompiler.compile(rule.parsedRule);
-      this.ruleCompiler.cache(rule.id, compiled);
-      
-      return compiled;
-    });
+    // Parse rule syntax and validate the AST
+    return rules.map(rule => this.ruleCompiler.compile(rule.parsedRule));
   }
   
   /**
@@ -6,12 +6,67 @@
  * - Enforce path whitelisting
  * - Limit AST complexity
  * 
+ * Rule language (case-insensitive keywords):
+ *   customer.tier == "gold" and computed.totalQuantity >= 10
+ *   not (proposal.region in ["EU", "UK"]) or running.subtotal > 5000
+ * 
+ * Grammar:
+ *   expression := or
+ *   or         := and (('or' | '||') and)*
+ *   and        := unary (('and' | '&&') unary)*
+ *   unary      := ('not' | '!') unary | comparison
+ *   comparison := operand (compareOp operand | 'not'? 'in' list)?
+ *   operand    := string | number | 'true' | 'false' | 'null' | path | '(' expression ')'
+ *   list       := ('[' | '(') literal (',' literal)* (']' | ')')
+ *   compareOp  := '==' | '!=' | '>' | '>=' | '<' | '<='
+ * 
+ * Output is the AST consumed by SafeRuleEvaluator (comparison, logical,
+ * field, literal and list nodes). Client-supplied ASTs go through
+ * validateAst(), which applies the same node, limit and path checks.
+ * 
+ * Errors are typed (engines/pure/CalculationErrors):
+ * - RuleSyntaxError (ValidationError, RULE_SYNTAX) for unparseable text
+ * - ValidationError RULE_REJECTED for paths outside the whitelist and
+ *   malformed AST nodes
+ * - RuleError RULE_LIMIT_EXCEEDED for depth/node/path limits
+ * 
  * @class SecureRuleCompiler
  */
+
+const { ValidationError, RuleError } = require('../../../engines/pure/CalculationErrors');
+
+/**
+ * Raised when a rule expression cannot be tokenized or parsed
+ * 
+ * Carries 1-based line/column of the offending token so rule authors
+ * can locate the problem in multi-line expressions.
+ */
+class RuleSyntaxError extends ValidationError {
+  constructor(message, line, column) {
+    super(`${message} at line ${line}, column ${column}`, {
+      code: 'RULE_SYNTAX',
+      details: { line, column }
+    });
+    this.line = line;
+    this.column = column;
+  }
+}
+
+const COMPARISON_OPERATORS = ['==', '!=', '>=', '<=', '>', '<'];
+const MEMBERSHIP_OPERATORS = ['in', 'not_in'];
+const LOGICAL_OPERATORS = ['AND', 'OR', 'NOT'];
+const KEYWORDS = {
+  and: 'AND',
+  or: 'OR',
+  not: 'NOT',
+  in: 'IN',
+  true: 'TRUE',
+  false: 'FALSE',
+  null: 'NULL'
+};
+
 class SecureRuleCompiler {
-  constructor(cache = new Map()) {
-    this.cache = cache;
-    
+  constructor() {
     /**
      * Whitelist of allowed path roots
      * Prevents access to unauthorized data
@@ -41,56 +96,433 @@ class SecureRuleCompiler {
    * 
    * @param {Object} rule - Rule to compile
    * @returns {Object} Validated AST
-   * @throws {Error} If rule violates constraints
+   * @throws {RuleSyntaxError} On invalid syntax
+   * @throws {RuleError} RULE_LIMIT_EXCEEDED when a complexity limit is exceeded
+   * @throws {ValidationError} RULE_REJECTED on an unauthorized path
    */
   compile(rule) {
     // Parse to AST
     const ast = this.parse(rule.expression);
     
-    // Validate complexity
-    if (this.getDepth(ast) > this.limits.maxDepth) {
-      throw new Error(`Rule exceeds max depth: ${this.limits.maxDepth}`);
-    }
+    this.validateAst(ast);
     
-    if (this.countNodes(ast) > this.limits.maxNodes) {
-      throw new Error(`Rule exceeds max nodes: ${this.limits.maxNodes}`);
-    }
+    // Normalize operators for consistency
+    this.normalizeOperators(ast);
+    
+    return ast;
+  }
+  
+  /**
+   * Field of a client rule the engine evaluates
+   * 
+   * The engine prefers rule.ast, then the compiled expression; a rule
+   * with neither is itself a bare AST node.
+   * 
+   * @param {Object} rule - Rule as sent by a client
+   * @returns {string|null} 'ast', 'expression', or null for a bare node
+   */
+  sourceField(rule) {
+    if (rule.ast) return 'ast';
+    return rule.expression ? 'expression' : null;
+  }
+  
+  /**
+   * Validate an AST against the node shapes, limits and path whitelist
+   * 
+   * Used for compiled expressions and for ASTs sent by clients (rule.ast
+   * or a bare node), which never pass through the parser.
+   * 
+   * @param {Object} ast - SafeRuleEvaluator AST
+   * @returns {Object} The same AST
+   * @throws {RuleError} RULE_LIMIT_EXCEEDED when a complexity limit is exceeded
+   * @throws {ValidationError} RULE_REJECTED on a malformed node or unauthorized path
+   */
+  validateAst(ast) {
+    // Shape and depth first: the walk stops at maxDepth, so deep input
+    // cannot exhaust the stack in the counters below
+    this.checkNode(ast, 0);
+    this.checkLimit('maxNodes', this.countNodes(ast), 'nodes');
     
     // Extract and validate paths
     const paths = this.extractPaths(ast);
-    
-    if (paths.length > this.limits.maxPaths) {
-      throw new Error(`Rule exceeds max paths: ${this.limits.maxPaths}`);
-    }
+    this.checkLimit('maxPaths', paths.length, 'paths');
     
     for (const path of paths) {
       if (!this.isPathAllowed(path)) {
-        throw new Error(`Unauthorized path access: ${path}`);
+        throw new ValidationError(`Unauthorized path access: ${path}`, {
+          code: 'RULE_REJECTED',
+          details: { path, allowed: this.allowedPaths }
+        });
       }
     }
     
-    // Normalize operators for consistency
-    this.normalizeOperators(ast);
+    return ast;
+  }
+  
+  /**
+   * Check one AST node (and its children) is a node SafeRuleEvaluator accepts
+   * 
+   * @param {*} node - AST node
+   * @param {number} depth - Depth below the root
+   * @throws {RuleError|ValidationError}
+   */
+  checkNode(node, depth) {
+    this.checkLimit('maxDepth', depth, 'depth');
     
-    // Cache by content hash for invalidation
-    const cacheKey = `${rule.id}:${this.hashContent(rule.expression)}:v${rule.version || 1}`;
-    this.cache.set(cacheKey, ast);
+    const reject = (message, details) => {
+      throw new ValidationError(`Invalid rule AST: ${message}`, { code: 'RULE_REJECTED', details });
+    };
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      reject('node must be an object', { depth });
+    }
     
-    return ast;
+    switch (node.type) {
+      case 'comparison':
+        if (MEMBERSHIP_OPERATORS.includes(node.op)) {
+          if (!node.right || node.right.type !== 'list') reject(`operator ${node.op} requires a list`, { op: node.op });
+        } else if (!COMPARISON_OPERATORS.includes(node.op)) {
+          reject(`unknown comparison operator ${node.op}`, { op: node.op ?? null });
+        }
+        this.checkNode(node.left, depth + 1);
+        this.checkNode(node.right, depth + 1);
+        return;
+      case 'logical': {
+        const op = typeof node.op === 'string' ? node.op.toUpperCase() : node.op;
+        if (!LOGICAL_OPERATORS.includes(op)) reject(`unknown logical operator ${node.op}`, { op: node.op ?? null });
+        const children = op === 'NOT' ? [node.operand] : [node.left, node.right];
+        children.forEach(child => this.checkNode(child, depth + 1));
+        return;
+      }
+      case 'field':
+        if (typeof node.path !== 'string' || node.path === '') reject('field path must be a non-empty string', {});
+        return;
+      case 'literal':
+        if (node.value !== null && !['string', 'number', 'boolean'].includes(typeof node.value)) {
+          reject('literal value must be a string, number, boolean or null', {});
+        }
+        return;
+      case 'list':
+        if (!Array.isArray(node.items)) reject('list items must be an array', {});
+        node.items.forEach(item => {
+          if (!item || item.type !== 'literal') reject('list items must be literals', {});
+          this.checkNode(item, depth + 1);
+        });
+        return;
+      default:
+        reject(`unknown node type ${node.type}`, { type: node.type ?? null });
+    }
+  }
+  
+  /**
+   * Throw RULE_LIMIT_EXCEEDED when a measured AST size is over its limit
+   * 
+   * @param {string} limit - Key of this.limits
+   * @param {number} actual - Measured size
+   * @param {string} label - Name used in the message
+   * @throws {RuleError}
+   */
+  checkLimit(limit, actual, label) {
+    const max = this.limits[limit];
+    if (actual > max) {
+      throw new RuleError(`Rule exceeds max ${label}: ${max}`, {
+        code: 'RULE_LIMIT_EXCEEDED',
+        details: { limit, max, actual }
+      });
+    }
   }
   
   /**
    * Parse rule expression to AST
+   * 
+   * @param {string} expression - Rule source text
+   * @returns {Object} SafeRuleEvaluator AST
+   * @throws {RuleSyntaxError} On invalid syntax (with line/column)
    */
   parse(expression) {
-    // Simple parser for demonstration
-    // In production, use a proper expression parser
-    return {
-      type: 'expression',
-      operator: 'AND',
-      children: [],
-      raw: expression
+    if (typeof expression !== 'string' || expression.trim() === '') {
+      throw new RuleSyntaxError('Rule expression must be a non-empty string', 1, 1);
+    }
+    
+    const tokens = this.tokenize(expression);
+    const state = { tokens, position: 0, nesting: 0 };
+    const ast = this.parseOr(state);
+    
+    const trailing = this.peek(state);
+    if (trailing.type !== 'EOF') {
+      throw new RuleSyntaxError(`Unexpected ${this.describeToken(trailing)}`, trailing.line, trailing.column);
+    }
+    
+    return ast;
+  }
+  
+  /**
+   * Split expression into tokens with source positions
+   * 
+   * Token types: NUMBER, STRING, IDENT (dotted path), OP, PUNCT,
+   * keyword types from KEYWORDS, and a final EOF.
+   */
+  tokenize(expression) {
+    const tokens = [];
+    let index = 0;
+    let line = 1;
+    let column = 1;
+    
+    const advance = (count = 1) => {
+      for (let k = 0; k < count; k++) {
+        if (expression[index] === '\n') {
+          line++;
+          column = 1;
+        } else {
+          column++;
+        }
+        index++;
+      }
     };
+    
+    while (index < expression.length) {
+      const char = expression[index];
+      const start = { line, column };
+      
+      if (/\s/.test(char)) {
+        advance();
+        continue;
+      }
+      
+      // String literal with backslash escapes
+      if (char === '"' || char === "'") {
+        let value = '';
+        advance();
+        while (index < expression.length && expression[index] !== char) {
+          if (expression[index] === '\n') {
+            throw new RuleSyntaxError('Unterminated string literal', start.line, start.column);
+          }
+          if (expression[index] === '\\') {
+            advance();
+            const escaped = expression[index];
+            value += escaped === 'n' ? '\n' : escaped === 't' ? '\t' : (escaped || '');
+          } else {
+            value += expression[index];
+          }
+          advance();
+        }
+        if (index >= expression.length) {
+          throw new RuleSyntaxError('Unterminated string literal', start.line, start.column);
+        }
+        advance();
+        tokens.push({ type: 'STRING', value, ...start });
+        continue;
+      }
+      
+      // Number literal (sign is only part of the literal when a digit follows)
+      const numberMatch = /^-?\d+(\.\d+)?/.exec(expression.slice(index));
+      if (numberMatch && (char !== '-' || this.allowsSignedNumber(tokens))) {
+        tokens.push({ type: 'NUMBER', value: Number(numberMatch[0]), ...start });
+        advance(numberMatch[0].length);
+        continue;
+      }
+      
+      // Identifier / dotted path / keyword
+      const identMatch = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*/.exec(expression.slice(index));
+      if (identMatch) {
+        const word = identMatch[0];
+        const keyword = KEYWORDS[word.toLowerCase()];
+        tokens.push(keyword ? { type: keyword, value: word, ...start } : { type: 'IDENT', value: word, ...start });
+        advance(word.length);
+        continue;
+      }
+      
+      const twoChar = expression.slice(index, index + 2);
+      if (twoChar === '&&' || twoChar === '||') {
+        tokens.push({ type: twoChar === '&&' ? 'AND' : 'OR', value: twoChar, ...start });
+        advance(2);
+        continue;
+      }
+      
+      const operator = COMPARISON_OPERATORS.find(op => expression.startsWith(op, index));
+      if (operator) {
+        tokens.push({ type: 'OP', value: operator, ...start });
+        advance(operator.length);
+        continue;
+      }
+      
+      if (char === '!') {
+        tokens.push({ type: 'NOT', value: char, ...start });
+        advance();
+        continue;
+      }
+      
+      if ('()[],'.includes(char)) {
+        tokens.push({ type: 'PUNCT', value: char, ...start });
+        advance();
+        continue;
+      }
+      
+      throw new RuleSyntaxError(`Unexpected character '${char}'`, line, column);
+    }
+    
+    tokens.push({ type: 'EOF', value: null, line, column });
+    return tokens;
+  }
+  
+  /**
+   * A leading '-' is a sign only where an operand is expected
+   */
+  allowsSignedNumber(tokens) {
+    const previous = tokens[tokens.length - 1];
+    if (!previous) return true;
+    return previous.type === 'OP' || previous.type === 'AND' || previous.type === 'OR' ||
+      previous.type === 'NOT' || previous.type === 'IN' ||
+      (previous.type === 'PUNCT' && previous.value !== ')' && previous.value !== ']');
+  }
+  
+  peek(state) {
+    return state.tokens[state.position];
+  }
+  
+  next(state) {
+    return state.tokens[state.position++];
+  }
+  
+  isPunct(token, value) {
+    return token.type === 'PUNCT' && token.value === value;
+  }
+  
+  expectPunct(state, value) {
+    const token = this.next(state);
+    if (!this.isPunct(token, value)) {
+      throw new RuleSyntaxError(`Expected '${value}' but found ${this.describeToken(token)}`, token.line, token.column);
+    }
+    return token;
+  }
+  
+  describeToken(token) {
+    if (token.type === 'EOF') return 'end of expression';
+    if (token.type === 'STRING') return `string "${token.value}"`;
+    return `'${token.value}'`;
+  }
+  
+  /**
+   * Guard parser recursion so deeply nested input fails cleanly
+   * instead of exhausting the stack before limits are checked
+   * 
+   * @throws {RuleError} RULE_LIMIT_EXCEEDED (with line/column)
+   */
+  enterNesting(state, token) {
+    state.nesting++;
+    if (state.nesting > this.limits.maxDepth) {
+      const max = this.limits.maxDepth;
+      throw new RuleError(`Rule exceeds max depth: ${max} at line ${token.line}, column ${token.column}`, {
+        code: 'RULE_LIMIT_EXCEEDED',
+        details: { limit: 'maxDepth', max, line: token.line, column: token.column }
+      });
+    }
+  }
+  
+  parseOr(state) {
+    let left = this.parseAnd(state);
+    while (this.peek(state).type === 'OR') {
+      this.next(state);
+      left = { type: 'logical', op: 'OR', left, right: this.parseAnd(state) };
+    }
+    return left;
+  }
+  
+  parseAnd(state) {
+    let left = this.parseUnary(state);
+    while (this.peek(state).type === 'AND') {
+      this.next(state);
+      left = { type: 'logical', op: 'AND', left, right: this.parseUnary(state) };
+    }
+    return left;
+  }
+  
+  parseUnary(state) {
+    const token = this.peek(state);
+    if (token.type === 'NOT') {
+      this.next(state);
+      this.enterNesting(state, token);
+      const operand = this.parseUnary(state);
+      state.nesting--;
+      return { type: 'logical', op: 'NOT', operand };
+    }
+    return this.parseComparison(state);
+  }
+  
+  parseComparison(state) {
+    const left = this.parseOperand(state);
+    const token = this.peek(state);
+    
+    if (token.type === 'OP') {
+      this.next(state);
+      return { type: 'comparison', op: token.value, left, right: this.parseOperand(state) };
+    }
+    
+    // 'in' / 'not in' membership against a literal list
+    const negated = token.type === 'NOT' && state.tokens[state.position + 1].type === 'IN';
+    if (token.type === 'IN' || negated) {
+      this.next(state);
+      if (negated) this.next(state);
+      return { type: 'comparison', op: negated ? 'not_in' : 'in', left, right: this.parseList(state) };
+    }
+    
+    return left;
+  }
+  
+  parseOperand(state) {
+    const token = this.next(state);
+    
+    switch (token.type) {
+      case 'NUMBER':
+      case 'STRING':
+        return { type: 'literal', value: token.value };
+      case 'TRUE':
+        return { type: 'literal', value: true };
+      case 'FALSE':
+        return { type: 'literal', value: false };
+      case 'NULL':
+        return { type: 'literal', value: null };
+      case 'IDENT':
+        return { type: 'field', path: token.value };
+      default:
+        if (this.isPunct(token, '(')) {
+          this.enterNesting(state, token);
+          const inner = this.parseOr(state);
+          this.expectPunct(state, ')');
+          state.nesting--;
+          return inner;
+        }
+        throw new RuleSyntaxError(`Unexpected ${this.describeToken(token)}`, token.line, token.column);
+    }
+  }
+  
+  parseList(state) {
+    const open = this.next(state);
+    if (!this.isPunct(open, '[') && !this.isPunct(open, '(')) {
+      throw new RuleSyntaxError(`Expected list after 'in' but found ${this.describeToken(open)}`, open.line, open.column);
+    }
+    const close = open.value === '[' ? ']' : ')';
+    
+    const items = [];
+    do {
+      const token = this.next(state);
+      if (!['NUMBER', 'STRING', 'TRUE', 'FALSE', 'NULL'].includes(token.type)) {
+        throw new RuleSyntaxError(`List items must be literals, found ${this.describeToken(token)}`, token.line, token.column);
+      }
+      state.position--;
+      items.push(this.parseOperand(state));
+    } while (this.isPunct(this.peek(state), ',') && this.next(state));
+    
+    this.expectPunct(state, close);
+    return { type: 'list', items };
+  }
+  
+  /**
+   * Direct child nodes of an AST node
+   */
+  getChildren(node) {
+    if (!node) return [];
+    if (node.type === 'list') return node.items || [];
+    return [node.left, node.right, node.operand].filter(Boolean);
   }
   
   /**
@@ -100,11 +532,9 @@ class SecureRuleCompiler {
     if (!node) return currentDepth;
     
     let maxChildDepth = currentDepth;
-    if (node.children && Array.isArray(node.children)) {
-      for (const child of node.children) {
-        const childDepth = this.getDepth(child, currentDepth + 1);
-        maxChildDepth = Math.max(maxChildDepth, childDepth);
-      }
+    for (const child of this.getChildren(node)) {
+      const childDepth = this.getDepth(child, currentDepth + 1);
+      maxChildDepth = Math.max(maxChildDepth, childDepth);
     }
     
     return maxChildDepth;
@@ -117,10 +547,8 @@ class SecureRuleCompiler {
     if (!node) return 0;
     
     let count = 1;
-    if (node.children && Array.isArray(node.children)) {
-      for (const child of node.children) {
-        count += this.countNodes(child);
-      }
+    for (const child of this.getChildren(node)) {
+      count += this.countNodes(child);
     }
     
     return count;
@@ -132,14 +560,12 @@ class SecureRuleCompiler {
   extractPaths(node, paths = []) {
     if (!node) return paths;
     
-    if (node.type === 'path' && node.value) {
-      paths.push(node.value);
+    if (node.type === 'field' && node.path && !paths.includes(node.path)) {
+      paths.push(node.path);
     }
     
-    if (node.children && Array.isArray(node.children)) {
-      for (const child of node.children) {
-        this.extractPaths(child, paths);
-      }
+    for (const child of this.getChildren(node)) {
+      this.extractPaths(child, paths);
     }
     
     return paths;
@@ -159,28 +585,12 @@ class SecureRuleCompiler {
    * Normalize operator casing for consistency
    */
   normalizeOperators(ast) {
-    if (ast.operator) {
-      ast.operator = ast.operator.toUpperCase();
-    }
-    if (ast.children) {
-      ast.children.forEach(child => this.normalizeOperators(child));
-    }
-  }
-  
-  /**
-   * Hash content for cache key
-   */
-  hashContent(content) {
-    // Simple hash for demonstration
-    // Use crypto.createHash in production
-    let hash = 0;
-    for (let i = 0; i < content.length; i++) {
-      const char = content.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash;
+    if (ast.type === 'logical' && ast.op) {
+      ast.op = ast.op.toUpperCase();
     }
-    return hash.toString(16);
+    this.getChildren(ast).forEach(child => this.normalizeOperators(child));
   }
 }
 
-module.exports = SecureRuleCompiler;
\ No newline at end of file
+module.exports = SecureRuleCompiler;
+module.exports.RuleSyntaxError = RuleSyntaxError;
\ No newline at end of file
@@ -0,0 +1,75 @@
+/**
+ * Per-line allocation of group adjustments (AllocationPolicy,
+ * PureCalculationEngine.allocateGroupAdjustment)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Decimal = require('decimal.js');
+const AllocationPolicy = require('../src/engines/pure/AllocationPolicy');
+const { engine, calculationInput, lineItem, cents } = require('./fixtures');
+
+const LINE_ITEMS = [lineItem('a', '10.00', 1), lineItem('b', '20.00', 2), lineItem('c', '30.00', 3)];
+
+const withModifier = (modifier, config = {}) => calculationInput({
+  lineItems: LINE_ITEMS,
+  modifiers: [{ application_type: 'pre_tax', ...modifier }],
+  config
+});
+
+const shares = adjustment => adjustment.allocations.map(share => share.allocation);
+
+// Q7 shares sum to the Q7 adjustment and Q2 shares to the Q2 amount
+function assertExactSum(adjustment) {
+  const precise = adjustment.allocations.reduce((sum, share) => sum.plus(share.allocation_precise), new Decimal(0));
+  assert.equal(precise.toFixed(2), adjustment.amount);
+  assert.equal(adjustment.allocations.reduce((sum, share) => sum + cents(share.allocation), 0), cents(adjustment.amount));
+}
+
+test('each strategy splits a fixed fee and sums exactly', () => {
+  const expected = {
+    pro_rata: ['-0.71', '-2.86', '-6.44'],
+    by_quantity: ['-1.67', '-3.34', '-5.00'],
+    equal: ['-3.34', '-3.34', '-3.33'],
+    largest_remainder: ['-0.71', '-2.86', '-6.44']
+  };
+  for (const [strategy, split] of Object.entries(expected)) {
+    const [adjustment] = engine.calculate(withModifier({
+      id: 'f', modifier_type: 'fixed', value: '-10.01', allocation_strategy: strategy
+    })).adjustments;
+    assert.equal(adjustment.allocationStrategy, strategy);
+    assert.deepEqual(shares(adjustment), split, strategy);
+    assertExactSum(adjustment);
+  }
+});
+
+test('largest_remainder allocates whole cents', () => {
+  const [adjustment] = engine.calculate(withModifier({
+    id: 'f', modifier_type: 'fixed', value: '-10.01', allocation_strategy: 'largest_remainder'
+  })).adjustments;
+  assert.deepEqual(adjustment.allocations.map(share => share.allocation_precise), ['-0.7100000', '-2.8600000', '-6.4400000']);
+});
+
+test('percentage groups default to pro_rata; config sets the default', () => {
+  const percentage = { id: 'p', modifier_type: 'percentage', value: '-10' };
+  const [byPrice] = engine.calculate(withModifier(percentage)).adjustments;
+  assert.equal(byPrice.allocationStrategy, 'pro_rata');
+  assert.deepEqual(shares(byPrice), ['-1.00', '-4.00', '-9.00']);
+
+  const [equal] = engine.calculate(withModifier(percentage, { allocation_strategy: 'equal' })).adjustments;
+  assert.deepEqual(shares(equal), ['-4.67', '-4.67', '-4.66']);
+  assertExactSum(equal);
+});
+
+test('margin groups land their own per-line deltas', () => {
+  const [adjustment] = engine.calculate(withModifier({ id: 'm', modifier_type: 'margin', value: '30' })).adjustments;
+  assert.equal(adjustment.allocationStrategy, 'line_delta');
+  assert.deepEqual(shares(adjustment), ['4.29', '17.14', '38.57']);
+  assertExactSum(adjustment);
+});
+
+test('all-zero weights fall back to an equal split', () => {
+  const lines = [{ id: 'x', amount: new Decimal(0), quantity: 1 }, { id: 'y', amount: new Decimal(0), quantity: 1 }];
+  const split = AllocationPolicy.allocate(new Decimal('5.01'), lines, 'pro_rata');
+  assert.deepEqual(split.map(share => share.allocation), ['2.51', '2.50']);
+});
@@ -0,0 +1,60 @@
+/**
+ * Percentage basis policies (PureCalculationEngine.getBasisPolicy / resolveBasis)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { engine, calculationInput, lineItem } = require('./fixtures');
+
+const LINE_ITEMS = [
+  lineItem('hw', '100.00', 1, { category: 'hardware', productId: 'P1' }),
+  lineItem('lab', '50.00', 2, { category: 'labor', productId: 'P2' })
+];
+
+// A 50.00 discount applied first, so running and original subtotals differ
+const EARLIER = { id: 'earlier', modifier_type: 'fixed', value: '-50.00', application_type: 'pre_tax', chain_priority: 1, tax_setting: 'non_taxable' };
+
+const tenOff = (fields, earlier = []) => {
+  const result = engine.calculate(calculationInput({
+    lineItems: LINE_ITEMS,
+    modifiers: [
+      ...earlier,
+      { id: 'ten', modifier_type: 'percentage', value: '-10', application_type: 'pre_tax', chain_priority: 5, ...fields }
+    ]
+  }));
+  const adjustment = result.adjustments[result.adjustments.length - 1];
+  return { amount: adjustment.amount, shares: adjustment.allocations.map(share => share.allocation) };
+};
+
+test('running_subtotal (the default) is net of earlier groups', () => {
+  assert.deepEqual(tenOff({}), { amount: '-20.00', shares: ['-10.00', '-10.00'] });
+  assert.deepEqual(tenOff({ basis_type: 'running_subtotal' }, [EARLIER]), { amount: '-15.00', shares: ['-7.50', '-7.50'] });
+});
+
+test('original_subtotal ignores earlier groups', () => {
+  assert.deepEqual(tenOff({ basis_type: 'original_subtotal' }, [EARLIER]), { amount: '-20.00', shares: ['-10.00', '-10.00'] });
+});
+
+test('line, product and category bases only touch their lines', () => {
+  assert.deepEqual(tenOff({ basis_type: 'line_subtotal', basis_line_item_id: 'lab' }), { amount: '-10.00', shares: ['0.00', '-10.00'] });
+  assert.deepEqual(tenOff({ basis_type: 'category', basis_category: 'hardware' }), { amount: '-10.00', shares: ['-10.00', '0.00'] });
+  // Line-scoped bases use the running line amount (hw is 75.00 after the earlier discount)
+  assert.deepEqual(tenOff({ basis_type: 'product', basis_product_id: 'P1' }, [EARLIER]), { amount: '-7.50', shares: ['-7.50', '0.00'] });
+});
+
+test('one group can mix basis policies', () => {
+  const result = engine.calculate(calculationInput({
+    lineItems: LINE_ITEMS,
+    modifiers: [
+      { id: 'hw-5', modifier_type: 'percentage', value: '-5', application_type: 'pre_tax', basis_type: 'category', basis_category: 'hardware' },
+      { id: 'all-10', modifier_type: 'percentage', value: '-10', application_type: 'pre_tax' }
+    ]
+  }));
+  assert.equal(result.adjustments.length, 1);
+  assert.equal(result.adjustments[0].amount, '-25.00');
+  assert.deepEqual(result.adjustments[0].allocations.map(share => share.allocation), ['-15.00', '-10.00']);
+});
+
+test('basis_type is matched case-insensitively', () => {
+  assert.deepEqual(tenOff({ basis_type: 'CATEGORY', basis_category: 'labor' }), { amount: '-10.00', shares: ['0.00', '-10.00'] });
+});
@@ -0,0 +1,65 @@
+/**
+ * Batch isolation and summaries (batch-calculation.runBatch / readNdjson)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { runBatch, readNdjson, resolveConcurrency, DEFAULT_CONCURRENCY, MAX_CONCURRENCY } = require('../src/services/batch-calculation');
+const { engine, calculationInput, lineItem } = require('./fixtures');
+
+const proposal = (proposalId, unitPrice) => calculationInput({ proposalId, lineItems: [lineItem('a', unitPrice)] });
+
+const calculateOne = async item => engine.calculate(item);
+
+test('a failing input yields an error envelope and the others still succeed', async () => {
+  const entries = [];
+  const summary = await runBatch(
+    [proposal('p1', '100.00'), proposal('p2', 'abc'), proposal('p3', '50.00')],
+    calculateOne,
+    { concurrency: 2, onItem: entry => entries.push(entry) }
+  );
+  entries.sort((a, b) => a.index - b.index);
+
+  assert.deepEqual(entries.map(entry => [entry.proposalId, entry.ok]), [['p1', true], ['p2', false], ['p3', true]]);
+  assert.equal(entries[1].error.name, 'ValidationError');
+  assert.equal(entries[1].error.path, 'lineItems[0].unitPrice');
+
+  const json = summary.toJSON();
+  assert.equal(json.count, 3);
+  assert.equal(json.succeeded, 2);
+  assert.deepEqual(json.failures.map(failure => [failure.index, failure.code]), [[1, entries[1].error.code]]);
+  assert.equal(json.totals.customerGrandTotal, '165.00');
+});
+
+test('untyped failures are wrapped as INTERNAL_ERROR', async () => {
+  const entries = [];
+  await runBatch([proposal('p1', '1.00')], async () => { throw new TypeError('boom'); }, {
+    onItem: entry => entries.push(entry)
+  });
+  assert.equal(entries[0].error.name, 'InternalError');
+  assert.equal(entries[0].error.code, 'INTERNAL_ERROR');
+});
+
+test('unparseable NDJSON lines fail only their own item', async () => {
+  const body = Readable.from([
+    JSON.stringify(proposal('p1', '10.00')) + '\n',
+    '\n',
+    '{not json\n',
+    JSON.stringify(proposal('p3', '20.00')) + '\n'
+  ]);
+  const entries = [];
+  const summary = await runBatch(readNdjson(body), calculateOne, { onItem: entry => entries.push(entry) });
+  entries.sort((a, b) => a.index - b.index);
+
+  assert.deepEqual(entries.map(entry => entry.ok), [true, false, true]);
+  assert.equal(entries[1].error.code, 'INVALID_REQUEST');
+  assert.deepEqual(entries[1].error.details, { line: 3 });
+  assert.equal(summary.toJSON().totals.subtotal, '30.00');
+});
+
+test('concurrency is clamped', () => {
+  assert.equal(resolveConcurrency('0'), DEFAULT_CONCURRENCY);
+  assert.equal(resolveConcurrency('999'), MAX_CONCURRENCY);
+  assert.equal(resolveConcurrency(3), 3);
+});
@@ -0,0 +1,67 @@
+/**
+ * Modifier and group min_amount / max_amount bounds and the document
+ * subtotal floor (PureCalculationEngine.calculateBoundedAdjustment)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ValidationError } = require('../src/engines/pure/CalculationErrors');
+const { engine, calculationInput, lineItem } = require('./fixtures');
+
+// Subtotal 5000.00, cost 4000.00
+const calculate = (modifiers, config = {}) => engine.calculate(calculationInput({
+  lineItems: [lineItem('a', '1000.00', 5, { cost: '800.00' })],
+  modifiers: modifiers.map(modifier => ({ application_type: 'pre_tax', ...modifier })),
+  config
+}));
+
+// [level, id, bound, raw, clipped, clipped by] for each clipping record
+const clipped = result => result.clipping.map(clip =>
+  [clip.level, clip.id, clip.bound, clip.raw_precise, clip.clipped_precise, clip.clipped_by_precise]);
+
+test('"15% off, up to $500" caps the discount and records the clip', () => {
+  const result = calculate([{ id: 'd', modifier_type: 'percentage', value: '-15', max_amount: '500' }]);
+  assert.equal(result.modifierTotal, '-500.00');
+  assert.equal(result.adjustments[0].rawAmount, '-750.0000000');
+  assert.deepEqual(clipped(result), [['modifier', 'd', 'max_amount', '-750.0000000', '-500.0000000', '-250.0000000']]);
+  assert.deepEqual(result.adjustments[0].clipping, result.clipping.map(({ groupId, ...clip }) => clip));
+});
+
+test('"fee of 0.1%, minimum $25" raises the fee', () => {
+  const result = calculate([{ id: 'f', modifier_type: 'percentage', value: '0.1', min_amount: '25' }]);
+  assert.equal(result.modifierTotal, '25.00');
+  assert.deepEqual(clipped(result), [['modifier', 'f', 'min_amount', '5.0000000', '25.0000000', '-20.0000000']]);
+});
+
+test('group bounds apply to the combined group amount', () => {
+  const result = calculate([
+    { id: 'x', modifier_type: 'percentage', value: '-10', group_max_amount: '600' },
+    { id: 'y', modifier_type: 'percentage', value: '-5' }
+  ]);
+  assert.equal(result.modifierTotal, '-600.00');
+  assert.deepEqual(clipped(result).map(clip => [clip[0], clip[2], clip[3]]), [['group', 'max_amount', '-750.0000000']]);
+});
+
+test('the subtotal floor stops reductions at zero or cost', () => {
+  const zero = calculate([{ id: 'big', modifier_type: 'fixed', value: '-6000' }], { subtotal_floor: 'zero' });
+  assert.equal(zero.modifierTotal, '-5000.00');
+  assert.deepEqual(clipped(zero), [['document', 'subtotal_floor', 'subtotal_floor', '-6000.0000000', '-5000.0000000', '-1000.0000000']]);
+
+  const cost = calculate([{ id: 'big', modifier_type: 'percentage', value: '-30' }], { subtotal_floor: 'COST' });
+  assert.equal(cost.modifierTotal, '-1000.00');
+  assert.equal(cost.clipping[0].clipped_by_precise, '-500.0000000');
+});
+
+test('nothing is recorded when no bound is hit', () => {
+  const result = calculate([{ id: 'd', modifier_type: 'percentage', value: '-5', max_amount: '500' }], { subtotal_floor: 'ZERO' });
+  assert.equal(result.modifierTotal, '-250.00');
+  assert.equal('clipping' in result, false);
+  assert.equal('clipping' in result.adjustments[0], false);
+});
+
+test('inverted bounds are an INVALID_BOUNDS ValidationError on the modifier', () => {
+  assert.throws(
+    () => calculate([{ id: 'bad', modifier_type: 'fixed', value: '-1', min_amount: '5', max_amount: '2' }]),
+    error => error instanceof ValidationError && error.code === 'INVALID_BOUNDS' && error.path === 'modifiers[0].max_amount'
+  );
+});
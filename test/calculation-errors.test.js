@@ -0,0 +1,215 @@
+/**
+ * Typed errors and their HTTP mapping (CalculationErrors, SecureRuleCompiler, routes/engine-direct)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+require('../src/engines');
+const engineDirectRouter = require('../src/routes/engine-direct');
+const PureCalculationEngine = require('../src/engines/pure/PureCalculationEngine');
+const SecureRuleCompiler = require('../src/tiers/pre-processor/core/SecureRuleCompiler');
+const InputValidator = require('../src/services/input-validation');
+const {
+  ERROR_CODES,
+  ValidationError,
+  LimitExceededError,
+  DependencyCycleError,
+  RuleError,
+  GoalUnreachableError,
+  InternalError,
+  toCalculationError
+} = require('../src/engines/pure/CalculationErrors');
+const GoalSeekSolver = require('../src/engines/pure/GoalSeekSolver');
+const { applyOverlay } = require('../src/services/scenario-comparison');
+const { FIXTURES } = require('../src/config/fixtures');
+const { engineServer } = require('./fixtures');
+
+const engine = new PureCalculationEngine();
+const compiler = new SecureRuleCompiler();
+const { RuleSyntaxError } = SecureRuleCompiler;
+
+const clone = value => JSON.parse(JSON.stringify(value));
+const discount = () => clone(FIXTURES.discount);
+
+function expectError(fn, ErrorClass, code, path) {
+  assert.throws(fn, error => {
+    assert.ok(error instanceof ErrorClass, `${error.name} is not a ${ErrorClass.name}`);
+    assert.equal(error.code, code);
+    assert.equal(ERROR_CODES[code], error.name);
+    if (path !== undefined) assert.equal(error.path, path);
+    return true;
+  });
+}
+
+test('rule compiler errors are typed', () => {
+  expectError(() => compiler.compile({ id: 'r', expression: 'proposal.amount >' }), RuleSyntaxError, 'RULE_SYNTAX');
+  assert.ok(new RuleSyntaxError('x', 1, 2) instanceof ValidationError);
+  expectError(() => compiler.compile({ id: 'r', expression: 'process.env.HOME == "x"' }), ValidationError, 'RULE_REJECTED');
+
+  const nested = 'not '.repeat(12) + 'proposal.amount > 1';
+  assert.throws(() => compiler.compile({ id: 'r', expression: nested }), error =>
+    error instanceof RuleError && error.code === 'RULE_LIMIT_EXCEEDED' && error.details.limit === 'maxDepth');
+
+  const strict = new SecureRuleCompiler();
+  strict.limits.maxPaths = 1;
+  assert.throws(() => strict.compile({ id: 'r', expression: 'proposal.a == 1 and proposal.b == 2' }), error =>
+    error instanceof RuleError && error.code === 'RULE_LIMIT_EXCEEDED' && error.details.limit === 'maxPaths');
+});
+
+test('client ASTs are held to the compiler whitelist and limits', () => {
+  const field = path => ({ type: 'field', path });
+  const compare = path => ({ type: 'comparison', op: '==', left: field(path), right: { type: 'literal', value: 1 } });
+  let deep = compare('proposal.amount');
+  for (let i = 0; i < 12; i++) deep = { type: 'logical', op: 'NOT', operand: deep };
+
+  assert.equal(compiler.validateAst(compare('proposal.amount')).type, 'comparison');
+  expectError(() => compiler.validateAst(compare('process.env.HOME')), ValidationError, 'RULE_REJECTED');
+  expectError(() => compiler.validateAst({ type: 'call', fn: 'eval' }), ValidationError, 'RULE_REJECTED');
+  expectError(() => compiler.validateAst({ ...compare('proposal.amount'), op: '===' }), ValidationError, 'RULE_REJECTED');
+  expectError(() => compiler.validateAst(deep), RuleError, 'RULE_LIMIT_EXCEEDED');
+
+  const validator = new InputValidator(engine, compiler);
+  const body = discount();
+  body.rules = [{ modifier_id: 'discount-1', ast: compare('process.env.HOME') }, { ...deep, modifier_id: 'discount-1' }];
+  const issues = validator.validate(body).issues.filter(issue => issue.path.startsWith('rules'));
+  assert.deepEqual(issues.map(issue => [issue.path, issue.code]), [
+    ['rules[0].ast', 'RULE_REJECTED'],
+    ['rules[1]', 'RULE_LIMIT_EXCEEDED']
+  ]);
+});
+
+test('engine errors carry stable codes and input paths', () => {
+  const duplicate = discount();
+  duplicate.modifiers.push(clone(duplicate.modifiers[0]));
+  expectError(() => engine.calculate(duplicate), ValidationError, 'DUPLICATE_ID', 'modifiers[1].id');
+
+  const cycle = discount();
+  cycle.modifiers.push({ ...cycle.modifiers[0], id: 'd2' });
+  cycle.dependencies = [
+    { modifier_id: 'discount-1', type: 'REQUIRES', depends_on: 'd2' },
+    { modifier_id: 'd2', type: 'REQUIRES', depends_on: 'discount-1' }
+  ];
+  expectError(() => engine.calculate(cycle), DependencyCycleError, 'DEPENDENCY_CYCLE');
+
+  const tooMany = discount();
+  tooMany.modifiers = Array.from({ length: 1001 }, (_, i) => ({ ...tooMany.modifiers[0], id: `m${i}` }));
+  expectError(() => engine.calculate(tooMany), LimitExceededError, 'TOO_MANY_MODIFIERS');
+});
+
+test('errors raised mid-calculation are located in the input', () => {
+  const withDiscount = fields => {
+    const body = discount();
+    Object.assign(body.modifiers[0], fields);
+    return body;
+  };
+  expectError(() => engine.calculate(withDiscount({ basis_type: 'category', basis_category: 'none' })),
+    ValidationError, 'BASIS_NO_MATCH', 'modifiers[0].basis_category');
+  expectError(() => engine.calculate(withDiscount({ basis_type: 'product', product_id: 'none' })),
+    ValidationError, 'BASIS_NO_MATCH', 'modifiers[0].product_id');
+  expectError(() => engine.calculate(withDiscount({ basis_type: 'bogus' })),
+    ValidationError, 'INVALID_ENUM', 'modifiers[0].basis_type');
+  expectError(() => engine.calculate(withDiscount({ allocation_strategy: 'bogus' })),
+    ValidationError, 'INVALID_ENUM', 'modifiers[0].allocation_strategy');
+
+  const configured = discount();
+  configured.config.allocation_strategy = 'bogus';
+  expectError(() => engine.calculate(configured), ValidationError, 'INVALID_ENUM', 'config.allocation_strategy');
+
+  expectError(() => applyOverlay(discount(), { name: 'more', quantities: { nope: 3 } }, 1),
+    ValidationError, 'INVALID_REQUEST', 'scenarios[1].quantities.nope');
+});
+
+test('GoalUnreachableError lives with the other calculation errors', () => {
+  assert.equal(GoalSeekSolver.GoalUnreachableError, GoalUnreachableError);
+  const error = new GoalUnreachableError('out of range', { path: 'goal.value' });
+  assert.equal(error.code, 'GOAL_UNREACHABLE');
+  assert.equal(ERROR_CODES[error.code], error.name);
+});
+
+test('untyped errors are wrapped as InternalError', () => {
+  const cause = new TypeError('boom');
+  const wrapped = toCalculationError(cause);
+  assert.ok(wrapped instanceof InternalError);
+  assert.equal(wrapped.cause, cause);
+  assert.deepEqual(wrapped.toJSON(), { code: 'INTERNAL_ERROR', message: 'boom', path: null, details: {} });
+});
+
+test('routes map error classes to HTTP status', async t => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/engine', engineDirectRouter);
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}/api/engine`;
+  const post = async (path, body) => {
+    const response = await fetch(base + path, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return [response.status, await response.json()];
+  };
+
+  const schema = discount();
+  schema.lineItems[0].unitPrice = 'abc';
+  const syntax = discount();
+  syntax.modifiers[0].rules = [{ id: 'r1', expression: 'proposal.amount >' }];
+  const limit = discount();
+  limit.modifiers[0].rules = [{ id: 'r1', expression: 'not '.repeat(12) + 'proposal.amount > 1' }];
+  const cycle = discount();
+  cycle.modifiers.push({ ...cycle.modifiers[0], id: 'd2' });
+  cycle.dependencies = [
+    { modifier_id: 'discount-1', type: 'REQUIRES', depends_on: 'd2' },
+    { modifier_id: 'd2', type: 'REQUIRES', depends_on: 'discount-1' }
+  ];
+  const clientAst = discount();
+  clientAst.modifiers[0].rules = [{ id: 'r1', ast: { type: 'field', path: 'process.env.HOME' } }];
+  const bareNode = discount();
+  bareNode.rules = [{ modifier_id: 'discount-1', type: 'field', path: 'process.env.HOME' }];
+  const numericId = discount();
+  numericId.modifiers[0].id = 1;
+  const margin = discount();
+  margin.modifiers = [{ id: 'mg', modifier_type: 'margin', value: '150', application_type: 'pre_tax' }];
+
+  const cases = [
+    [schema, 400, 'SCHEMA_VALIDATION', 'lineItems[0].unitPrice'],
+    [numericId, 400, 'SCHEMA_VALIDATION', 'modifiers[0].id'],
+    [clientAst, 400, 'RULE_REJECTED', 'modifiers[0].rules[0].ast'],
+    [bareNode, 400, 'RULE_REJECTED', 'rules[0]'],
+    [syntax, 400, 'RULE_SYNTAX', 'modifiers[0].rules[0].expression'],
+    [limit, 422, 'RULE_LIMIT_EXCEEDED', 'modifiers[0].rules[0].expression'],
+    [cycle, 409, 'DEPENDENCY_CYCLE', undefined],
+    [margin, 422, 'INVALID_MARGIN', undefined]
+  ];
+  for (const [body, status, code, path] of cases) {
+    const [actualStatus, error] = await post('/calculate', body);
+    assert.equal(actualStatus, status, code);
+    assert.equal(error.code, code);
+    if (path !== undefined) assert.equal(error.path, path);
+  }
+
+  const [, ruleError] = await post('/calculate', syntax);
+  assert.deepEqual(ruleError.details, { rule_id: 'r1', line: 1, column: 18 });
+});
+
+test('not-found and multi-calculation failures use the same error shape', async t => {
+  const { get, post } = engineServer(t);
+  const shape = ['error', 'code', 'message', 'path', 'details'];
+
+  for (const path of ['/schema/9', '/fixtures/nope', '/fixtures/__proto__']) {
+    const [status, error] = await get(path);
+    assert.equal(status, 404, path);
+    assert.deepEqual(Object.keys(error), shape);
+    assert.equal(error.code, 'NOT_FOUND');
+  }
+
+  const broken = discount();
+  broken.lineItems[0].unitPrice = 'abc';
+  const [status, error] = await post('/use-tax/report', { calculations: [discount(), broken] });
+  assert.equal(status, 422);
+  assert.deepEqual(Object.keys(error), shape);
+  assert.equal(error.code, 'CALCULATIONS_FAILED');
+  assert.equal(ERROR_CODES[error.code], 'CalculationError');
+  assert.deepEqual(error.details.failures.map(failure => [failure.index, failure.code]), [[1, 'SCHEMA_VALIDATION']]);
+});
@@ -0,0 +1,75 @@
+/**
+ * Input schema enforcement (calculation-schema.assertValidInput)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const calculationSchema = require('../src/services/calculation-schema');
+const { engine, calculationInput, lineItem } = require('./fixtures');
+
+const withModifiers = (modifiers, rules = []) => calculationInput({
+  lineItems: [lineItem('a', '100.00', 2)],
+  modifiers,
+  rules
+});
+
+const bigOrder = {
+  type: 'comparison',
+  op: '>=',
+  left: { type: 'field', path: 'computed.subtotal' },
+  right: { type: 'literal', value: 150 }
+};
+
+const schemaErrors = body => {
+  try {
+    calculationSchema.assertValidInput(body);
+    return [];
+  } catch (error) {
+    assert.equal(error.name, 'SchemaValidationError');
+    return error.errors;
+  }
+};
+
+test('modifier_type is optional and defaults to percentage', () => {
+  const body = withModifiers([{ id: 'd', value: '-10', application_type: 'pre_tax' }]);
+  assert.deepEqual(schemaErrors(body), []);
+  assert.equal(engine.calculate(body).modifierTotal, '-20.00');
+});
+
+test('bare AST rules are accepted like compiled ones', () => {
+  const modifier = { id: 'd', modifier_type: 'percentage', value: '-10', application_type: 'pre_tax' };
+  for (const body of [
+    withModifiers([{ ...modifier, rules: [bigOrder] }]),
+    withModifiers([modifier], [{ ...bigOrder, modifier_id: 'd' }]),
+    withModifiers([modifier], [{ modifier_id: 'd', ast: bigOrder }])
+  ]) {
+    assert.deepEqual(schemaErrors(body), []);
+    assert.equal(engine.calculate(body).modifierTotal, '-20.00');
+  }
+});
+
+test('rules without an expression, ast or node type are rejected', () => {
+  const errors = schemaErrors(withModifiers([{ id: 'd', value: '-10' }], [{ modifier_id: 'd' }]));
+  assert.deepEqual(errors.map(error => [error.path, error.keyword]), [['rules[0]', 'anyOf']]);
+});
+
+test('modifiers still require an id and a known modifier_type', () => {
+  const errors = schemaErrors(withModifiers([{ modifier_type: 'bogus', value: '-10' }]));
+  assert.deepEqual(errors.map(error => [error.path, error.keyword]).sort(), [
+    ['modifiers[0].id', 'required'],
+    ['modifiers[0].modifier_type', 'enum']
+  ]);
+});
+
+test('numeric ids are rejected at the boundary instead of crashing the sort', () => {
+  const body = withModifiers([
+    { id: 2, value: '-10', application_type: 'pre_tax' },
+    { id: 1, value: '-5', application_type: 'pre_tax' }
+  ]);
+  assert.deepEqual(schemaErrors(body).map(error => [error.path, error.keyword]), [
+    ['modifiers[0].id', 'type'],
+    ['modifiers[1].id', 'type']
+  ]);
+  assert.throws(() => engine.calculate(body), error =>
+    error.name === 'ValidationError' && error.code === 'INVALID_TYPE' && error.path === 'modifiers[0].id');
+});
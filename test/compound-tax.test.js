@@ -0,0 +1,54 @@
+/**
+ * Compounding jurisdictions (PureCalculationEngine.calculateTaxes, jurisdiction.compound)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { engine, calculationInput, lineItem } = require('./fixtures');
+
+const LINE_ITEMS = [lineItem('a', '100.00', 1, { category: 'hardware' }), lineItem('b', '50.00', 1, { category: 'labor' })];
+
+const withJurisdictions = jurisdictions => calculationInput({
+  lineItems: LINE_ITEMS,
+  config: { tax_rate: undefined, jurisdictions }
+});
+
+const GST = { code: 'GST', rate: '0.05', order: 1 };
+const QST = { code: 'QST', rate: '0.09975', order: 2 };
+
+const subTax = (result, code) => result.subTaxes.find(entry => entry.code === code);
+
+test('a compound jurisdiction taxes price plus earlier taxes', () => {
+  const result = engine.calculate(withJurisdictions([{ ...QST, compound: true }, GST]));
+  const qst = subTax(result, 'QST');
+  assert.equal(qst.compound, true);
+  assert.equal(qst.compounded_tax_precise, '7.5000000');
+  assert.equal(qst.taxable_base_precise, '157.5000000');
+  assert.equal(qst.amount, '15.71');
+  assert.equal(result.retailTax, '23.21');
+});
+
+test('without compound the jurisdictions share the price base', () => {
+  const result = engine.calculate(withJurisdictions([QST, GST]));
+  assert.equal(subTax(result, 'QST').taxable_base_precise, '150.0000000');
+  assert.equal(subTax(result, 'QST').compounded_tax_precise, '0.0000000');
+  assert.equal(result.retailTax, '22.46');
+});
+
+test('compounding only covers the lines the jurisdiction taxes', () => {
+  const result = engine.calculate(withJurisdictions([
+    { ...QST, compound: true, category_taxability: { labor: 'NON_TAXABLE' } },
+    GST
+  ]));
+  const qst = subTax(result, 'QST');
+  assert.equal(qst.compounded_tax_precise, '5.0000000');
+  assert.equal(qst.taxable_base_precise, '105.0000000');
+  assert.equal(qst.amount, '10.47');
+  assert.deepEqual(result.lineTaxes.map(line => line.tax), ['15.47', '2.50']);
+});
+
+test('the first jurisdiction in order has nothing to compound', () => {
+  const result = engine.calculate(withJurisdictions([{ ...GST, compound: true }, QST]));
+  assert.equal(subTax(result, 'GST').compounded_tax_precise, '0.0000000');
+  assert.equal(subTax(result, 'GST').taxable_base_precise, '150.0000000');
+});
@@ -0,0 +1,68 @@
+/**
+ * Explain trace (PureCalculationEngine.calculate(input, { explain: true }),
+ * POST /api/engine/calculate?explain=true)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { engine, calculationInput, lineItem, engineServer } = require('./fixtures');
+
+const body = () => calculationInput({
+  lineItems: [lineItem('a', '100.00', 2)],
+  modifiers: [
+    { id: 'd', modifier_type: 'percentage', value: '-15', application_type: 'pre_tax' },
+    { id: 'ship', modifier_type: 'fixed', value: '12.50', application_type: 'post_tax' }
+  ]
+});
+
+test('steps run from the base subtotal through tax to the total, post-tax groups after tax', () => {
+  const { steps } = engine.calculate(body(), { explain: true }).explain;
+  assert.deepEqual(steps.map(step => [step.step, step.type, step.phase]), [
+    [1, 'base_subtotal', undefined],
+    [2, 'modifier_group', 'pre_tax'],
+    [3, 'tax', undefined],
+    [4, 'modifier_group', 'post_tax'],
+    [5, 'total', undefined]
+  ]);
+  assert.deepEqual(steps.map(step => step.running_subtotal_precise), [
+    undefined, '170.0000000', '170.0000000', '182.5000000', '182.5000000'
+  ]);
+});
+
+test('group steps carry basis, rate or amount and the Q7 value before and after rounding', () => {
+  const [, discount, , shipping] = engine.calculate(body(), { explain: true }).explain.steps;
+  assert.deepEqual(discount.basis, [{
+    basis_type: 'running_subtotal', basis_precise: '200.0000000', rate: '-15', amount_precise: '-30.0000000'
+  }]);
+  assert.equal(discount.combinedRate, '-15');
+  assert.deepEqual([discount.adjustment_precise, discount.adjustment_rounded], ['-30.0000000', '-30.00']);
+  assert.equal(discount.taxable_base_contribution_precise, '-30.0000000');
+
+  assert.equal(shipping.combinedAmount, '12.5');
+  assert.deepEqual([shipping.adjustment_precise, shipping.adjustment_rounded], ['12.5000000', '12.50']);
+  assert.equal(shipping.taxable_base_contribution_precise, '0.0000000');
+});
+
+test('the tax step lists the taxable base contributions', () => {
+  const tax = engine.calculate(body(), { explain: true }).explain.steps.find(step => step.type === 'tax');
+  assert.equal(tax.taxable_base_precise, '170.0000000');
+  assert.deepEqual(tax.contributions, [{ source: 'line_item', id: 'a', amount_precise: '170.0000000' }]);
+  assert.deepEqual([tax.retail_tax_precise, tax.retail_tax_rounded], ['17.0000000', '17.00']);
+});
+
+test('explain is opt-in and leaves the totals unchanged', () => {
+  const plain = engine.calculate(body());
+  const explained = engine.calculate(body(), { explain: true });
+  assert.equal('explain' in plain, false);
+  assert.equal(explained.customerGrandTotal, plain.customerGrandTotal);
+  assert.equal(explained.explain.steps.at(-1).customer_grand_total, plain.customerGrandTotal);
+});
+
+test('POST /calculate?explain=true returns the trace', async t => {
+  const { post } = engineServer(t);
+  const [, plain] = await post('/calculate', body());
+  const [status, explained] = await post('/calculate?explain=true', body());
+  assert.equal(status, 200);
+  assert.equal('explain' in plain, false);
+  assert.equal(explained.explain.steps.length, 5);
+});
@@ -0,0 +1,86 @@
+/**
+ * Shared test fixtures
+ *
+ * calculationInput() builds a complete engine input, so each test names
+ * only the line items, modifiers and config fields it is about. Config
+ * fields are merged over BASE_CONFIG (set one to undefined to drop it).
+ */
+
+const express = require('express');
+const PureCalculationEngine = require('../src/engines/pure/PureCalculationEngine');
+
+const BASE_CONFIG = Object.freeze({ schemaVersion: '1.0', tax_rate: '0.10', tax_mode: 'RETAIL' });
+
+/**
+ * Calculation input with empty collections and the base config
+ *
+ * @param {Object} [fields] - Input fields (lineItems, modifiers, config, ...)
+ * @returns {Object} - Engine input
+ */
+function calculationInput({ config = {}, ...fields } = {}) {
+  return {
+    proposalId: 'test',
+    lineItems: [],
+    modifiers: [],
+    dependencies: [],
+    ...fields,
+    config: { ...BASE_CONFIG, ...config }
+  };
+}
+
+/**
+ * Taxable line item
+ *
+ * @param {string} id - Line item id
+ * @param {string} unitPrice - Decimal string
+ * @param {number} [quantity] - Quantity (default 1)
+ * @param {Object} [fields] - Extra fields (category, cost, taxSetting, ...)
+ * @returns {Object}
+ */
+function lineItem(id, unitPrice, quantity = 1, fields = {}) {
+  return { id, unitPrice, quantity, taxSetting: 'TAXABLE', ...fields };
+}
+
+/**
+ * Q2 money string as integer cents (for exact sums in assertions)
+ */
+const cents = value => Math.round(Number(value) * 100);
+
+/**
+ * Serve routes/engine-direct on an ephemeral port until the test ends
+ *
+ * @param {Object} t - node:test context (closes the server in t.after)
+ * @returns {Object} - { base, get, post }; get/post resolve to
+ *   [status, parsed JSON body]
+ */
+function engineServer(t) {
+  require('../src/engines');
+  const app = express();
+  app.use(express.json());
+  app.use('/api/engine', require('../src/routes/engine-direct'));
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}/api/engine`;
+  const send = async (path, init) => {
+    const response = await fetch(base + path, init);
+    return [response.status, await response.json()];
+  };
+  return {
+    base,
+    get: path => send(path),
+    post: (path, body) => send(path, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(body)
+    })
+  };
+}
+
+module.exports = {
+  engine: new PureCalculationEngine(),
+  BASE_CONFIG,
+  calculationInput,
+  lineItem,
+  cents,
+  engineServer
+};
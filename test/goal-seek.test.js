@@ -0,0 +1,70 @@
+/**
+ * Goal-seek (GoalSeekSolver.solve)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Decimal = require('decimal.js');
+const GoalSeekSolver = require('../src/engines/pure/GoalSeekSolver');
+const { GoalUnreachableError } = GoalSeekSolver;
+const { ValidationError } = require('../src/engines/pure/CalculationErrors');
+
+const { calculationInput, lineItem } = require('./fixtures');
+
+const solver = new GoalSeekSolver();
+
+const withModifier = modifier => calculationInput({
+  lineItems: [lineItem('a', '100.00', 2, { cost: '120.00' })],
+  modifiers: [modifier]
+});
+
+const discount = { id: 'd', modifier_type: 'percentage', value: '-15', application_type: 'pre_tax' };
+
+test('solves a percentage discount for a grand total', () => {
+  const solved = solver.solve(withModifier(discount), { metric: 'customer_grand_total', value: '198.00', modifier_id: 'd' });
+  assert.equal(solved.converged, true);
+  assert.equal(new Decimal(solved.achieved).toFixed(2), '198.00');
+  assert.equal(new Decimal(solved.value).toFixed(2), '-10.00');
+  assert.equal(solved.result.customerGrandTotal, '198.00');
+});
+
+test('solves for the pre-tax subtotal and for margin', () => {
+  const subtotal = solver.solve(withModifier(discount), { metric: 'subtotal', value: '150.00', modifier_id: 'd' });
+  assert.equal(new Decimal(subtotal.achieved).toFixed(2), '150.00');
+  assert.equal(new Decimal(subtotal.value).toFixed(2), '-25.00');
+
+  const margin = solver.solve(withModifier(discount), { metric: 'margin', value: '20', modifier_id: 'd' });
+  assert.equal(new Decimal(margin.achieved).toFixed(2), '20.00');
+  // Cost is 240.00, so 20% margin needs revenue of 300.00 (a +50% markup)
+  assert.equal(new Decimal(margin.value).toFixed(2), '50.00');
+});
+
+test('solves modifiers that carry their value in percent or fixed_amount', () => {
+  const percent = { id: 'd', modifier_type: 'percentage', percent: '-15', application_type: 'pre_tax' };
+  const byPercent = solver.solve(withModifier(percent), { metric: 'customer_grand_total', value: '198.00', modifier_id: 'd' });
+  assert.equal(new Decimal(byPercent.value).toFixed(2), '-10.00');
+  assert.equal(byPercent.result.customerGrandTotal, '198.00');
+
+  const fixed = { id: 'f', modifier_type: 'fixed', fixed_amount: '-30.00', application_type: 'pre_tax' };
+  const byAmount = solver.solve(withModifier(fixed), { metric: 'subtotal', value: '150.00', modifier_id: 'f', min: '-100', max: '0' });
+  assert.equal(new Decimal(byAmount.value).toFixed(2), '-50.00');
+  assert.equal(byAmount.result.modifierTotal, '-50.00');
+});
+
+test('a target outside the range is GOAL_UNREACHABLE', () => {
+  assert.throws(
+    () => solver.solve(withModifier(discount), { metric: 'customer_grand_total', value: '99999', modifier_id: 'd' }),
+    error => error instanceof GoalUnreachableError && error.code === 'GOAL_UNREACHABLE' && error.path === 'goal.value'
+  );
+});
+
+test('malformed goals are INVALID_GOAL', () => {
+  for (const goal of [
+    { metric: 'nope', value: '1', modifier_id: 'd' },
+    { metric: 'subtotal', value: '1', modifier_id: 'missing' },
+    { metric: 'subtotal', value: 'abc', modifier_id: 'd' }
+  ]) {
+    assert.throws(() => solver.solve(withModifier(discount), goal), error =>
+      error instanceof ValidationError && error.code === 'INVALID_GOAL');
+  }
+});
@@ -0,0 +1,60 @@
+/**
+ * Tax-inclusive pricing (config.price_mode TAX_INCLUSIVE, inclusive_modifier_basis)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { engine, calculationInput, lineItem, cents } = require('./fixtures');
+
+const LINE_ITEMS = [lineItem('a', '110.00'), lineItem('b', '33.33', 3)];
+
+// Gross-priced lines at 10% with per-test config and modifiers
+const inclusive = (config, modifiers = []) => calculationInput({
+  lineItems: LINE_ITEMS,
+  modifiers,
+  config: { price_mode: 'TAX_INCLUSIVE', ...config }
+});
+
+const tenOff = [{ id: 'd', modifier_type: 'percentage', value: '-10', application_type: 'pre_tax', tax_setting: 'taxable' }];
+
+function assertReconciles(result) {
+  assert.equal(cents(result.netTotal) + cents(result.retailTax), cents(result.grossTotal));
+  assert.equal(result.grossTotal, result.customerGrandTotal);
+  assert.equal(result.lineTaxes.reduce((sum, line) => sum + cents(line.tax), 0), cents(result.retailTax));
+}
+
+test('unit prices are gross: the tax is backed out, not added', () => {
+  for (const basis of ['NET', 'GROSS']) {
+    const result = engine.calculate(inclusive({ inclusive_modifier_basis: basis }));
+    assert.equal(result.priceMode, 'TAX_INCLUSIVE');
+    assert.equal(result.inclusiveModifierBasis, basis);
+    assert.equal(result.grossTotal, '209.99');
+    assert.equal(result.retailTax, '19.09');
+    assert.equal(result.netTotal, '190.90');
+    assertReconciles(result);
+  }
+});
+
+test('NET basis applies modifiers to prices net of tax', () => {
+  const result = engine.calculate(inclusive({ inclusive_modifier_basis: 'NET' }, tenOff));
+  assert.equal(result.subtotal, '190.90');
+  assert.equal(result.modifierTotal, '-19.09');
+  assert.equal(result.netTotal, '171.81');
+  assert.equal(result.retailTax, '17.18');
+  assertReconciles(result);
+});
+
+test('GROSS basis applies modifiers to gross prices', () => {
+  const result = engine.calculate(inclusive({ inclusive_modifier_basis: 'GROSS' }, tenOff));
+  assert.equal(result.subtotal, '209.99');
+  assert.equal(result.modifierTotal, '-21.00');
+  assert.equal(result.grossTotal, '188.99');
+  assert.equal(result.retailTax, '17.18');
+  assertReconciles(result);
+});
+
+test('tax-exclusive results carry no inclusive totals', () => {
+  const result = engine.calculate(inclusive({ price_mode: 'TAX_EXCLUSIVE' }));
+  assert.equal(result.netTotal, undefined);
+  assert.equal(result.customerGrandTotal, '230.99');
+});
@@ -0,0 +1,77 @@
+/**
+ * Input validation without the math (services/input-validation,
+ * POST /api/engine/validate)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const InputValidator = require('../src/services/input-validation');
+const { calculationInput, lineItem, engineServer } = require('./fixtures');
+
+const validator = new InputValidator();
+
+const REQUIRES = (modifier_id, depends_on) => ({ modifier_id, depends_on, dependency_type: 'REQUIRES' });
+
+// One proposal with a problem in every section
+const BROKEN = calculationInput({
+  lineItems: [lineItem('a', '10.00'), lineItem('a', 'abc'), { id: 'c', quantity: 1 }],
+  modifiers: [
+    { id: 'm', modifier_type: 'margin', value: '120', application_type: 'pre_tax' },
+    { id: 'm', modifier_type: 'bogus', value: '1', application_type: 'pre_tax' },
+    { id: 'x', modifier_type: 'fixed', value: '-1', application_type: 'sideways', min_amount: '5', max_amount: '2' }
+  ],
+  dependencies: [REQUIRES('m', 'x'), REQUIRES('x', 'm'), REQUIRES('ghost', 'x')],
+  rules: [{ id: 'r', modifier_id: 'x', expression: 'proposal.a ==' }],
+  config: { price_mode: 'WEIRD' }
+});
+
+const summary = issues => issues.map(issue => [issue.path, issue.code, issue.severity]);
+
+test('every problem is reported at once with path, code and severity', () => {
+  const { valid, issues } = validator.validate(BROKEN);
+  assert.equal(valid, false);
+  assert.deepEqual(summary(issues), [
+    ['lineItems[1].id', 'DUPLICATE_ID', 'error'],
+    ['lineItems[1].unitPrice', 'INVALID_NUMBER', 'error'],
+    ['lineItems[2].unitPrice', 'REQUIRED', 'warning'],
+    ['modifiers[0].value', 'MARGIN_OUT_OF_RANGE', 'error'],
+    ['modifiers[1].id', 'DUPLICATE_ID', 'error'],
+    ['modifiers[1].modifier_type', 'UNKNOWN_MODIFIER_TYPE', 'warning'],
+    ['modifiers[2].application_type', 'INVALID_ENUM', 'error'],
+    ['modifiers[2].min_amount', 'INVALID_BOUNDS', 'error'],
+    ['config.price_mode', 'INVALID_ENUM', 'error'],
+    ['dependencies[2].modifier_id', 'UNKNOWN_MODIFIER', 'warning'],
+    ['dependencies', 'DEPENDENCY_CYCLE', 'error'],
+    ['rules[0].expression', 'RULE_SYNTAX', 'error']
+  ]);
+  assert.equal(issues.find(issue => issue.code === 'DEPENDENCY_CYCLE').message, 'Circular dependency detected: x → m → x');
+});
+
+test('warnings alone leave the input valid', () => {
+  const { valid, issues } = validator.validate(calculationInput({
+    lineItems: [lineItem('a', '10.00')],
+    modifiers: [{ id: 'odd', modifier_type: 'bogus', value: '1' }]
+  }));
+  assert.equal(valid, true);
+  assert.deepEqual(summary(issues), [['modifiers[0].modifier_type', 'UNKNOWN_MODIFIER_TYPE', 'warning']]);
+  assert.deepEqual(validator.validate(calculationInput({ lineItems: [lineItem('a', '10.00')] })), { valid: true, issues: [] });
+});
+
+test('a non-object input is a single error', () => {
+  assert.deepEqual(validator.validate(null), {
+    valid: false,
+    issues: [{ path: '', code: 'REQUIRED', message: 'input must be an object', severity: 'error' }]
+  });
+});
+
+test('POST /validate always answers 200 with the first error message', async t => {
+  const { post } = engineServer(t);
+  const [status, body] = await post('/validate', BROKEN);
+  assert.equal(status, 200);
+  assert.equal(body.valid, false);
+  assert.equal(body.error, 'Duplicate line item ID: a');
+  assert.deepEqual(body.issues, validator.validate(BROKEN).issues);
+
+  const [, valid] = await post('/validate', calculationInput({ lineItems: [lineItem('a', '10.00')] }));
+  assert.deepEqual(valid, { valid: true, error: null, issues: [] });
+});
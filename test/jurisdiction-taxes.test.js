@@ -0,0 +1,75 @@
+/**
+ * Per-jurisdiction category taxability (PureCalculationEngine.calculateTaxes,
+ * jurisdiction.category_taxability) with line-scoped adjustments
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { engine, calculationInput, lineItem } = require('./fixtures');
+
+const LINE_ITEMS = [
+  lineItem('a', '100.00', 1, { category: 'hardware', productId: 'P1', cost: '60.00' }),
+  lineItem('b', '100.00', 1, { category: 'labor', productId: 'P2', cost: '50.00' })
+];
+
+// The state exempts labor, the county exempts hardware
+const JURISDICTIONS = [
+  { code: 'STATE', rate: '0.06', order: 1, category_taxability: { labor: 'NON_TAXABLE' } },
+  { code: 'COUNTY', rate: '0.02', order: 2, category_taxability: { hardware: 'NON_TAXABLE' } }
+];
+
+const withModifier = modifier => calculationInput({
+  lineItems: LINE_ITEMS,
+  modifiers: [{ application_type: 'pre_tax', tax_setting: 'taxable', ...modifier }],
+  config: { tax_rate: undefined, jurisdictions: JURISDICTIONS }
+});
+
+const bases = result => result.subTaxes.map(entry => [entry.code, entry.taxable_base_precise, entry.amount]);
+
+test('each jurisdiction reports its own base, rate and amount', () => {
+  const result = engine.calculate(withModifier({ id: 'none', modifier_type: 'fixed', value: '0.00' }));
+  assert.deepEqual(result.subTaxes.map(entry => [entry.code, entry.order, entry.rate]), [
+    ['STATE', 1, '0.06'],
+    ['COUNTY', 2, '0.02']
+  ]);
+  assert.deepEqual(bases(result), [['STATE', '100.0000000', '6.00'], ['COUNTY', '100.0000000', '2.00']]);
+  assert.equal(result.retailTax, '8.00');
+});
+
+test('a category-basis discount only lowers the jurisdiction that taxes that category', () => {
+  const result = engine.calculate(withModifier({
+    id: 'labor-10', modifier_type: 'percentage', value: '-10', basis_type: 'category', basis_category: 'labor'
+  }));
+  assert.deepEqual(bases(result), [['STATE', '100.0000000', '6.00'], ['COUNTY', '90.0000000', '1.80']]);
+  assert.equal(result.retailTax, '7.80');
+});
+
+test('a product-basis discount follows its product', () => {
+  const result = engine.calculate(withModifier({
+    id: 'p1-10', modifier_type: 'percentage', value: '-10', basis_type: 'product', basis_product_id: 'P1'
+  }));
+  assert.deepEqual(bases(result), [['STATE', '90.0000000', '5.40'], ['COUNTY', '100.0000000', '2.00']]);
+  assert.equal(result.retailTax, '7.40');
+});
+
+test('a line-basis discount follows its line', () => {
+  const result = engine.calculate(withModifier({
+    id: 'b-10', modifier_type: 'percentage', value: '-10', basis_type: 'line_subtotal', basis_line_item_id: 'b'
+  }));
+  assert.deepEqual(bases(result), [['STATE', '100.0000000', '6.00'], ['COUNTY', '90.0000000', '1.80']]);
+});
+
+test('tiered deltas land on the lines they were computed for', () => {
+  const result = engine.calculate(withModifier({
+    id: 'volume', modifier_type: 'tiered', tiers: [{ min: 0, value: '-10' }], line_category: 'labor'
+  }));
+  assert.deepEqual(bases(result), [['STATE', '100.0000000', '6.00'], ['COUNTY', '90.0000000', '1.80']]);
+});
+
+test('margin deltas land on the lines they were computed for', () => {
+  const result = engine.calculate(withModifier({
+    id: 'margin', modifier_type: 'margin', value: '50', line_category: 'hardware'
+  }));
+  assert.deepEqual(bases(result), [['STATE', '120.0000000', '7.20'], ['COUNTY', '100.0000000', '2.00']]);
+  assert.equal(result.retailTax, '9.20');
+});
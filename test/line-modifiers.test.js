@@ -0,0 +1,62 @@
+/**
+ * Quantity and cost_adjustment modifiers (PureCalculationEngine.applyLineModifiers)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { engine, calculationInput, lineItem } = require('./fixtures');
+
+const LINE_ITEMS = [
+  lineItem('a', '10.00', 4, { cost: '6.00', category: 'hardware' }),
+  lineItem('b', '20.00', 2, { cost: '5.00', category: 'labor' })
+];
+
+const withModifiers = modifiers => calculationInput({ lineItems: LINE_ITEMS, modifiers });
+
+const lineAdjustment = (result, id) => result.lineAdjustments.find(line => line.line_item_id === id);
+
+test('buy-x-get-y bills only the paid units', () => {
+  const result = engine.calculate(withModifiers([
+    { id: 'bogo', modifier_type: 'quantity', quantity_mode: 'buy_x_get_y', buy: 1, get: 1, application_type: 'pre_tax' }
+  ]));
+  assert.equal(result.subtotal, '40.00');
+  assert.equal(lineAdjustment(result, 'a').free_quantity, 2);
+  assert.equal(lineAdjustment(result, 'b').free_quantity, 1);
+});
+
+test('grouping category does not filter lines', () => {
+  const result = engine.calculate(withModifiers([
+    { id: 'bogo', modifier_type: 'quantity', quantity_mode: 'buy_x_get_y', buy: 1, get: 1, application_type: 'pre_tax', category: 'discount' },
+    { id: 'freight', modifier_type: 'cost_adjustment', cost_mode: 'per_unit', value: '1.00', application_type: 'pre_tax', category: 'fee' }
+  ]));
+  assert.equal(lineAdjustment(result, 'a').free_quantity, 2);
+  assert.equal(lineAdjustment(result, 'b').free_quantity, 1);
+  assert.deepEqual(lineAdjustment(result, 'b').modifier_ids, ['bogo', 'freight']);
+});
+
+test('line_category scopes a line modifier', () => {
+  const result = engine.calculate(withModifiers([
+    { id: 'bogo', modifier_type: 'quantity', quantity_mode: 'buy_x_get_y', buy: 1, get: 1, application_type: 'pre_tax', line_category: 'hardware' }
+  ]));
+  assert.equal(lineAdjustment(result, 'a').free_quantity, 2);
+  assert.equal(lineAdjustment(result, 'b').free_quantity, 0);
+  assert.equal(result.subtotal, '60.00');
+});
+
+test('waste factor raises billed and cost quantity', () => {
+  const result = engine.calculate(withModifiers([
+    { id: 'waste', modifier_type: 'quantity', quantity_mode: 'waste_factor', value: '25', round_up: true, application_type: 'pre_tax', line_item_id: 'a' }
+  ]));
+  assert.equal(lineAdjustment(result, 'a').billed_quantity, 5);
+  assert.equal(lineAdjustment(result, 'a').cost_quantity, 5);
+  assert.equal(result.subtotal, '90.00');
+});
+
+test('cost adjustment changes cost, not price', () => {
+  const result = engine.calculate(withModifiers([
+    { id: 'freight', modifier_type: 'cost_adjustment', cost_mode: 'percentage', value: '10', application_type: 'pre_tax', line_item_id: 'a' }
+  ]));
+  assert.equal(result.subtotal, '80.00');
+  assert.equal(lineAdjustment(result, 'a').extended_cost_precise, '26.4000000');
+  assert.equal(lineAdjustment(result, 'b').extended_cost_precise, '10.0000000');
+});
@@ -0,0 +1,82 @@
+/**
+ * Line-level retail tax (PureCalculationEngine.computeLineTaxableBases / applyTaxRounding)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { engine, calculationInput, lineItem, cents } = require('./fixtures');
+
+const sumLineTaxes = result => result.lineTaxes.reduce((sum, line) => sum + cents(line.tax), 0) / 100;
+
+test('taxable discounts reduce only taxable line bases', () => {
+  const result = engine.calculate(calculationInput({
+    lineItems: [lineItem('A', '100.00'), lineItem('B', '100.00', 1, { taxSetting: 'NON_TAXABLE' })],
+    modifiers: [{ id: 'd', modifier_type: 'fixed', value: '-20.00', application_type: 'pre_tax', tax_setting: 'taxable' }],
+    config: { tax_rounding: 'LINE' }
+  }));
+  assert.equal(result.retailTax, '8.00');
+  assert.deepEqual(result.lineTaxes.map(line => [line.line_item_id, line.tax]), [['A', '8.00'], ['B', '0.00']]);
+  assert.equal(result.lineTaxes[1].taxable_base_precise, '0.0000000');
+});
+
+test('a discount scoped to lines a jurisdiction exempts leaves its base alone', () => {
+  const result = engine.calculate(calculationInput({
+    lineItems: [lineItem('A', '100.00', 1, { category: 'hardware' }), lineItem('B', '100.00', 1, { category: 'labor' })],
+    modifiers: [{
+      id: 'labor-10', modifier_type: 'percentage', value: '-10', application_type: 'pre_tax',
+      basis_type: 'category', basis_category: 'labor', tax_setting: 'taxable'
+    }],
+    config: { tax_rate: undefined, jurisdictions: [{ code: 'STATE', rate: '0.10', category_taxability: { labor: 'NON_TAXABLE' } }] }
+  }));
+  assert.equal(result.subTaxes[0].taxable_base_precise, '100.0000000');
+  assert.equal(result.retailTax, '10.00');
+  assert.deepEqual(result.lineTaxes.map(line => [line.line_item_id, line.taxable_base_precise]), [
+    ['A', '100.0000000'],
+    ['B', '90.0000000']
+  ]);
+});
+
+test('explain contributions are the line taxable bases', () => {
+  const result = engine.calculate(calculationInput({
+    lineItems: [lineItem('A', '110.00'), lineItem('B', '55.00', 1, { taxSetting: 'NON_TAXABLE' })],
+    modifiers: [{ id: 'd', modifier_type: 'fixed', value: '-11.00', application_type: 'pre_tax', tax_setting: 'taxable' }],
+    config: { price_mode: 'TAX_INCLUSIVE', inclusive_modifier_basis: 'GROSS' }
+  }), { explain: true });
+  const taxStep = result.explain.steps.find(step => step.type === 'tax');
+  assert.deepEqual(
+    taxStep.contributions.map(entry => entry.amount_precise),
+    result.lineTaxes.map(line => line.taxable_base_precise)
+  );
+  assert.equal(taxStep.taxable_base_precise, '90.0000000');
+});
+
+test('a taxable group that reaches only exempt lines adds nothing to the base', () => {
+  const result = engine.calculate(calculationInput({
+    lineItems: [lineItem('B', '100.00', 1, { taxSetting: 'NON_TAXABLE' })],
+    modifiers: [{ id: 'ship', modifier_type: 'fixed', value: '10.00', application_type: 'pre_tax', tax_setting: 'taxable' }]
+  }));
+  assert.equal(result.retailTax, '0.00');
+  assert.equal(result.lineTaxes[0].taxable_base_precise, '0.0000000');
+});
+
+test('a quantity-0 line contributes nothing to the taxable base', () => {
+  const result = engine.calculate(calculationInput({
+    lineItems: [lineItem('A', '50.00'), lineItem('B', '50.00', 0)],
+    config: { tax_rate: '0.30' }
+  }));
+  assert.equal(result.subtotal, '50.00');
+  assert.equal(result.retailTax, '15.00');
+  assert.deepEqual(result.lineTaxes.map(line => line.tax), ['15.00', '0.00']);
+});
+
+test('rounding policies reconcile line taxes with the document tax', () => {
+  const lineItems = ['a', 'b', 'c'].map(id => lineItem(id, '1.05'));
+  const expected = { DOCUMENT: ['0.16', '0.00'], JURISDICTION: ['0.16', '0.00'], LINE: ['0.15', '-0.01'] };
+  for (const [policy, [tax, difference]] of Object.entries(expected)) {
+    const result = engine.calculate(calculationInput({ lineItems, config: { tax_rate: '0.05', tax_rounding: policy } }));
+    assert.equal(result.taxRounding, policy);
+    assert.equal(result.retailTax, tax);
+    assert.equal(result.taxRoundingDifference, difference);
+    assert.equal(sumLineTaxes(result), Number(tax));
+  }
+});
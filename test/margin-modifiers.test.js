@@ -0,0 +1,67 @@
+/**
+ * Margin modifiers: scoping, missing-cost strategies and the margin floor
+ * (PureCalculationEngine.resolveMarginTargets)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { InvalidMarginError } = require('../src/engines/pure/CalculationErrors');
+const { engine, calculationInput, lineItem } = require('./fixtures');
+
+test('grouping category does not scope a margin modifier (waterfall "Margin Test")', () => {
+  const result = engine.calculate(calculationInput({
+    lineItems: [lineItem('item-1', '100.00', 1, { cost: '60.00' })],
+    modifiers: [{ id: 'margin-1', modifier_type: 'margin', value: '30', application_type: 'pre_tax', category: 'margin' }],
+    config: { tax_rate: '0.08' }
+  }));
+  assert.equal(result.modifierTotal, '-14.29');
+  assert.equal(result.customerGrandTotal, '92.57');
+  assert.equal(result.marginLines[0].achieved_margin, '30.00');
+});
+
+test('line_category targets lines; floor and missing cost warn per line', () => {
+  const result = engine.calculate(calculationInput({
+    lineItems: [
+      lineItem('a', '100.00', 1, { cost: '60.00', category: 'hardware' }),
+      lineItem('b', '100.00', 1, { cost: '90.00', category: 'labor' }),
+      lineItem('c', '100.00', 1, { category: 'labor' })
+    ],
+    modifiers: [
+      { id: 'm1', modifier_type: 'margin', value: '30', application_type: 'pre_tax', line_category: 'hardware' },
+      { id: 'm2', modifier_type: 'margin', value: '20', application_type: 'pre_tax', line_category: 'labor', missing_cost_strategy: 'SKIP' }
+    ],
+    config: { margin_floor: '25' }
+  }));
+  const byLine = Object.fromEntries(result.marginLines.map(line => [line.line_item_id, line]));
+  assert.equal(byLine.a.modifier_id, 'm1');
+  assert.equal(byLine.a.achieved_margin, '30.00');
+  assert.equal(byLine.b.modifier_id, 'm2');
+  assert.equal(byLine.b.achieved_margin, '20.00');
+  assert.equal(byLine.c.status, 'skipped');
+  assert.deepEqual(result.warnings.map(warning => [warning.code, warning.line_item_id]), [
+    ['MARGIN_BELOW_FLOOR', 'b'],
+    ['MARGIN_COST_MISSING', 'c']
+  ]);
+});
+
+test('FAIL strategy rejects a line without cost', () => {
+  assert.throws(() => engine.calculate(calculationInput({
+    lineItems: [lineItem('a', '100.00')],
+    modifiers: [{ id: 'm', modifier_type: 'margin', value: '20', application_type: 'pre_tax', missing_cost_strategy: 'FAIL' }]
+  })), error => error instanceof InvalidMarginError && error.code === 'MARGIN_COST_MISSING' && error.path === 'lineItems[0].cost');
+});
+
+test('a margin group after a discount prices from the discounted line', () => {
+  const result = engine.calculate(calculationInput({
+    lineItems: [lineItem('a', '100.00', 1, { cost: '60.00' })],
+    modifiers: [
+      { id: 'd', modifier_type: 'percentage', value: '-10', application_type: 'pre_tax', chain_priority: 1 },
+      { id: 'm', modifier_type: 'margin', value: '30', application_type: 'pre_tax', chain_priority: 2 }
+    ]
+  }));
+  // 90.00 after the discount; 60.00 / (1 - 0.30) = 85.71 needs -4.29 more
+  assert.deepEqual(result.adjustments.map(adjustment => adjustment.amount), ['-10.00', '-4.29']);
+  assert.equal(result.modifierTotal, '-14.29');
+  assert.equal(result.marginLines[0].revenue_precise, '85.7142857');
+  assert.equal(result.marginLines[0].achieved_margin, '30.00');
+});
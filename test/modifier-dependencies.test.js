@@ -0,0 +1,69 @@
+/**
+ * REQUIRES/EXCLUDES dependencies (PureCalculationEngine.resolveDependencies)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DependencyCycleError } = require('../src/engines/pure/CalculationErrors');
+const { engine, calculationInput, lineItem } = require('./fixtures');
+
+const discount = (id, chainPriority = 999) => ({
+  id, modifier_type: 'percentage', value: '-10', application_type: 'pre_tax', chain_priority: chainPriority
+});
+
+const withDependencies = (modifiers, dependencies) => calculationInput({
+  lineItems: [lineItem('a', '100.00')],
+  modifiers,
+  dependencies
+});
+
+test('mutually exclusive promos apply only once, whichever side declares it', () => {
+  for (const declaredBy of ['promo-a', 'promo-b']) {
+    const other = declaredBy === 'promo-a' ? 'promo-b' : 'promo-a';
+    const result = engine.calculate(withDependencies(
+      [discount('promo-a'), discount('promo-b')],
+      [{ modifier_id: declaredBy, type: 'EXCLUDES', depends_on: other }]
+    ));
+    assert.deepEqual(result.approvedModifiers, ['promo-a']);
+    assert.deepEqual(result.rejectedModifiers, [{ id: 'promo-b', reason: 'excluded_by:promo-a' }]);
+    assert.equal(result.modifierTotal, '-10.00');
+  }
+});
+
+test('a modifier whose requirement is absent or rejected is dropped', () => {
+  const result = engine.calculate(withDependencies(
+    [discount('x', 1), discount('base', 5), discount('chained', 2), discount('orphan')],
+    [
+      { modifier_id: 'chained', type: 'REQUIRES', depends_on: 'base' },
+      { modifier_id: 'base', type: 'EXCLUDES', depends_on: 'x' },
+      { modifier_id: 'orphan', type: 'REQUIRES', depends_on: 'missing' }
+    ]
+  ));
+  assert.deepEqual(result.approvedModifiers, ['x']);
+  assert.deepEqual(result.rejectedModifiers, [
+    { id: 'base', reason: 'excluded_by:x' },
+    { id: 'chained', reason: 'missing_requirement', requirement: 'base' },
+    { id: 'orphan', reason: 'missing_requirement', requirement: 'missing' }
+  ]);
+  assert.deepEqual(result.dependencyDiagnostics.exclusions, [{ winner: 'x', loser: 'base' }]);
+});
+
+test('requirements are ordered before their dependents', () => {
+  const result = engine.calculate(withDependencies(
+    [discount('dependent', 1), discount('required', 9)],
+    [{ modifier_id: 'dependent', type: 'REQUIRES', depends_on: 'required' }]
+  ));
+  assert.deepEqual(result.dependencyDiagnostics.resolved_order, ['required', 'dependent']);
+  assert.deepEqual(result.approvedModifiers.slice().sort(), ['dependent', 'required']);
+});
+
+test('a REQUIRES cycle is rejected with the offending chain', () => {
+  assert.throws(
+    () => engine.calculate(withDependencies([discount('p'), discount('q')], [
+      { modifier_id: 'p', type: 'REQUIRES', depends_on: 'q' },
+      { modifier_id: 'q', type: 'REQUIRES', depends_on: 'p' }
+    ])),
+    error => error instanceof DependencyCycleError && error.code === 'DEPENDENCY_CYCLE' &&
+      error.details.cycle.join(' ') === 'p q p'
+  );
+});
@@ -0,0 +1,65 @@
+/**
+ * Per-modifier rules (PureCalculationEngine.evaluateModifierRules, SafeRuleEvaluator)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RuleError } = require('../src/engines/pure/CalculationErrors');
+const { engine, calculationInput, lineItem } = require('./fixtures');
+
+const compare = (path, op, value) => ({
+  type: 'comparison', op, left: { type: 'field', path }, right: { type: 'literal', value }
+});
+
+// "10% off when quantity > 50" inline, and a gold-customer promo bound by a top-level rule
+const MODIFIERS = [
+  { id: 'volume', modifier_type: 'percentage', value: '-10', application_type: 'pre_tax',
+    rules: [{ id: 'bulk', ...compare('computed.totalQuantity', '>', 50) }] },
+  { id: 'loyal', modifier_type: 'percentage', value: '-5', application_type: 'pre_tax' }
+];
+const RULES = [{ id: 'gold-only', modifier_id: 'loyal', ast: compare('customer.tier', '==', 'gold') }];
+
+const order = (quantity, tier) => ({
+  ...calculationInput({ lineItems: [lineItem('a', '10.00', quantity)], modifiers: MODIFIERS, rules: RULES }),
+  customer: { tier }
+});
+
+test('modifiers whose rules fail are filtered with the operands evaluated', () => {
+  const result = engine.calculate(order(20, 'gold'));
+  assert.deepEqual(result.approvedModifiers, ['loyal']);
+  assert.equal(result.modifierTotal, '-10.00');
+  assert.deepEqual(result.filteredModifiers, [{
+    id: 'volume',
+    ruleId: 'bulk',
+    reason: 'rule_failed:bulk',
+    comparisons: [{
+      op: '>',
+      left: { path: 'computed.totalQuantity', value: 20 },
+      right: { value: 50 },
+      result: false
+    }]
+  }]);
+  assert.deepEqual(result.ruleStats, { evaluated: 2, passed: 1, failed: 1 });
+});
+
+test('top-level rules bind to their modifier_id', () => {
+  const result = engine.calculate(order(60, 'silver'));
+  assert.deepEqual(result.approvedModifiers, ['volume']);
+  assert.deepEqual(result.filteredModifiers.map(entry => [entry.id, entry.ruleId]), [['loyal', 'gold-only']]);
+  assert.equal(result.modifierTotal, '-60.00');
+});
+
+test('modifiers without rules always apply', () => {
+  const result = engine.calculate(calculationInput({
+    lineItems: [lineItem('a', '10.00', 1)],
+    modifiers: [MODIFIERS[1]]
+  }));
+  assert.deepEqual(result.approvedModifiers, ['loyal']);
+  assert.deepEqual(result.filteredModifiers, []);
+});
+
+test('a rule the evaluator cannot run is a RuleError', () => {
+  const body = order(60, 'gold');
+  body.rules = [{ id: 'bad', modifier_id: 'loyal', ast: { type: 'call', fn: 'eval' } }];
+  assert.throws(() => engine.calculate(body), error => error instanceof RuleError);
+});
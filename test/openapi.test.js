@@ -0,0 +1,85 @@
+/**
+ * OpenAPI document (services/openapi, GET /api/openapi.json)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { ROUTE_DOCS, listRoutes, buildOpenApiDocument } = require('../src/services/openapi');
+const { FIXTURE_LIST } = require('../src/config/fixtures');
+const { engineServer } = require('./fixtures');
+
+const engineRouter = require('../src/routes/engine-direct');
+const document = buildOpenApiDocument({ mounts: [{ prefix: '/api/engine', router: engineRouter }] });
+
+// Every { $ref } string in a document
+const refsIn = node => {
+  if (Array.isArray(node)) return node.flatMap(refsIn);
+  if (!node || typeof node !== 'object') return [];
+  return Object.entries(node).flatMap(([key, value]) => (key === '$ref' ? [value] : refsIn(value)));
+};
+
+// Operations whose request body carries examples, as [method, path, examples]
+const operationsWithExamples = () => Object.entries(document.paths).flatMap(([path, operations]) =>
+  Object.entries(operations)
+    .filter(([, operation]) => operation.requestBody?.content?.['application/json']?.examples)
+    .map(([method, operation]) => [method, path, operation.requestBody.content['application/json'].examples]));
+
+test('every registered engine route is documented, with Express params in OpenAPI form', () => {
+  assert.equal(document.openapi, '3.1.0');
+  const routes = listRoutes(engineRouter, '/api/engine');
+  assert.ok(routes.length > 0);
+  for (const { method, path } of routes) {
+    assert.ok(ROUTE_DOCS[`${method} ${path}`], `${method} ${path} has no ROUTE_DOCS entry`);
+    const openApiPath = path.replace(/:(\w+)/g, '{$1}');
+    assert.ok(document.paths[openApiPath]?.[method.toLowerCase()], `${method} ${openApiPath} missing`);
+  }
+  const fixture = document.paths['/api/engine/fixtures/{id}'].get;
+  assert.equal(fixture.operationId, 'getEngineFixturesId');
+  assert.deepEqual(fixture.parameters, [{
+    name: 'id', in: 'path', required: true, schema: { enum: FIXTURE_LIST.map(entry => entry.id) }
+  }]);
+});
+
+test('undocumented routes are still listed with a placeholder', () => {
+  const router = express.Router();
+  router.get('/ping', (req, res) => res.end());
+  const { paths } = buildOpenApiDocument({ mounts: [{ prefix: '/api/extra', router }] });
+  assert.deepEqual(paths['/api/extra/ping'].get, {
+    operationId: 'getExtraPing',
+    summary: 'GET /api/extra/ping',
+    responses: { 200: { description: 'OK' } }
+  });
+});
+
+test('every $ref resolves to a component', () => {
+  const refs = new Set(refsIn(document));
+  assert.ok(refs.has('#/components/schemas/CalculationInput'));
+  for (const target of refs) {
+    const name = target.replace('#/components/schemas/', '');
+    assert.ok(document.components.schemas[name], `${target} does not resolve`);
+  }
+});
+
+test('the bundled fixtures are the calculation examples', () => {
+  const { examples } = document.paths['/api/engine/calculate'].post.requestBody.content['application/json'];
+  assert.deepEqual(Object.keys(examples), FIXTURE_LIST.map(entry => entry.id));
+  assert.equal(examples.simple.summary, FIXTURE_LIST[0].name);
+});
+
+test('every request example is accepted by its route', async t => {
+  const { base } = engineServer(t);
+  const operations = operationsWithExamples();
+  assert.ok(operations.some(([method, path]) => method === 'post' && path === '/api/engine/calculate'));
+  for (const [method, path, examples] of operations) {
+    for (const [name, example] of Object.entries(examples)) {
+      const response = await fetch(base + path.replace(/^\/api\/engine/, ''), {
+        method: method.toUpperCase(),
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(example.value)
+      });
+      await response.text();
+      assert.equal(response.status, 200, `${method} ${path} example ${name}`);
+    }
+  }
+});
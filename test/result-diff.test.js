@@ -0,0 +1,99 @@
+/**
+ * Result diff (services/result-diff, POST /api/engine/diff)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffResults } = require('../src/services/result-diff');
+const { engine, calculationInput, lineItem, engineServer } = require('./fixtures');
+
+const order = (value, quantity, config = {}) => calculationInput({
+  lineItems: [lineItem('a', '100.00', quantity), lineItem('b', '50.00', 1)],
+  modifiers: [{ id: 'discount-1', modifier_type: 'percentage', value, application_type: 'pre_tax' }],
+  config
+});
+
+const BEFORE = order('-10', 2);
+const AFTER = order('-15', 3, { tax_rate: '0.08' });
+
+const explained = input => engine.calculate(input, { explain: true });
+
+test('identical results report no change', () => {
+  const diff = diffResults(engine.calculate(BEFORE), engine.calculate(order('-10', 2)));
+  assert.equal(diff.changed, false);
+  assert.equal(diff.checksums.before, diff.checksums.after);
+  assert.deepEqual([diff.totals, diff.adjustments, diff.lines, diff.taxes, diff.causes], [[], [], [], [], []]);
+});
+
+test('totals, groups and line components that moved are listed with their causes', () => {
+  const diff = diffResults(explained(BEFORE), explained(AFTER), { before: BEFORE, after: AFTER });
+  assert.equal(diff.changed, true);
+  assert.deepEqual(diff.totals.map(total => [total.field, total.before, total.after, total.delta]), [
+    ['subtotal', '250.00', '350.00', '100.00'],
+    ['modifierTotal', '-25.00', '-52.50', '-27.50'],
+    ['retailTax', '22.50', '23.80', '1.30'],
+    ['customerGrandTotal', '247.50', '321.30', '73.80']
+  ]);
+
+  const [group] = diff.adjustments;
+  assert.deepEqual([group.change, group.before, group.after, group.modifier_ids], ['changed', '-25.00', '-52.50', ['discount-1']]);
+  assert.deepEqual(group.causes, ['modifier discount-1 value -10 → -15']);
+
+  assert.deepEqual(diff.lines.map(line => [line.line_item_id, line.component, line.delta, line.causes]), [
+    ['a', 'adjustments', '-25.00', ['line item a quantity 2 → 3']],
+    ['a', 'retail_tax', '2.40', ['line item a quantity 2 → 3']],
+    ['b', 'adjustments', '-2.50', []],
+    ['b', 'retail_tax', '-1.10', []]
+  ]);
+  assert.deepEqual(diff.causes.map(cause => cause.message), [
+    'modifier discount-1 value -10 → -15',
+    'line item a quantity 2 → 3',
+    'config tax_rate 0.10 → 0.08'
+  ]);
+});
+
+test('groups that appear or disappear are added or removed', () => {
+  const withoutDiscount = { ...BEFORE, modifiers: [] };
+  const removed = diffResults(explained(BEFORE), explained(withoutDiscount), { before: BEFORE, after: withoutDiscount });
+  assert.deepEqual(removed.adjustments.map(group => [group.change, group.before, group.after, group.causes]), [
+    ['removed', '-25.00', null, ['modifier discount-1 removed']]
+  ]);
+
+  const added = diffResults(explained(withoutDiscount), explained(BEFORE));
+  assert.deepEqual(added.adjustments.map(group => [group.change, group.delta, group.causes]), [['added', '-25.00', []]]);
+});
+
+test('jurisdiction components report rate and amount moves', () => {
+  const state = { code: 'STATE', rate: '0.06', order: 1 };
+  const before = order('-10', 2, { tax_rate: undefined, jurisdictions: [state] });
+  const after = order('-10', 2, { tax_rate: undefined, jurisdictions: [{ ...state, rate: '0.07' }, { code: 'CITY', rate: '0.01', order: 2 }] });
+  const diff = diffResults(engine.calculate(before), engine.calculate(after), { before, after });
+  assert.deepEqual(diff.taxes.map(tax => [tax.code, tax.change, tax.before, tax.after, tax.rate_before, tax.rate_after]), [
+    ['STATE', 'changed', '13.50', '15.75', '0.06', '0.07'],
+    ['CITY', 'added', null, '2.25', null, '0.01']
+  ]);
+  assert.equal(diff.taxes[0].causes.length, 1);
+  assert.match(diff.taxes[0].causes[0], /^config jurisdictions /);
+});
+
+test('POST /diff compares two inputs with causes, or two stored results', async t => {
+  const { post } = engineServer(t);
+  const [status, fromInputs] = await post('/diff', { before_input: BEFORE, after_input: AFTER });
+  assert.equal(status, 200);
+  assert.deepEqual(fromInputs.adjustments[0].causes, ['modifier discount-1 value -10 → -15']);
+
+  const [, fromResults] = await post('/diff', { before: engine.calculate(BEFORE), after: engine.calculate(AFTER) });
+  assert.deepEqual(fromResults.totals, fromInputs.totals);
+  assert.deepEqual(fromResults.causes, []);
+});
+
+test('POST /diff rejects a half-specified request', async t => {
+  const { post } = engineServer(t);
+  const [inputStatus, inputError] = await post('/diff', { before_input: BEFORE });
+  assert.equal(inputStatus, 400);
+  assert.deepEqual([inputError.code, inputError.path], ['INVALID_REQUEST', 'after_input']);
+
+  const [resultStatus, resultError] = await post('/diff', { after: {} });
+  assert.equal(resultStatus, 400);
+  assert.equal(resultError.path, 'before');
+});
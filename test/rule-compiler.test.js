@@ -0,0 +1,98 @@
+/**
+ * Rule language parser (SecureRuleCompiler.parse / compile)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SecureRuleCompiler = require('../src/tiers/pre-processor/core/SecureRuleCompiler');
+const SafeRuleEvaluator = require('../src/engines/pure/SafeRuleEvaluator');
+
+const { RuleSyntaxError } = SecureRuleCompiler;
+const compiler = new SecureRuleCompiler();
+const compile = expression => compiler.compile({ id: 'r', expression });
+
+const field = path => ({ type: 'field', path });
+const literal = value => ({ type: 'literal', value });
+const compare = (path, op, value) => ({ type: 'comparison', op, left: field(path), right: literal(value) });
+
+test('comparisons joined by and/or, with and binding tighter', () => {
+  assert.deepEqual(compile('customer.tier == "gold" and computed.totalQuantity >= 10'), {
+    type: 'logical',
+    op: 'AND',
+    left: compare('customer.tier', '==', 'gold'),
+    right: compare('computed.totalQuantity', '>=', 10)
+  });
+  assert.deepEqual(compile('proposal.a == 1 || proposal.b == 2 && proposal.c == 3'), {
+    type: 'logical',
+    op: 'OR',
+    left: compare('proposal.a', '==', 1),
+    right: { type: 'logical', op: 'AND', left: compare('proposal.b', '==', 2), right: compare('proposal.c', '==', 3) }
+  });
+});
+
+test('not, parentheses, in-lists and signed numbers', () => {
+  assert.deepEqual(compile('NOT (proposal.region in ["EU", \'UK\']) Or running.subtotal > -5000'), {
+    type: 'logical',
+    op: 'OR',
+    left: {
+      type: 'logical',
+      op: 'NOT',
+      operand: {
+        type: 'comparison',
+        op: 'in',
+        left: field('proposal.region'),
+        right: { type: 'list', items: [literal('EU'), literal('UK')] }
+      }
+    },
+    right: compare('running.subtotal', '>', -5000)
+  });
+  assert.deepEqual(compile('proposal.region not in ("EU")').op, 'not_in');
+});
+
+test('boolean and null literals', () => {
+  assert.deepEqual(compile('proposal.flag == true and proposal.gone != null'), {
+    type: 'logical',
+    op: 'AND',
+    left: compare('proposal.flag', '==', true),
+    right: compare('proposal.gone', '!=', null)
+  });
+});
+
+test('syntax errors report line and column', () => {
+  const cases = [
+    ['proposal.amount >\n  ', 'Unexpected end of expression', 2, 3],
+    ['proposal.a == 1 and\n  proposal.b === 2', "Unexpected character '='", 2, 16],
+    ['proposal.x in [proposal.y]', 'List items must be literals', 1, 16],
+    ['"unterminated', 'Unterminated string literal', 1, 1],
+    ['(proposal.a == 1', "Expected ')'", 1, 17],
+    ['', 'Rule expression must be a non-empty string', 1, 1]
+  ];
+  for (const [expression, message, line, column] of cases) {
+    assert.throws(() => compile(expression), error => {
+      assert.ok(error instanceof RuleSyntaxError, expression);
+      assert.ok(error.message.startsWith(message), error.message);
+      assert.deepEqual([error.line, error.column], [line, column], expression);
+      return true;
+    });
+  }
+});
+
+test('paths outside the whitelist are rejected', () => {
+  assert.throws(() => compile('proposal.a == 1 or secrets.key == "x"'), error =>
+    error.code === 'RULE_REJECTED' && error.details.path === 'secrets.key');
+});
+
+test('compiled rules evaluate with SafeRuleEvaluator', () => {
+  const ast = compile('customer.tier in ["gold", "platinum"] and not computed.totalQuantity < 10');
+  const evaluator = new SafeRuleEvaluator();
+  assert.equal(evaluator.evaluate(ast, { customer: { tier: 'gold' }, computed: { totalQuantity: 12 } }), true);
+  assert.equal(evaluator.evaluate(ast, { customer: { tier: 'gold' }, computed: { totalQuantity: 8 } }), false);
+});
+
+test('compiling keeps no per-rule state', () => {
+  const first = compile('proposal.a == 1');
+  const second = compile('proposal.a == 1');
+  assert.deepEqual(first, second);
+  assert.notEqual(first, second);
+  assert.deepEqual(Object.keys(compiler), ['allowedPaths', 'limits']);
+});
@@ -0,0 +1,98 @@
+/**
+ * What-if scenarios (services/scenario-comparison, POST /api/engine/scenarios)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ValidationError } = require('../src/engines/pure/CalculationErrors');
+const { validateOverlays, applyOverlay, diffTotals } = require('../src/services/scenario-comparison');
+const { calculationInput, lineItem, engineServer } = require('./fixtures');
+
+const FEE = { id: 'fee', modifier_type: 'fixed', value: '10.00', application_type: 'pre_tax' };
+const PROMO = { id: 'promo', modifier_type: 'percentage', value: '-10', application_type: 'pre_tax' };
+
+const base = () => calculationInput({
+  lineItems: [lineItem('a', '100.00', 2, { cost: '50.00', use_tax_eligible: true })],
+  modifiers: [FEE],
+  config: { tax_date: '2026-03-01', use_tax_rate: '0.05' }
+});
+
+test('overlays add, replace and remove modifiers, set quantities and switch the tax mode', () => {
+  const input = base();
+  const variant = applyOverlay(input, {
+    name: 'v',
+    add_modifiers: [PROMO, { ...FEE, value: '20.00' }],
+    quantities: { a: 3 },
+    tax_mode: 'MIXED',
+    config: { tax_rate: '0.09' }
+  }, 0);
+  assert.deepEqual(variant.modifiers.map(mod => [mod.id, mod.value]), [['promo', '-10'], ['fee', '20.00']]);
+  assert.equal(variant.lineItems[0].quantity, 3);
+  assert.deepEqual([variant.config.tax_mode, variant.config.tax_rate, variant.config.tax_date], ['MIXED', '0.09', '2026-03-01']);
+  assert.deepEqual(applyOverlay(input, { name: 'w', remove_modifiers: ['fee'] }, 0).modifiers, []);
+  // The base input is left alone
+  assert.deepEqual(input, base());
+});
+
+test('malformed overlays are rejected with their path', () => {
+  const cases = [
+    [[null], 'INVALID_TYPE', 'scenarios[0]'],
+    [[{}], 'MISSING_FIELD', 'scenarios[0].name'],
+    [[{ name: 'x' }, { name: 'x' }], 'DUPLICATE_ID', 'scenarios[1].name'],
+    [[{ name: 'base' }], 'DUPLICATE_ID', 'scenarios[0].name'],
+    [[{ name: 'x', add_modifiers: {} }], 'INVALID_TYPE', 'scenarios[0].add_modifiers'],
+    [[{ name: 'x', quantities: [1] }], 'INVALID_TYPE', 'scenarios[0].quantities']
+  ];
+  for (const [overlays, code, path] of cases) {
+    assert.throws(() => validateOverlays(overlays), error =>
+      error instanceof ValidationError && error.code === code && error.path === path, path);
+  }
+});
+
+test('totals diff with absolute and percentage deltas', () => {
+  const diff = diffTotals(
+    { subtotal: '200.00', modifierTotal: '0.00', customerGrandTotal: '220.00' },
+    { subtotal: '300.00', modifierTotal: '-30.00', customerGrandTotal: '297.00', useTax: '5.00' }
+  );
+  assert.deepEqual(diff, {
+    subtotal: { base: '200.00', scenario: '300.00', delta: '100.00', delta_pct: '50.00' },
+    modifierTotal: { base: '0.00', scenario: '-30.00', delta: '-30.00', delta_pct: null },
+    useTax: { base: null, scenario: '5.00', delta: '5.00', delta_pct: null },
+    customerGrandTotal: { base: '220.00', scenario: '297.00', delta: '77.00', delta_pct: '35.00' }
+  });
+});
+
+test('POST /scenarios runs each variant against the base', async t => {
+  const { post } = engineServer(t);
+  const [status, body] = await post('/scenarios', {
+    base: base(),
+    scenarios: [
+      { name: 'promo', add_modifiers: [PROMO], remove_modifiers: ['fee'] },
+      { name: 'more', quantities: { a: 3 } },
+      { name: 'mixed', tax_mode: 'MIXED' },
+      { name: 'broken', add_modifiers: [{ ...PROMO, id: 'bad', value: 'abc' }] }
+    ]
+  });
+  assert.equal(status, 200);
+  assert.equal(body.base.name, 'base');
+  assert.equal(body.base.result.customerGrandTotal, '231.00');
+
+  const [promo, more, mixed, broken] = body.scenarios;
+  assert.deepEqual(promo.diff.customerGrandTotal, { base: '231.00', scenario: '198.00', delta: '-33.00', delta_pct: '-14.29' });
+  assert.equal(promo.result.customerGrandTotal, '198.00');
+  assert.deepEqual(more.diff.subtotal, { base: '200.00', scenario: '300.00', delta: '100.00', delta_pct: '50.00' });
+  assert.deepEqual(mixed.diff.internalGrandTotal, { base: null, scenario: '236.00', delta: '236.00', delta_pct: null });
+  // A failing variant reports its error in place
+  assert.deepEqual([broken.result, broken.diff, broken.code, broken.path], [null, null, 'SCHEMA_VALIDATION', 'modifiers[1].value']);
+});
+
+test('POST /scenarios fails on a bad overlay or a failing base', async t => {
+  const { post } = engineServer(t);
+  const [overlayStatus, overlayError] = await post('/scenarios', { base: base(), scenarios: [{ name: 'base' }] });
+  assert.equal(overlayStatus, 400);
+  assert.deepEqual([overlayError.code, overlayError.path], ['DUPLICATE_ID', 'scenarios[0].name']);
+
+  const [baseStatus, baseError] = await post('/scenarios', { base: { ...base(), lineItems: 'x' }, scenarios: [{ name: 'a' }] });
+  assert.equal(baseStatus, 400);
+  assert.equal(baseError.path, 'base.lineItems');
+});
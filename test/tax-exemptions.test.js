@@ -0,0 +1,76 @@
+/**
+ * Tax exemption certificates (PureCalculationEngine.applyExemptions / exemptionWarnings)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { engine, calculationInput, lineItem } = require('./fixtures');
+
+const LINE_ITEMS = [lineItem('a', '100.00', 1, { category: 'hardware' }), lineItem('b', '50.00', 1, { category: 'labor' })];
+
+// STATE 6% and CITY 2% on 2026-10-19, with per-test certificates and config
+const withExemptions = (exemptions, config = {}) => calculationInput({
+  lineItems: LINE_ITEMS,
+  exemptions,
+  config: {
+    tax_rate: undefined,
+    tax_date: '2026-10-19',
+    jurisdictions: [{ code: 'STATE', rate: '0.06', order: 1 }, { code: 'CITY', rate: '0.02', order: 2 }],
+    ...config
+  }
+});
+
+const subTax = (result, code) => result.subTaxes.find(entry => entry.code === code);
+
+test('a certificate zeroes the base of its lines in its jurisdictions only', () => {
+  const result = engine.calculate(withExemptions([
+    { certificate_id: 'C1', jurisdictions: ['STATE'], categories: ['hardware'], expires_on: '2027-01-01' }
+  ]));
+  assert.equal(subTax(result, 'STATE').exempted_base_precise, '100.0000000');
+  assert.deepEqual(subTax(result, 'STATE').exemption_certificates, ['C1']);
+  assert.equal(subTax(result, 'STATE').amount, '3.00');
+  assert.equal(subTax(result, 'CITY').exempted_base_precise, '0.0000000');
+  assert.equal(subTax(result, 'CITY').amount, '3.00');
+  assert.equal(result.retailTax, '6.00');
+  assert.deepEqual(result.taxExemptions, [{
+    certificate_id: 'C1',
+    jurisdiction: 'STATE',
+    exempted_base_precise: '100.0000000',
+    exempted_base: '100.00',
+    line_item_ids: ['a']
+  }]);
+  assert.equal(result.warnings, undefined);
+});
+
+test('a certificate without filters exempts every line everywhere', () => {
+  const result = engine.calculate(withExemptions([{ certificate_id: 'ALL' }]));
+  assert.equal(result.retailTax, '0.00');
+  assert.deepEqual(result.lineTaxes.map(line => line.tax), ['0.00', '0.00']);
+});
+
+test('expired, unverifiable and non-matching certificates warn and exempt nothing', () => {
+  const certificates = [
+    { certificate_id: 'OLD', expires_on: '2020-01-01' },
+    { certificate_id: 'SOFT', categories: ['software'] }
+  ];
+  const result = engine.calculate(withExemptions(certificates));
+  assert.equal(result.retailTax, '12.00');
+  assert.equal(result.taxExemptions, undefined);
+  assert.deepEqual(result.warnings.map(warning => [warning.code, warning.certificate_id]), [
+    ['EXEMPTION_EXPIRED', 'OLD'],
+    ['EXEMPTION_NO_MATCHING_LINES', 'SOFT']
+  ]);
+
+  const undated = engine.calculate(withExemptions([certificates[0]], { tax_date: undefined }));
+  assert.deepEqual(undated.warnings.map(warning => warning.code), ['EXEMPTION_UNVERIFIED']);
+  assert.equal(undated.retailTax, '12.00');
+});
+
+test('single-rate configs apply certificates without jurisdictions', () => {
+  const result = engine.calculate(withExemptions(
+    [{ certificate_id: 'LAB', categories: ['labor'] }],
+    { jurisdictions: undefined, tax_rate: '0.10' }
+  ));
+  assert.equal(result.retailTax, '10.00');
+  assert.deepEqual(result.taxExemptions.map(entry => [entry.jurisdiction, entry.exempted_base]), [[null, '50.00']]);
+});
@@ -0,0 +1,64 @@
+/**
+ * Effective-dated tax rate tables (PureCalculationEngine.resolveTaxRateTable)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const InputValidator = require('../src/services/input-validation');
+const { ValidationError } = require('../src/engines/pure/CalculationErrors');
+const { getTaxRateTable } = require('../src/services/tax-rate-table');
+const { engine, calculationInput, lineItem, engineServer } = require('./fixtures');
+
+const taxRateTable = getTaxRateTable();
+
+// One 100.00 line taxed by Quebec QST (effective-dated) unless config says otherwise
+const withConfig = config => calculationInput({
+  lineItems: [lineItem('a', '100.00')],
+  config: { tax_rate: undefined, tax_jurisdiction_codes: ['CA-QC-QST'], ...config }
+});
+
+test('rates in force on the tax date are used and the date is echoed', () => {
+  const result = engine.calculate(withConfig({ tax_date: '2012-06-30' }), { taxRateTable });
+  assert.equal(result.retailTax, '9.50');
+  assert.equal(result.taxRateTable.tax_date, '2012-06-30');
+  assert.equal(result.taxRateTable.version, taxRateTable.version);
+});
+
+test('proposal.tax_date is used when config has none', () => {
+  const body = { ...withConfig({}), proposal: { tax_date: '2011-03-01' } };
+  const result = engine.calculate(body, { taxRateTable });
+  assert.equal(result.retailTax, '8.50');
+  assert.equal(result.taxRateTable.tax_date, '2011-03-01');
+});
+
+test('jurisdiction codes without a tax date are rejected, never dated today', () => {
+  assert.throws(() => engine.calculate(withConfig({}), { taxRateTable }), error =>
+    error instanceof ValidationError && error.code === 'MISSING_FIELD' && error.path === 'config.tax_date');
+
+  const { valid, issues } = new InputValidator().validate(withConfig({}));
+  assert.equal(valid, false);
+  assert.deepEqual(issues.map(issue => [issue.path, issue.code]), [['config.tax_date', 'REQUIRED']]);
+});
+
+test('fixed-rate configs need no tax date', () => {
+  const result = engine.calculate(withConfig({ tax_jurisdiction_codes: undefined, tax_rate: '0.10' }), { taxRateTable });
+  assert.equal(result.retailTax, '10.00');
+  assert.equal(result.taxRateTable, undefined);
+});
+
+test('requests without a config use the default jurisdictions at the proposal date or today', async t => {
+  const { post } = engineServer(t);
+  const body = { lineItems: [lineItem('a', '100.00')], modifiers: [] };
+
+  const [status, today] = await post('/calculate', body);
+  assert.equal(status, 200);
+  assert.deepEqual(today.subTaxes.map(entry => entry.code), taxRateTable.defaultJurisdictions);
+  assert.equal(today.taxRateTable.tax_date, new Date().toISOString().slice(0, 10));
+  assert.equal(today.taxRateTable.version, taxRateTable.version);
+
+  const [, dated] = await post('/calculate', { ...body, proposal: { tax_date: '2012-06-30' } });
+  assert.equal(dated.taxRateTable.tax_date, '2012-06-30');
+
+  const [, valid] = await post('/validate', body);
+  assert.equal(valid.valid, true);
+});
@@ -0,0 +1,55 @@
+/**
+ * Tiered (quantity-break) modifiers (PureCalculationEngine.calculateTieredLineDeltas)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { engine, calculationInput, lineItem } = require('./fixtures');
+
+const TIERS = [
+  { min: 0, max: 10, value: '0' },
+  { min: 10, max: 20, value: '-5' },
+  { min: 20, value: '-10' }
+];
+
+const LINE_ITEMS = [
+  lineItem('a', '10.00', 20, { productId: 'P1', category: 'hardware' }),
+  lineItem('b', '10.00', 12, { productId: 'P1', category: 'labor' })
+];
+
+// The volume modifier with per-test fields
+const withTiers = fields => calculationInput({
+  lineItems: LINE_ITEMS,
+  modifiers: [{ id: 'volume', modifier_type: 'tiered', tiers: TIERS, application_type: 'pre_tax', ...fields }]
+});
+
+test('all_units prices each line at its reached tier and reports the hit', () => {
+  const result = engine.calculate(withTiers({}));
+  // a: 20 units at -10% of 200; b: 12 units at -5% of 120
+  assert.equal(result.modifierTotal, '-26.00');
+  const hits = result.adjustments[0].tiers;
+  assert.deepEqual(hits.map(hit => [hit.scope_key, hit.tier_index]), [['a', 2], ['b', 1]]);
+});
+
+test('graduated prices each bracket portion separately', () => {
+  const result = engine.calculate(withTiers({ tier_mode: 'graduated' }));
+  // a: units 10-19 at -5% (-5.00); b: units 10-11 at -5% (-1.00)
+  assert.equal(result.modifierTotal, '-6.00');
+});
+
+test('product scope measures lines of one product together', () => {
+  const result = engine.calculate(withTiers({ tier_scope: 'product' }));
+  // 32 units of P1 reach the -10% tier on 320
+  assert.equal(result.modifierTotal, '-32.00');
+});
+
+test('grouping category does not filter lines', () => {
+  const result = engine.calculate(withTiers({ category: 'discount' }));
+  assert.equal(result.modifierTotal, '-26.00');
+});
+
+test('line_category scopes the tiers', () => {
+  const result = engine.calculate(withTiers({ line_category: 'hardware' }));
+  assert.equal(result.modifierTotal, '-20.00');
+  assert.deepEqual(result.adjustments[0].tiers.map(hit => hit.scope_key), ['a']);
+});
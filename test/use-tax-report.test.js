@@ -0,0 +1,109 @@
+/**
+ * Per-line use tax (PureCalculationEngine.buildUseTaxLines) and the accrual
+ * report (services/use-tax-report, POST /api/engine/use-tax/report)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { aggregateUseTax, toCsv } = require('../src/services/use-tax-report');
+const { engine, calculationInput, lineItem, engineServer } = require('./fixtures');
+
+const LINE_ITEMS = [
+  lineItem('a', '100.00', 2, { cost: '60.00', use_tax_eligible: true }),
+  lineItem('b', '30.00', 1, { use_tax_eligible: true }),
+  lineItem('c', '5.00', 1)
+];
+
+const order = (proposalId, config = {}) => calculationInput({
+  proposalId,
+  lineItems: LINE_ITEMS,
+  config: { tax_mode: 'USE_TAX', use_tax_rate: '0.07', use_tax_jurisdiction: 'CA', ...config }
+});
+
+// Minimal calculated entry for the aggregator
+const entry = (proposalId, taxDate, lines) => ({
+  proposalId,
+  taxDate,
+  result: { useTaxLines: lines.map(([jurisdiction, cost, amount]) => ({ jurisdiction, cost_base_precise: cost, amount_precise: amount })) }
+});
+
+test('use tax is broken down per eligible line from cost', () => {
+  const result = engine.calculate(order('p1'));
+  assert.equal(result.useTax, '10.50');
+  assert.deepEqual(result.useTaxLines, [
+    { line_item_id: 'a', jurisdiction: 'CA', cost_base_precise: '120.0000000', rate: '0.07', amount_precise: '8.4000000', amount: '8.40' },
+    { line_item_id: 'b', jurisdiction: 'CA', cost_base_precise: '30.0000000', rate: '0.07', amount_precise: '2.1000000', amount: '2.10' }
+  ]);
+});
+
+test('MIXED mode reports the lines too; RETAIL computes no use tax', () => {
+  const mixed = engine.calculate(order('p1', { tax_mode: 'MIXED' }));
+  assert.deepEqual(mixed.useTaxLines.map(line => line.amount), ['8.40', '2.10']);
+  assert.equal(mixed.internalGrandTotal, '269.00');
+
+  const retail = engine.calculate(order('p1', { tax_mode: 'RETAIL' }));
+  assert.equal('useTaxLines' in retail, false);
+});
+
+test('lines aggregate by period and jurisdiction, rounded once per group', () => {
+  const rows = aggregateUseTax([
+    entry('p1', '2026-03-31', [['CA', '10.0000000', '0.7250000'], ['NV', '5.0000000', '0.3000000']]),
+    entry('p2', '2026-03-02', [['CA', '10.0000000', '0.7250000']]),
+    entry('p3', '2026-02-15', [['CA', '1.0000000', '0.0700000']]),
+    entry('p4', null, [[null, '2.0000000', '0.1400000']])
+  ]);
+  assert.deepEqual(rows.map(row => [row.period, row.jurisdiction, row.cost_base, row.use_tax, row.line_count, row.proposal_count]), [
+    ['2026-02', 'CA', '1.00', '0.07', 1, 1],
+    ['2026-03', 'CA', '20.00', '1.45', 2, 2],
+    ['2026-03', 'NV', '5.00', '0.30', 1, 1],
+    ['UNDATED', 'UNSPECIFIED', '2.00', '0.14', 1, 1]
+  ]);
+  assert.equal(rows[1].use_tax_precise, '1.4500000');
+});
+
+test('CSV has a header row and quotes values that need it', () => {
+  const csv = toCsv([{
+    period: '2026-03', jurisdiction: 'King, WA', cost_base: '1.00', use_tax: '0.10',
+    use_tax_precise: '0.1000000', line_count: 1, proposal_count: 1
+  }]);
+  assert.equal(csv, [
+    'period,jurisdiction,cost_base,use_tax,use_tax_precise,line_count,proposal_count',
+    '2026-03,"King, WA",1.00,0.10,0.1000000,1,1',
+    ''
+  ].join('\n'));
+});
+
+test('POST /use-tax/report returns JSON rows or a CSV attachment', async t => {
+  const { base, post } = engineServer(t);
+  const calculations = [
+    order('p1', { tax_date: '2026-03-05' }),
+    order('p2', { tax_date: '2026-03-20', use_tax_jurisdiction: 'NV' })
+  ];
+
+  const [status, report] = await post('/use-tax/report', { calculations });
+  assert.equal(status, 200);
+  assert.equal(report.calculations, 2);
+  assert.deepEqual(report.rows.map(row => [row.period, row.jurisdiction, row.use_tax, row.line_count]), [
+    ['2026-03', 'CA', '10.50', 2],
+    ['2026-03', 'NV', '10.50', 2]
+  ]);
+
+  const response = await fetch(`${base}/use-tax/report?format=csv`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ calculations })
+  });
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/csv/);
+  assert.match(response.headers.get('content-disposition'), /use-tax-accrual\.csv/);
+  const lines = (await response.text()).trim().split('\n');
+  assert.equal(lines.length, 3);
+  assert.equal(lines[1], '2026-03,CA,150.00,10.50,10.5000000,2,1');
+});
+
+test('POST /use-tax/report rejects an empty batch', async t => {
+  const { post } = engineServer(t);
+  const [status, error] = await post('/use-tax/report', { calculations: [] });
+  assert.equal(status, 400);
+  assert.equal(error.path, 'calculations');
+});